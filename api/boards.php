@@ -0,0 +1,64 @@
+<?php
+// Errors go to the server log, never into the JSON response
+error_reporting(E_ALL);
+ini_set('display_errors', 0);
+ini_set('log_errors', 1);
+
+require_once __DIR__ . '/cors.php';
+
+header('Content-Type: application/json');
+allow_origin('GET, OPTIONS');
+
+// Handle preflight
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    http_response_code(405);
+    echo json_encode(['error' => 'Method not allowed']);
+    exit;
+}
+
+$cliPath = __DIR__ . '/../cli/get-jira-issues.js';
+if (!file_exists($cliPath)) {
+    http_response_code(500);
+    echo json_encode(['error' => 'CLI tool not found']);
+    exit;
+}
+
+// Find node executable dynamically
+$nodePath = trim(`which node 2>/dev/null`);
+if (empty($nodePath)) {
+    http_response_code(500);
+    echo json_encode(['error' => 'Node.js not found. Please ensure node is installed and in PATH.']);
+    exit;
+}
+
+// Boards of one connection; the CLI looks up its credentials
+$cmd = escapeshellarg($nodePath) . ' ' . escapeshellarg($cliPath) . ' --list-boards';
+if (!empty($_GET['connection'])) {
+    $cmd .= ' --connection ' . escapeshellarg($_GET['connection']);
+}
+$process = proc_open($cmd, [1 => ['pipe', 'w'], 2 => ['pipe', 'w']], $pipes);
+if (!is_resource($process)) {
+    http_response_code(500);
+    echo json_encode(['error' => 'Could not start the CLI']);
+    exit;
+}
+$jsonOutput = stream_get_contents($pipes[1]);
+$errorOutput = stream_get_contents($pipes[2]);
+fclose($pipes[1]);
+fclose($pipes[2]);
+$returnCode = proc_close($process);
+
+// The CLI's output stays in the server log; clients get a generic message
+if ($returnCode !== 0 || json_decode($jsonOutput) === null) {
+    error_log('boards.php: CLI exited with ' . $returnCode . ': ' . trim($errorOutput));
+    http_response_code(500);
+    echo json_encode(['error' => 'Could not list boards']);
+    exit;
+}
+
+echo $jsonOutput;
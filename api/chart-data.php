@@ -1,11 +1,13 @@
 <?php
+// Errors go to the server log, never into the JSON response
 error_reporting(E_ALL);
-ini_set('display_errors', 1);
+ini_set('display_errors', 0);
+ini_set('log_errors', 1);
+
+require_once __DIR__ . '/cors.php';
 
 header('Content-Type: application/json');
-header('Access-Control-Allow-Origin: *');
-header('Access-Control-Allow-Methods: POST, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type');
+allow_origin('POST, OPTIONS');
 
 // Handle preflight
 if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
@@ -29,14 +31,18 @@ if (!$data) {
     exit;
 }
 
-// Required fields
-$required = ['jiraUrl', 'jiraUser', 'jiraApiToken', 'jql', 'jqlSLE', 'sleWindow'];
-foreach ($required as $field) {
-    if (empty($data[$field])) {
-        http_response_code(400);
-        echo json_encode(['error' => "Missing required field: $field"]);
-        exit;
-    }
+// Credentials come from the server's connections, never from the request
+if (!empty($data['jiraUrl']) || !empty($data['jiraUser']) || !empty($data['jiraApiToken'])) {
+    http_response_code(400);
+    echo json_encode(['error' => 'Inline Jira credentials are not accepted; choose a connection configured on the server']);
+    exit;
+}
+
+// A profile or a board can supply the query
+if (empty($data['jql']) && empty($data['profile']) && empty($data['board'])) {
+    http_response_code(400);
+    echo json_encode(['error' => 'Missing required field: jql']);
+    exit;
 }
 
 // Build CLI command
@@ -47,20 +53,6 @@ if (!file_exists($cliPath)) {
     exit;
 }
 
-// Escape arguments for command line
-$jql = escapeshellarg($data['jql']);
-$jqlSLE = escapeshellarg($data['jqlSLE']);
-$sleWindow = escapeshellarg($data['sleWindow']);
-$columnsOrder = isset($data['columnsOrder']) && !empty($data['columnsOrder']) ? escapeshellarg($data['columnsOrder']) : '';
-$maxDays = isset($data['maxDays']) ? escapeshellarg($data['maxDays']) : '';
-
-// Build command with environment variables for credentials
-$env = [
-    'JIRA_URL=' . escapeshellarg($data['jiraUrl']),
-    'JIRA_USER=' . escapeshellarg($data['jiraUser']),
-    'JIRA_API_TOKEN=' . escapeshellarg($data['jiraApiToken'])
-];
-
 // Find node executable dynamically
 $nodePath = trim(`which node 2>/dev/null`);
 if (empty($nodePath)) {
@@ -69,43 +61,45 @@ if (empty($nodePath)) {
     exit;
 }
 
-$cmd = implode(' ', $env) . ' ' . $nodePath . ' ' . escapeshellarg($cliPath) . ' -j ' . $jql . ' -s ' . $jqlSLE . ' -w ' . $sleWindow;
+// The CLI reads the same chart parameters as the Node servers from stdin,
+// so credentials and queries never appear on the command line
+$cmd = escapeshellarg($nodePath) . ' ' . escapeshellarg($cliPath) . ' --params -';
 
-if ($columnsOrder) {
-    $cmd .= ' -o ' . $columnsOrder;
-}
-if ($maxDays) {
-    $cmd .= ' -m ' . $maxDays;
+$descriptors = [
+    0 => ['pipe', 'r'],
+    1 => ['pipe', 'w'],
+    2 => ['pipe', 'w']
+];
+$process = proc_open($cmd, $descriptors, $pipes);
+if (!is_resource($process)) {
+    http_response_code(500);
+    echo json_encode(['error' => 'Could not start the CLI']);
+    exit;
 }
 
-$cmd .= ' 2>&1';
-
-// Execute command
-$output = [];
-$returnCode = 0;
-exec($cmd, $output, $returnCode);
+fwrite($pipes[0], json_encode($data));
+fclose($pipes[0]);
+$jsonOutput = stream_get_contents($pipes[1]);
+$errorOutput = stream_get_contents($pipes[2]);
+fclose($pipes[1]);
+fclose($pipes[2]);
+$returnCode = proc_close($process);
 
+// The CLI's output stays in the server log; clients get a generic message
 if ($returnCode !== 0) {
+    error_log('chart-data.php: CLI exited with ' . $returnCode . ': ' . trim($errorOutput));
     http_response_code(500);
-    echo json_encode([
-        'error' => 'CLI execution failed',
-        'details' => implode("\n", $output),
-        'code' => $returnCode,
-        'command' => $cmd
-    ]);
+    echo json_encode(['error' => 'Could not generate the chart']);
     exit;
 }
 
 // Return JSON output from CLI
-$jsonOutput = implode("\n", $output);
 $result = json_decode($jsonOutput, true);
 
 if (!$result) {
+    error_log('chart-data.php: CLI printed invalid JSON: ' . substr($jsonOutput, 0, 500));
     http_response_code(500);
-    echo json_encode([
-        'error' => 'Invalid JSON from CLI',
-        'output' => $jsonOutput
-    ]);
+    echo json_encode(['error' => 'Could not generate the chart']);
     exit;
 }
 
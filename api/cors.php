@@ -0,0 +1,24 @@
+<?php
+// CORS for the endpoints that use the server's Jira connections. Browsers on
+// other sites are refused unless ALLOWED_ORIGIN names their origin; requests
+// without an Origin header (curl, other servers) and same-origin ones pass.
+function allow_origin($methods)
+{
+    $origin = isset($_SERVER['HTTP_ORIGIN']) ? $_SERVER['HTTP_ORIGIN'] : '';
+    if ($origin === '') {
+        return;
+    }
+
+    $scheme = (!empty($_SERVER['HTTPS']) && $_SERVER['HTTPS'] !== 'off') ? 'https' : 'http';
+    $allowedOrigin = getenv('ALLOWED_ORIGIN');
+    if ($origin !== $scheme . '://' . $_SERVER['HTTP_HOST'] && $origin !== $allowedOrigin) {
+        http_response_code(403);
+        echo json_encode(['error' => 'Origin not allowed']);
+        exit;
+    }
+
+    header('Access-Control-Allow-Origin: ' . $origin);
+    header('Access-Control-Allow-Methods: ' . $methods);
+    header('Access-Control-Allow-Headers: Content-Type');
+    header('Vary: Origin');
+}
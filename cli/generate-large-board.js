@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Large Board Generator
+ *
+ * Writes a synthetic Aging WIP chart file with thousands of items, for
+ * checking how the chart copes with big portfolio boards (canvas rendering,
+ * dot placement, dependency arrows). Same seed, same board.
+ *
+ * Usage:
+ *   node generate-large-board.js [-n 5000] [--seed 42] [-d 2026-10-16] > large-board.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const COLUMNS = ['Analysis', 'Ready', 'Development', 'Code Review', 'Testing', 'Ready to Deploy'];
+const TYPES = ['Story', 'Story', 'Story', 'Bug', 'Task'];
+const PRIORITIES = ['Highest', 'High', 'Medium', 'Medium', 'Medium', 'Low', 'Lowest'];
+const TEAMS = ['team-a', 'team-b', 'team-c'];
+const PEOPLE = ['Ana Lima', 'Bo Chen', 'Cy Diaz', 'Dee Okafor', 'Eli Novak', 'Fay Haddad', 'Gus Moreau', 'Hana Sato', 'Ivo Petrov', 'Jo Mensah', 'Kai Berg', 'Lia Costa'];
+const EPIC_COUNT = 40;
+const PERCENTILES = [50, 75, 85, 90];
+const DEPENDENCY_RATE = 0.08; // Share of items that depend on another one
+const BLOCKED_RATE = 0.05;
+
+// ============================================================================
+// Random Numbers
+// ============================================================================
+
+/**
+ * Park-Miller generator, so a seed always gives the same board.
+ */
+function createRandom(seed) {
+  let state = (Math.abs(Math.floor(seed)) % 2147483646) + 1;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+// ============================================================================
+// Board
+// ============================================================================
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Ages skew young with a long tail, as on real boards; later columns hold older items.
+ */
+function randomAge(random, columnIndex) {
+  const base = -Math.log(1 - random()) * (6 + columnIndex * 4);
+  return Math.max(0, Math.round(base + columnIndex * 2));
+}
+
+function buildColumn(name, index) {
+  // SLE steps grow with the column's place in the workflow
+  const step = 3 + index * 3;
+  const sle = PERCENTILES.map((percentile, position) => Math.round(step * (1 + position * 0.6)));
+  return { name: name, order: index + 1, sle: sle, sle_in_status: sle.map(value => Math.max(1, Math.round(value / 2))), items: [] };
+}
+
+function buildItem(random, index, referenceDate) {
+  const columnIndex = Math.floor(random() * COLUMNS.length);
+  const age = randomAge(random, columnIndex);
+  const inState = Math.min(age, Math.round(random() * age));
+  const blocked = random() < BLOCKED_RATE;
+  const epic = Math.floor(random() * EPIC_COUNT) + 1;
+  const key = `PORT-${index + 1}`;
+
+  return {
+    columnIndex: columnIndex,
+    item: {
+      key: key,
+      title: `Portfolio item ${index + 1}`,
+      type: pick(random, TYPES),
+      age: age,
+      age_in_current_state: inState,
+      start_date: addDays(referenceDate, -age),
+      current_state_start_date: addDays(referenceDate, -inState),
+      blocked: blocked,
+      blocked_days: blocked ? Math.max(1, Math.round(inState / 2)) : 0,
+      blocked_since: blocked ? addDays(referenceDate, -Math.round(inState / 2)) : null,
+      priority: pick(random, PRIORITIES),
+      assignee: random() < 0.1
+        ? { name: 'Unassigned', picture: '', link: '#' }
+        : { name: pick(random, PEOPLE), picture: '', link: '#' },
+      labels: [pick(random, TEAMS)],
+      parent: { key: `EPIC-${epic}`, title: `Epic ${epic}`, url: `https://example.com/browse/EPIC-${epic}` },
+      url: `https://example.com/browse/${key}`,
+      depends_on: index > 0 && random() < DEPENDENCY_RATE ? [`PORT-${Math.floor(random() * index) + 1}`] : []
+    }
+  };
+}
+
+function generateBoard(count, seed, referenceDate) {
+  const random = createRandom(seed);
+  const theme = JSON.parse(fs.readFileSync(path.join(__dirname, 'theme-default.json'), 'utf-8'));
+  const columns = COLUMNS.map(buildColumn);
+
+  for (let i = 0; i < count; i++) {
+    const generated = buildItem(random, i, referenceDate);
+    columns[generated.columnIndex].items.push(generated.item);
+  }
+
+  const oldest = Math.max(0, ...columns.flatMap(col => col.items.map(item => item.age)));
+  return {
+    title: `Generated portfolio - ${count} items`,
+    subtitle: `Synthetic board, seed ${seed}`,
+    reference_date: referenceDate,
+    min_days: 0,
+    max_days: Math.ceil((oldest + 1) / 10) * 10,
+    theme: theme,
+    features: {
+      dependencies: { enabled: true, show_toggle: true, default_visible: true, arrow_color: '#303030', arrow_thickness: 2 },
+      filters: { enabled: true, fields: ['type', 'assignee', 'label', 'parent', 'priority'] }
+    },
+    columns: columns,
+    sle_definition: { percentiles: PERCENTILES, window: '90d', method: 'linear', reference_date: referenceDate }
+  };
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+function parseArgs(args) {
+  const values = { items: 5000, seed: 42, date: new Date().toISOString().slice(0, 10) };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if ((arg === '-n' || arg === '--items') && i + 1 < args.length) {
+      values.items = parseInt(args[++i]);
+    } else if (arg === '--seed' && i + 1 < args.length) {
+      values.seed = parseInt(args[++i]);
+    } else if ((arg === '-d' || arg === '--date') && i + 1 < args.length) {
+      values.date = args[++i];
+    } else if (arg === '-h' || arg === '--help') {
+      console.log('Usage: node generate-large-board.js [-n, --items <count>] [--seed <n>] [-d, --date <YYYY-MM-DD>] > board.json');
+      process.exit(0);
+    } else {
+      console.error(`Error: Unknown option ${arg}`);
+      process.exit(1);
+    }
+  }
+
+  if (!(values.items > 0) || isNaN(values.seed)) {
+    console.error('Error: --items must be a positive number and --seed a number');
+    process.exit(1);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(values.date)) {
+    console.error('Error: --date must be YYYY-MM-DD');
+    process.exit(1);
+  }
+
+  return values;
+}
+
+const options = parseArgs(process.argv.slice(2));
+console.log(JSON.stringify(generateBoard(options.items, options.seed, options.date), null, 2));
@@ -13,13 +13,21 @@
  *   JIRA_URL - Base URL of your Jira instance
  *   JIRA_USER - Your Jira email
  *   JIRA_API_TOKEN - Your Jira API token
+ *
+ * Other trackers (--source github|gitlab|linear|csv) are read through the
+ * adapters in ./sources, which normalize their issues into the same shape.
  */
 
 import https from 'https';
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { URL, fileURLToPath } from 'url';
+import { SOURCES, createAdapter, parseStatusCategories, createFixtureTransport, createRecordingTransport } from './sources/index.js';
+import {
+  DEFAULT_PERCENTILES, calculatePercentile, calculateSle, calculateSleRisk, fitSleColors, simulateItemsByDate, simulateDaysToFinish
+} from '../src/lib/metrics.js';
 
 // ES Module equivalents for __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -48,8 +56,19 @@ const DEFAULT_THEME = {
   }
 };
 
-const RATE_LIMIT_DELAY = 100; // ms between requests
+const RATE_LIMIT_DELAY = 100; // ms between request starts
 const MAX_RESULTS_PER_PAGE = 100;
+const DEFAULT_SLE_MIN_SAMPLES = 5; // Fewer exits than this and a column uses the board-level SLE
+const SLE_CONFIDENCE_LEVEL = 90; // Percent, for the bootstrap intervals around each SLE value
+const SLE_BOOTSTRAP_RESAMPLES = 1000;
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const SLE_METHOD = 'linear'; // Percentiles interpolate between the two nearest exits, then round up
+const DEFAULT_DEPENDENCY_LINKS = ['Blocks:inward']; // "is blocked by"
+const SLE_SEGMENT_DIMENSIONS = ['type', 'priority', 'class'];
+const DEFAULT_CLASSES_OF_SERVICE = ['Expedite', 'Fixed Date', 'Standard', 'Intangible'];
+const DEFAULT_CLASS_OF_SERVICE = 'Standard'; // Items without a class label
+const SWIMLANE_DIMENSIONS = ['assignee', 'label', 'parent', 'project', 'class'];
+const CUSTOM_FIELD_PATTERN = /^customfield_\d+$/;
 
 // ============================================================================
 // Logging Utilities
@@ -59,7 +78,7 @@ let VERBOSITY = 0; // 0 = silent, 1 = verbose, 2 = debug, 3 = trace
 
 function log(message, level = 1) {
   if (VERBOSITY >= level) {
-    console.error(`[${new Date().toISOString()}] ${message}`);
+    console.error(`[${new Date().toISOString()}] ${scrubSecrets(message)}`);
   }
 }
 
@@ -67,6 +86,28 @@ function verbose(message) { log(message, 1); }
 function debug(message) { log(message, 2); }
 function trace(message) { log(message, 3); }
 
+// Tokens and keys seen this run; scrubSecrets() masks them in logs and error payloads
+const secrets = new Set();
+
+function registerSecret(value) {
+  if (value && String(value).length >= 4) {
+    secrets.add(String(value));
+  }
+}
+
+function scrubSecrets(text) {
+  let scrubbed = String(text);
+  secrets.forEach(secret => {
+    scrubbed = scrubbed.split(secret).join('***');
+  });
+
+  // Credentials that were never registered, e.g. echoed headers or environment
+  return scrubbed
+    .replace(/\b(Basic|Bearer)\s+[A-Za-z0-9+/=._~-]{8,}/g, '$1 ***')
+    .replace(/\b((?:JIRA_API_TOKEN|GITHUB_TOKEN|GITLAB_TOKEN|LINEAR_API_KEY|CONNECTIONS_KEY)\s*[=:]\s*)("[^"]*"|'[^']*'|\S+)/g, '$1***')
+    .replace(/("(?:jiraApiToken|apiToken|apiKey|token|password)"\s*:\s*)"[^"]*"/gi, '$1"***"');
+}
+
 // ============================================================================
 // Environment & Configuration Loading
 // ============================================================================
@@ -94,9 +135,29 @@ function loadEnvFile() {
   return env;
 }
 
-function getConfig() {
+function getConfig(sourceName = 'jira', options = {}) {
   const envFile = loadEnvFile();
   
+  // Other sources only read their own variables; replayed fixtures need no credentials
+  if (sourceName !== 'jira') {
+    const source = SOURCES[sourceName];
+    const sourceConfig = {};
+    source.required.concat(source.optional).forEach(name => {
+      sourceConfig[name] = envFile[name] || process.env[name];
+    });
+
+    const missingSourceVars = options.offline ? [] : source.required.filter(name => !sourceConfig[name]);
+    if (missingSourceVars.length > 0) {
+      console.error(`Error: Missing required configuration: ${missingSourceVars.join(', ')}`);
+      console.error('Set these as environment variables or in a .env file');
+      process.exit(1);
+    }
+
+    Object.keys(sourceConfig).filter(name => /TOKEN|KEY/.test(name)).forEach(name => registerSecret(sourceConfig[name]));
+    debug(`Configuration loaded for source: ${sourceName}`);
+    return sourceConfig;
+  }
+  
   // .env file overrides environment variables
   const config = {
     JIRA_URL: envFile.JIRA_URL || process.env.JIRA_URL,
@@ -107,8 +168,8 @@ function getConfig() {
   // Validate required config
   const missing = [];
   if (!config.JIRA_URL) missing.push('JIRA_URL');
-  if (!config.JIRA_USER) missing.push('JIRA_USER');
-  if (!config.JIRA_API_TOKEN) missing.push('JIRA_API_TOKEN');
+  if (!config.JIRA_USER && !options.offline) missing.push('JIRA_USER');
+  if (!config.JIRA_API_TOKEN && !options.offline) missing.push('JIRA_API_TOKEN');
 
   if (missing.length > 0) {
     console.error(`Error: Missing required configuration: ${missing.join(', ')}`);
@@ -123,11 +184,281 @@ function getConfig() {
   return config;
 }
 
+// ============================================================================
+// Jira Connections
+// ============================================================================
+
+// Credentials stay on the server: the browser only ever names a connection.
+// "default" comes from JIRA_URL/JIRA_USER/JIRA_API_TOKEN; named ones live in an
+// AES-256-GCM encrypted file unlocked by CONNECTIONS_KEY.
+const CONNECTIONS_FILE = process.env.CONNECTIONS_FILE || path.join(__dirname, 'connections.enc');
+const DEFAULT_CONNECTION = 'default';
+const CONNECTION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+let connectionsCache = null; // { file, mtimeMs, key, connections } so servers decrypt once per change
+
+function getEnvValue(name) {
+  return loadEnvFile()[name] || process.env[name] || null;
+}
+
+function getConnectionsKey(connectionsFile) {
+  const key = getEnvValue('CONNECTIONS_KEY');
+  if (!key) {
+    throw new Error(`CONNECTIONS_KEY must be set to use ${connectionsFile}`);
+  }
+  registerSecret(key);
+  return key;
+}
+
+function encryptConnections(connections, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, salt, 32);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(connections), 'utf8'), cipher.final()]);
+
+  return {
+    version: 1,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptConnections(file, passphrase, connectionsFile) {
+  const key = crypto.scryptSync(passphrase, Buffer.from(file.salt, 'base64'), 32);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+  try {
+    const data = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch {
+    throw new Error(`Could not decrypt ${connectionsFile}; check CONNECTIONS_KEY`);
+  }
+}
+
+function readConnections(connectionsFile) {
+  if (!fs.existsSync(connectionsFile)) {
+    return {};
+  }
+
+  const mtimeMs = fs.statSync(connectionsFile).mtimeMs;
+  const key = getConnectionsKey(connectionsFile);
+  if (!connectionsCache || connectionsCache.file !== connectionsFile || connectionsCache.mtimeMs !== mtimeMs || connectionsCache.key !== key) {
+    const file = JSON.parse(fs.readFileSync(connectionsFile, 'utf-8'));
+    connectionsCache = { file: connectionsFile, mtimeMs, key, connections: decryptConnections(file, key, connectionsFile) };
+    Object.values(connectionsCache.connections).forEach(connection => registerSecret(connection.jiraApiToken));
+  }
+  return connectionsCache.connections;
+}
+
+function writeConnections(connections, connectionsFile) {
+  const file = encryptConnections(connections, getConnectionsKey(connectionsFile));
+  fs.mkdirSync(path.dirname(connectionsFile), { recursive: true });
+  fs.writeFileSync(connectionsFile, JSON.stringify(file, null, 2), { mode: 0o600 });
+  connectionsCache = null;
+}
+
+function getDefaultConnection() {
+  const connection = {
+    name: 'Default',
+    jiraUrl: getEnvValue('JIRA_URL'),
+    jiraUser: getEnvValue('JIRA_USER'),
+    jiraApiToken: getEnvValue('JIRA_API_TOKEN')
+  };
+  return connection.jiraUrl && connection.jiraUser && connection.jiraApiToken ? connection : null;
+}
+
+function findConnection(id, connectionsFile) {
+  const connections = readConnections(connectionsFile);
+  if (connections[id]) {
+    return connections[id];
+  }
+  return id === DEFAULT_CONNECTION ? getDefaultConnection() : null;
+}
+
+/**
+ * Connections without their tokens, safe to send to the browser.
+ */
+function listConnections(connectionsFile = CONNECTIONS_FILE) {
+  const connections = { ...readConnections(connectionsFile) };
+  if (!connections[DEFAULT_CONNECTION] && getDefaultConnection()) {
+    connections[DEFAULT_CONNECTION] = getDefaultConnection();
+  }
+
+  return Object.keys(connections).sort().map(id => ({
+    id: id,
+    name: connections[id].name || id,
+    jiraUrl: connections[id].jiraUrl,
+    jiraUser: connections[id].jiraUser
+  }));
+}
+
+/**
+ * Client config for a connection, or null when it does not exist.
+ */
+function resolveConnection(id = DEFAULT_CONNECTION, connectionsFile = CONNECTIONS_FILE) {
+  const connection = findConnection(id, connectionsFile);
+  if (!connection) {
+    return null;
+  }
+
+  registerSecret(connection.jiraApiToken);
+  return {
+    JIRA_URL: connection.jiraUrl.replace(/\/$/, ''),
+    JIRA_USER: connection.jiraUser,
+    JIRA_API_TOKEN: connection.jiraApiToken
+  };
+}
+
+function saveConnection(id, connection, connectionsFile = CONNECTIONS_FILE) {
+  if (!CONNECTION_ID_PATTERN.test(id)) {
+    throw new Error('Connection id must be 1-64 letters, digits, "-" or "_"');
+  }
+  if (!connection.jiraUrl || !connection.jiraUser || !connection.jiraApiToken) {
+    throw new Error('A connection needs a Jira URL, user and API token');
+  }
+
+  const connections = { ...readConnections(connectionsFile) };
+  connections[id] = {
+    name: connection.name || id,
+    jiraUrl: connection.jiraUrl.replace(/\/$/, ''),
+    jiraUser: connection.jiraUser,
+    jiraApiToken: connection.jiraApiToken
+  };
+  writeConnections(connections, connectionsFile);
+}
+
+function removeConnection(id, connectionsFile = CONNECTIONS_FILE) {
+  const connections = { ...readConnections(connectionsFile) };
+  if (!connections[id]) {
+    return false;
+  }
+  delete connections[id];
+  writeConnections(connections, connectionsFile);
+  return true;
+}
+
+/**
+ * The read-only connections API shared by every server: GET /connections.
+ * Connections are added on the server with --save-connection, never over HTTP.
+ * @returns {{ status: number, body: Object }}
+ */
+function handleConnectionsRequest(method, connectionsFile = CONNECTIONS_FILE) {
+  if (method !== 'GET') {
+    return { status: 405, body: { error: 'Method not allowed' } };
+  }
+  try {
+    return { status: 200, body: { connections: listConnections(connectionsFile) } };
+  } catch (error) {
+    return { status: 500, body: { error: scrubSecrets(error.message) } };
+  }
+}
+
+/**
+ * The boards API shared by every server: GET /boards?connection=<id> lists the
+ * connection's Jira Agile boards for the board picker.
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function handleBoardsRequest(method, connectionId, request = makeRequest, connectionsFile = CONNECTIONS_FILE) {
+  if (method !== 'GET') {
+    return { status: 405, body: { error: 'Method not allowed' } };
+  }
+  try {
+    const connection = resolveConnection(connectionId || DEFAULT_CONNECTION, connectionsFile);
+    if (!connection) {
+      return { status: 404, body: { error: `Unknown connection: ${connectionId || DEFAULT_CONNECTION}` } };
+    }
+    return { status: 200, body: { boards: await new JiraClient(connection, { request: request }).getBoards() } };
+  } catch (error) {
+    return { status: 500, body: { error: scrubSecrets(error.message) } };
+  }
+}
+
 // ============================================================================
 // HTTP Request Utilities
 // ============================================================================
 
-function makeRequest(url, options = {}) {
+// Defaults for createRequester(); the CLI overrides some from its options
+const DEFAULT_REQUEST_SETTINGS = {
+  retries: 5,                       // Retries after the first attempt
+  timeout: 30000,                   // ms per attempt
+  concurrency: 10,                  // Requests in flight at once
+  minInterval: RATE_LIMIT_DELAY,    // ms between request starts
+  baseDelay: 1000,                  // First backoff step, doubled per retry
+  maxDelay: 60000,                  // Longest single wait, Retry-After included
+  now: () => Date.now(),            // Clock and timer; tests swap in fake ones
+  sleep: ms => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+
+/**
+ * Concurrency limiter: a queue of waiting requests plus the earliest start times.
+ */
+function createLimiter(settings) {
+  return {
+    settings: settings,
+    active: 0,
+    queue: [],
+    nextStart: 0,
+    pausedUntil: 0 // Set when the server says the rate limit is used up
+  };
+}
+
+function acquireSlot(limiter) {
+  return new Promise(resolve => {
+    limiter.queue.push(resolve);
+    drainQueue(limiter);
+  });
+}
+
+function releaseSlot(limiter) {
+  limiter.active--;
+  drainQueue(limiter);
+}
+
+function drainQueue(limiter) {
+  const settings = limiter.settings;
+  while (limiter.active < settings.concurrency && limiter.queue.length > 0) {
+    limiter.active++;
+    const start = limiter.queue.shift();
+    const now = settings.now();
+    const startAt = Math.max(now, limiter.nextStart, limiter.pausedUntil);
+    limiter.nextStart = startAt + settings.minInterval;
+    settings.sleep(startAt - now).then(start);
+  }
+}
+
+/**
+ * How long the server asked us to wait, in ms: Retry-After (seconds or an
+ * HTTP date), else X-RateLimit-Reset (an ISO date as Jira sends it, or epoch
+ * seconds) when the limit is used up. Null when there is no hint.
+ */
+function getRateLimitWait(statusCode, headers, now) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const wait = /^\d+(\.\d+)?$/.test(retryAfter) ? parseFloat(retryAfter) * 1000 : Date.parse(retryAfter) - now;
+    if (!isNaN(wait)) return Math.max(0, wait);
+  }
+
+  const reset = headers['x-ratelimit-reset'];
+  if (reset && (statusCode === 429 || headers['x-ratelimit-remaining'] === '0')) {
+    const resetAt = /^\d+$/.test(reset) ? parseInt(reset) * 1000 : Date.parse(reset);
+    if (!isNaN(resetAt)) return Math.max(0, resetAt - now);
+  }
+
+  return null;
+}
+
+function getBackoffDelay(attempt, settings) {
+  // Exponential backoff with jitter so parallel requests do not retry in lockstep
+  const delay = Math.min(settings.maxDelay, settings.baseDelay * Math.pow(2, attempt));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function sendRequest(url, options, timeout) {
   return new Promise((resolve, reject) => {
     const parsedUrl = new URL(url);
     const isHttps = parsedUrl.protocol === 'https:';
@@ -152,19 +483,16 @@ function makeRequest(url, options = {}) {
 
       res.on('end', () => {
         trace(`HTTP ${res.statusCode} - ${data.length} bytes received`);
-        
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error(`Failed to parse JSON response: ${e.message}`));
-          }
-        } else if (res.statusCode === 429) {
-          reject(new Error('Rate limit exceeded. Please try again later.'));
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-        }
+        resolve({ statusCode: res.statusCode, headers: res.headers, data: data });
       });
+
+      res.on('error', (e) => {
+        reject(new Error(`Response failed: ${e.message}`));
+      });
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`timed out after ${timeout}ms`));
     });
 
     req.on('error', (e) => {
@@ -179,8 +507,128 @@ function makeRequest(url, options = {}) {
   });
 }
 
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Request JSON through the requester's limiter. Socket errors, timeouts, 429s
+ * and 502/503/504s are retried with backoff, waiting as long as the server asks.
+ */
+async function requestWithRetries(limiter, url, options) {
+  const settings = limiter.settings;
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot(limiter);
+    let response;
+    let failure = null;
+    try {
+      response = await sendRequest(url, options, settings.timeout);
+    } catch (error) {
+      failure = error;
+    }
+
+    const wait = response ? getRateLimitWait(response.statusCode, response.headers, settings.now()) : null;
+    const ok = response && response.statusCode >= 200 && response.statusCode < 300;
+    const delay = wait !== null ? Math.min(wait, settings.maxDelay) : getBackoffDelay(attempt, settings);
+    if ((ok && wait !== null) || (response && response.statusCode === 429)) {
+      // Quota used up: hold back every request until it resets. Set before the
+      // slot is freed, or the next queued request would fire straight into the limit.
+      limiter.pausedUntil = Math.max(limiter.pausedUntil, settings.now() + delay);
+    }
+    releaseSlot(limiter);
+
+    if (response) {
+      if (ok) {
+        try {
+          return JSON.parse(response.data);
+        } catch (e) {
+          throw new Error(`Failed to parse JSON response: ${e.message}`);
+        }
+      }
+
+      if (response.statusCode === 429) {
+        failure = new Error('Rate limit exceeded. Please try again later.');
+      } else {
+        failure = new Error(`HTTP ${response.statusCode}: ${response.data}`);
+      }
+      if (!RETRYABLE_STATUS_CODES.includes(response.statusCode)) {
+        throw failure;
+      }
+    }
+
+    if (attempt >= settings.retries) {
+      throw attempt > 0 ? new Error(`${failure.message} (gave up after ${attempt} retries)`) : failure;
+    }
+
+    verbose(`${failure.message.split('\n')[0].slice(0, 200)} - retrying ${url} in ${delay}ms (${attempt + 1}/${settings.retries})`);
+    await settings.sleep(delay);
+  }
+}
+
+/**
+ * A request function with its own settings and limiter, shared by every
+ * request it makes (Jira and the other sources). The CLI makes one per run.
+ * @param {Partial<typeof DEFAULT_REQUEST_SETTINGS>} [settings]
+ * @returns {(url: string, options?: Object) => Promise<Object>}
+ */
+function createRequester(settings = {}) {
+  const limiter = createLimiter({ ...DEFAULT_REQUEST_SETTINGS, ...settings });
+  return (url, options = {}) => requestWithRetries(limiter, url, options);
+}
+
+// Used by the API servers and anything not given a requester
+const makeRequest = createRequester();
+
+// ============================================================================
+// Issue Cache
+// ============================================================================
+
+// One JSON file per Jira URL + user + JQL: users with different permissions see
+// different issues. Bump the version when the cached issue shape changes.
+const CACHE_VERSION = 1;
+const DEFAULT_CACHE_DIR = path.join(__dirname, '.cache');
+const CACHE_KEY_BATCH_SIZE = 100; // Keys per "key in (...)" refetch
+
+function issueCachePath(cacheDir, baseUrl, user, jql) {
+  const hash = crypto.createHash('sha1').update(`${baseUrl}\n${user}\n${jql}`).digest('hex').slice(0, 16);
+  return path.join(cacheDir, `issues-${hash}.json`);
+}
+
+function readIssueCache(cacheFile) {
+  if (!fs.existsSync(cacheFile)) {
+    return null;
+  }
+
+  try {
+    const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+    if (cache.version !== CACHE_VERSION) {
+      verbose(`Ignoring cache from an older version: ${cacheFile}`);
+      return null;
+    }
+    return cache;
+  } catch (e) {
+    verbose(`Warning: Ignoring unreadable cache ${cacheFile}: ${e.message}`);
+    return null;
+  }
+}
+
+function writeIssueCache(cacheFile, cache) {
+  try {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    // Write then rename so a concurrent run never reads half a file
+    const tempFile = `${cacheFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(cache));
+    fs.renameSync(tempFile, cacheFile);
+    debug(`Cached ${cache.issues.length} issues in ${cacheFile}`);
+  } catch (e) {
+    verbose(`Warning: Could not write cache ${cacheFile}: ${e.message}`);
+  }
+}
+
+function clearIssueCache(cacheDir) {
+  if (!fs.existsSync(cacheDir)) {
+    return 0;
+  }
+
+  const files = fs.readdirSync(cacheDir).filter(name => /^issues-[0-9a-f]+\.json$/.test(name));
+  files.forEach(name => fs.unlinkSync(path.join(cacheDir, name)));
+  return files.length;
 }
 
 // ============================================================================
@@ -188,9 +636,15 @@ async function sleep(ms) {
 // ============================================================================
 
 class JiraClient {
-  constructor(config) {
+  constructor(config, options = {}) {
     this.baseUrl = config.JIRA_URL;
+    this.user = config.JIRA_USER;
     this.authHeader = 'Basic ' + Buffer.from(`${config.JIRA_USER}:${config.JIRA_API_TOKEN}`).toString('base64');
+    registerSecret(config.JIRA_API_TOKEN);
+    registerSecret(this.authHeader.slice('Basic '.length));
+    this.transport = options.request || makeRequest; // Swapped for fixture replay/recording
+    this.cacheDir = options.cacheDir || null;
+    this.refreshCache = Boolean(options.refreshCache);
   }
 
   async request(endpoint, options = {}) {
@@ -202,12 +656,11 @@ class JiraClient {
       ...options.headers
     };
 
-    await sleep(RATE_LIMIT_DELAY); // Rate limiting
-    return makeRequest(url, { ...options, headers });
+    return this.transport(url, { ...options, headers });
   }
 
-  async searchIssues(jql, startAt = 0) {
-    const fields = [
+  async searchIssues(jql, startAt = 0, fieldList = null) {
+    const fields = fieldList || [
       'key',
       'summary',
       'issuetype',
@@ -217,23 +670,26 @@ class JiraClient {
       'labels',
       'parent',
       'created',
+      'updated',
       'issuelinks',
       'customfield_*' // We'll filter relevant custom fields later
     ];
+    // Narrow field lists (cache sync) skip the changelog too
+    const expand = fieldList ? '' : '&expand=changelog';
 
-    const endpoint = `/rest/api/3/search/jql?jql=${encodeURIComponent(jql)}&startAt=${startAt}&maxResults=${MAX_RESULTS_PER_PAGE}&fields=${fields.join(',')}&expand=changelog`;
+    const endpoint = `/rest/api/3/search/jql?jql=${encodeURIComponent(jql)}&startAt=${startAt}&maxResults=${MAX_RESULTS_PER_PAGE}&fields=${fields.join(',')}${expand}`;
     
     verbose(`Fetching issues: startAt=${startAt}, maxResults=${MAX_RESULTS_PER_PAGE}`);
     return this.request(endpoint);
   }
 
-  async getAllIssues(jql) {
+  async searchAllIssues(jql, fieldList = null) {
     let allIssues = [];
     let startAt = 0;
     let total = null;
 
     do {
-      const response = await this.searchIssues(jql, startAt);
+      const response = await this.searchIssues(jql, startAt, fieldList);
       allIssues = allIssues.concat(response.issues);
       
       if (total === null) {
@@ -247,41 +703,111 @@ class JiraClient {
     } while (allIssues.length < total);
 
     verbose(`Successfully fetched all ${allIssues.length} issues`);
-    
+    return allIssues;
+  }
+
+  async getAllIssues(jql, options = {}) {
+    const cacheFile = this.cacheDir ? issueCachePath(this.cacheDir, this.baseUrl, this.user, jql) : null;
+    const cache = cacheFile && !this.refreshCache ? readIssueCache(cacheFile) : null;
+
+    let allIssues;
+    let completeKeys = new Set(); // Issues whose changelog is already complete
+    if (cache) {
+      const synced = await this.syncCachedIssues(jql, cache);
+      allIssues = synced.issues;
+      completeKeys = synced.completeKeys;
+    } else {
+      allIssues = await this.searchAllIssues(jql);
+    }
+
     // The search API returns incomplete changelogs. Fetch complete changelogs for non-done issues.
-    // We only need complete changelogs for active issues that will be displayed on the board.
+    // We only need complete changelogs for active issues that will be displayed on the board,
+    // unless the caller replays history (snapshots), which needs the full changelog of done issues too.
     const activeIssues = allIssues.filter(issue => {
+      if (completeKeys.has(issue.key)) return false;
+      if (options.includeDone) return true;
       const statusCategory = issue.fields.status && issue.fields.status.statusCategory && issue.fields.status.statusCategory.key;
       return statusCategory !== 'done';
     });
-    
+
     if (activeIssues.length > 0) {
-      verbose(`Fetching complete changelogs for ${activeIssues.length} active issues (skipping ${allIssues.length - activeIssues.length} done issues)...`);
+      verbose(`Fetching complete changelogs for ${activeIssues.length} issues (skipping ${allIssues.length - activeIssues.length} done issues)...`);
       
-      // Process in batches of 10 concurrent requests for better performance
-      const batchSize = 10;
-      for (let i = 0; i < activeIssues.length; i += batchSize) {
-        const batch = activeIssues.slice(i, Math.min(i + batchSize, activeIssues.length));
-        await Promise.all(batch.map(async (issue) => {
-          try {
-            const fullIssue = await this.request(`/rest/api/3/issue/${issue.key}?expand=changelog&fields=changelog`);
-            if (fullIssue.changelog) {
-              issue.changelog = fullIssue.changelog;
-              debug(`  Enriched changelog for ${issue.key}: ${fullIssue.changelog.total} history entries`);
-            }
-          } catch (error) {
-            verbose(`  Warning: Could not fetch complete changelog for ${issue.key}: ${error.message}`);
+      // The shared request limiter keeps the number of requests in flight bounded
+      await Promise.all(activeIssues.map(async (issue) => {
+        try {
+          const fullIssue = await this.request(`/rest/api/3/issue/${issue.key}?expand=changelog&fields=changelog`);
+          if (fullIssue.changelog) {
+            issue.changelog = fullIssue.changelog;
+            completeKeys.add(issue.key);
+            debug(`  Enriched changelog for ${issue.key}: ${fullIssue.changelog.total} history entries`);
           }
-        }));
-      }
+        } catch (error) {
+          verbose(`  Warning: Could not fetch complete changelog for ${issue.key}: ${error.message}`);
+        }
+      }));
       verbose(`Completed changelog enrichment`);
     } else {
       verbose(`No active issues require changelog enrichment`);
     }
+
+    if (cacheFile) {
+      writeIssueCache(cacheFile, {
+        version: CACHE_VERSION,
+        jira_url: this.baseUrl,
+        jql: jql,
+        synced_at: new Date().toISOString(),
+        issues: allIssues.map(issue => ({ complete: completeKeys.has(issue.key), issue: issue }))
+      });
+    }
     
     return allIssues;
   }
 
+  /**
+   * Bring a cached result up to date: list the query's keys with their
+   * `updated` timestamps, reuse unchanged issues and refetch only new or
+   * updated ones. Issues that no longer match the query drop out.
+   */
+  async syncCachedIssues(jql, cache) {
+    const cachedByKey = new Map(cache.issues.map(entry => [entry.issue.key, entry]));
+
+    verbose(`Checking ${cache.issues.length} cached issues (last synced ${cache.synced_at})...`);
+    const members = await this.searchAllIssues(jql, ['updated']);
+    const staleKeys = new Set(members
+      .filter(member => {
+        const entry = cachedByKey.get(member.key);
+        return !entry || entry.issue.fields.updated !== member.fields.updated;
+      })
+      .map(member => member.key));
+    const memberKeys = new Set(members.map(member => member.key));
+    const removed = Array.from(cachedByKey.keys()).filter(key => !memberKeys.has(key)).length;
+    verbose(`Cache: ${members.length - staleKeys.size} unchanged, ${staleKeys.size} new or updated, ${removed} no longer matching`);
+
+    const staleList = Array.from(staleKeys);
+    const freshByKey = new Map();
+    for (let i = 0; i < staleList.length; i += CACHE_KEY_BATCH_SIZE) {
+      const batch = staleList.slice(i, i + CACHE_KEY_BATCH_SIZE);
+      const fresh = await this.searchAllIssues(`key in (${batch.join(',')})`);
+      fresh.forEach(issue => freshByKey.set(issue.key, issue));
+    }
+
+    // Keep the query's ordering
+    const issues = [];
+    const completeKeys = new Set();
+    members.forEach(member => {
+      if (freshByKey.has(member.key)) {
+        issues.push(freshByKey.get(member.key));
+      } else if (!staleKeys.has(member.key)) {
+        const entry = cachedByKey.get(member.key);
+        issues.push(entry.issue);
+        if (entry.complete) completeKeys.add(member.key);
+      }
+    });
+
+    return { issues, completeKeys };
+  }
+
   async getStatusesByIds(statusIds) {
     if (statusIds.length === 0) {
       return [];
@@ -293,67 +819,383 @@ class JiraClient {
     verbose(`Fetched ${statuses.length} status definitions`);
     return statuses;
   }
+
+  async getBoards() {
+    let boards = [];
+    let startAt = 0;
+    let response;
+
+    do {
+      response = await this.request(`/rest/agile/1.0/board?startAt=${startAt}&maxResults=${MAX_RESULTS_PER_PAGE}`);
+      boards = boards.concat(response.values || []);
+      startAt += (response.values || []).length;
+    } while (response.isLast === false && (response.values || []).length > 0);
+
+    verbose(`Fetched ${boards.length} boards`);
+    return boards.map(board => ({
+      id: board.id,
+      name: board.name,
+      type: board.type,
+      project: board.location ? board.location.projectKey || board.location.name || null : null
+    }));
+  }
+
+  /**
+   * Read an Agile board's columns (with their statuses and limits) and the
+   * JQL behind it: the saved filter, plus the kanban sub-filter if any.
+   */
+  async getBoard(boardId) {
+    const config = await this.request(`/rest/agile/1.0/board/${boardId}/configuration`);
+    const filter = await this.request(`/rest/api/3/filter/${config.filter.id}`);
+
+    // The filter's ORDER BY can't be combined with the sub-filter
+    const filterJql = String(filter.jql || '').replace(/\s*\border\s+by\b[\s\S]*$/i, '').trim();
+    const subQuery = config.subQuery && config.subQuery.query ? config.subQuery.query.trim() : '';
+    const jql = [filterJql, subQuery].filter(Boolean).map(part => (subQuery && filterJql ? `(${part})` : part)).join(' AND ');
+
+    const columnConfig = config.columnConfig || { columns: [] };
+    const hasLimits = columnConfig.constraintType !== 'none';
+    const columns = columnConfig.columns.map(column => ({
+      name: column.name,
+      statusIds: (column.statuses || []).map(status => String(status.id)),
+      min: hasLimits && column.min >= 1 ? column.min : null,
+      max: hasLimits && column.max >= 1 ? column.max : null
+    }));
+
+    verbose(`Board ${config.name}: ${columns.length} columns, JQL: ${jql}`);
+    return {
+      id: config.id,
+      name: config.name,
+      jql: jql,
+      url: `${this.baseUrl}/secure/RapidBoard.jspa?rapidView=${config.id}`,
+      columns: columns
+    };
+  }
 }
 
 // ============================================================================
-// Data Transformation
+// Data Sources
 // ============================================================================
 
-function calculateAge(createdDate, referenceDate) {
-  const created = new Date(createdDate);
-  const reference = new Date(referenceDate);
-  const diffMs = reference - created;
-  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-  // ProKanban best practice: work is "Day 1" from the moment it starts
-  // No such thing as "zero days old" - work incurs cost from day one
-  return Math.max(1, diffDays + 1);
-}
+function createSource(sourceName, config, options = {}) {
+  // Fixture replay never touches the network; recording wraps the real transport
+  const live = options.request || makeRequest;
+  let request = live;
+  if (options.fixtures) {
+    verbose(`Replaying HTTP fixtures from ${options.fixtures}`);
+    request = createFixtureTransport(options.fixtures);
+  } else if (options.recordFixtures) {
+    verbose(`Recording HTTP fixtures to ${options.recordFixtures}`);
+    request = createRecordingTransport(live, options.recordFixtures);
+  }
 
-function formatDate(isoDateString) {
-  const date = new Date(isoDateString);
-  const day = String(date.getDate()).padStart(2, '0');
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const year = date.getFullYear();
-  return `${year}-${month}-${day}`;
-}
+  if (sourceName === 'jira') {
+    // Fixture runs stay reproducible by skipping the issue cache
+    const useCache = !options.fixtures && !options.recordFixtures;
+    return new JiraClient(config, {
+      request: request,
+      cacheDir: useCache ? options.cacheDir : null,
+      refreshCache: options.refreshCache
+    });
+  }
 
-function buildStatusCategoryMap(statuses) {
-  const map = new Map();
-  
-  // Map status category strings to standard Jira keys
-  // The /rest/api/3/statuses endpoint returns statusCategory as a string
-  const categoryStringToKey = {
-    'TODO': 'new',
-    'IN_PROGRESS': 'indeterminate',
-    'DONE': 'done'
-  };
-  
-  statuses.forEach(status => {
-    if (status.statusCategory) {
-      let categoryKey;
-      
-      // Handle both API response formats:
-      // 1. /rest/api/3/statuses returns statusCategory as string: "TODO", "IN_PROGRESS", "DONE"
-      // 2. /rest/api/3/status/{id} returns statusCategory as object with .key property
-      if (typeof status.statusCategory === 'string') {
-        categoryKey = categoryStringToKey[status.statusCategory] || status.statusCategory.toLowerCase();
-      } else if (status.statusCategory.key) {
-        categoryKey = status.statusCategory.key;
-      }
-      
-      if (categoryKey) {
-        map.set(status.id, categoryKey);
-        // Also map by name for current status lookup
-        map.set(status.name, categoryKey);
-      }
-    }
+  return createAdapter(sourceName, config, {
+    request: request,
+    log: verbose,
+    statusCategories: options.statusCategories || {},
+    statusLabels: options.statusLabels || null
   });
-  debug(`Built status category map with ${map.size} entries`);
-  return map;
 }
 
-function buildStatusNameToIdMap(statuses) {
-  const map = new Map();
+// ============================================================================
+// Calendar (time zones, workdays, holidays)
+// ============================================================================
+
+// Day boundaries for ages, dates, windows and snapshots. Each chart passes its
+// own calendar down, so concurrent server requests never share one.
+const DEFAULT_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * @typedef {Object} Calendar
+ * @property {string} timeZone - IANA time zone the days are counted in
+ * @property {boolean} workdays - Count only Monday to Friday, minus holidays
+ * @property {string[]} holidays - YYYY-MM-DD, sorted
+ */
+const DEFAULT_CALENDAR = {
+  timeZone: DEFAULT_TIME_ZONE,
+  workdays: false,
+  holidays: []
+};
+
+const WEEKEND_DAYS = [0, 6]; // Sunday, Saturday
+const dateTimeFormats = new Map(); // time zone -> Intl.DateTimeFormat, slow to create
+
+function getDateTimeFormat(timeZone) {
+  if (!dateTimeFormats.has(timeZone)) {
+    // Throws a RangeError for unknown time zones
+    dateTimeFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return dateTimeFormats.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    getDateTimeFormat(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getZonedParts(time, timeZone) {
+  const parts = {};
+  getDateTimeFormat(timeZone).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return parts;
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of a timestamp in the time zone. Plain dates are
+ * already calendar dates and come back unchanged.
+ */
+function toLocalDate(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (typeof value === 'string' && DATE_PATTERN.test(value)) {
+    return value;
+  }
+  const parts = getZonedParts(value, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Epoch milliseconds of midnight at the start of a calendar date in the time zone.
+ */
+function startOfLocalDay(dateStr, timeZone = DEFAULT_TIME_ZONE) {
+  const wallClock = new Date(`${dateStr}T00:00:00Z`).getTime();
+  const offsetAt = time => {
+    const parts = getZonedParts(time, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+  };
+  // Second pass picks up a DST change between UTC midnight and local midnight
+  const guess = wallClock - offsetAt(wallClock);
+  return wallClock - offsetAt(guess);
+}
+
+function countWeekdays(fromDate, toDate) {
+  const days = daysBetween(fromDate, toDate) + 1;
+  const firstWeekday = new Date(`${fromDate}T00:00:00Z`).getUTCDay();
+  let count = Math.floor(days / 7) * 5;
+  for (let i = 0; i < days % 7; i++) {
+    if (!WEEKEND_DAYS.includes((firstWeekday + i) % 7)) count++;
+  }
+  return count;
+}
+
+/**
+ * Days from one calendar date to another, both included: every day, or in
+ * workdays mode only weekdays that are not holidays.
+ */
+function countDays(fromDate, toDate, calendar = DEFAULT_CALENDAR) {
+  if (toDate < fromDate) {
+    return 0;
+  }
+  if (!calendar.workdays) {
+    return daysBetween(fromDate, toDate) + 1;
+  }
+  const holidays = calendar.holidays.filter(date =>
+    date >= fromDate && date <= toDate && !WEEKEND_DAYS.includes(new Date(`${date}T00:00:00Z`).getUTCDay()));
+  return countWeekdays(fromDate, toDate) - holidays.length;
+}
+
+function isCountedDay(dateStr, calendar = DEFAULT_CALENDAR) {
+  return countDays(dateStr, dateStr, calendar) === 1;
+}
+
+/**
+ * Holiday dates from an iCalendar (.ics) or JSON file. JSON may be a list of
+ * dates, a list of { date } objects or an object keyed by date. All-day ICS
+ * events cover every day up to their (exclusive) DTEND; recurrence rules are
+ * not expanded.
+ * @returns {string[]} Sorted YYYY-MM-DD dates
+ */
+function parseHolidays(content, fileName = '') {
+  const dates = new Set();
+
+  if (/\.ics$/i.test(fileName) || content.includes('BEGIN:VCALENDAR')) {
+    // Unfold continuation lines before reading properties
+    const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    let event = null;
+    lines.forEach(line => {
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+      } else if (line === 'END:VEVENT' && event) {
+        if (event.start) {
+          const last = event.end && event.end > event.start ? addDays(event.end, -1) : event.start;
+          listDates(event.start, last).forEach(date => dates.add(date));
+        }
+        event = null;
+      } else if (event) {
+        const match = line.match(/^(DTSTART|DTEND)[^:]*:(\d{4})(\d{2})(\d{2})/);
+        if (match) {
+          event[match[1] === 'DTSTART' ? 'start' : 'end'] = `${match[2]}-${match[3]}-${match[4]}`;
+        }
+      }
+    });
+  } else {
+    const data = JSON.parse(content);
+    const entries = Array.isArray(data) ? data : Object.keys(data);
+    entries.forEach(entry => {
+      const date = typeof entry === 'string' ? entry : (entry && entry.date);
+      if (!DATE_PATTERN.test(date)) {
+        throw new Error(`Invalid holiday date: ${JSON.stringify(date)}. Use YYYY-MM-DD.`);
+      }
+      dates.add(date);
+    });
+  }
+
+  return Array.from(dates).sort();
+}
+
+/**
+ * How ages are counted, for the output JSON and the chart subtitle.
+ */
+function describeCalendar(calendar) {
+  return {
+    time_zone: calendar.timeZone,
+    workdays: calendar.workdays,
+    holidays: calendar.workdays ? calendar.holidays : []
+  };
+}
+
+function formatCalendarLabel(calendar) {
+  const days = calendar.workdays ? 'Business days' : 'Calendar days';
+  return `${days} · ${calendar.timeZone}`;
+}
+
+// ============================================================================
+// Workflow (commitment and delivery points)
+// ============================================================================
+
+/**
+ * Where work starts and ends for one chart, with status names lower-cased.
+ * `order` is the column order, so statuses right of a point count as past it.
+ * With no commitment statuses work starts on leaving the To Do category; with
+ * no delivery statuses it is delivered on reaching Done.
+ */
+function normalizeWorkflow(settings) {
+  const lower = list => (list || []).map(name => String(name).trim().toLowerCase());
+  return {
+    commitment: lower(settings.commitment),
+    delivery: lower(settings.delivery),
+    bounceDays: settings.bounceDays || 0,
+    order: lower(settings.order),
+    // Status name -> category, to place statuses the column order leaves out
+    categories: new Map(Array.from(settings.categories || []).map(([name, category]) => [String(name).trim().toLowerCase(), category]))
+  };
+}
+
+const DEFAULT_WORKFLOW = normalizeWorkflow({});
+const CATEGORY_ORDER = ['new', 'indeterminate', 'done'];
+
+/**
+ * One of the point's statuses, or right of the first of them in the column
+ * order. When the order does not hold both, a status is past the point once
+ * its category comes after the point's (To Do, then In Progress, then Done).
+ */
+function isAtOrPastPoint(statusName, category, pointStatuses, workflow) {
+  const name = String(statusName || '').toLowerCase();
+  if (pointStatuses.includes(name)) {
+    return true;
+  }
+
+  const pointIndex = workflow.order.findIndex(column => pointStatuses.includes(column));
+  const statusIndex = workflow.order.indexOf(name);
+  if (pointIndex >= 0 && statusIndex >= 0) {
+    return statusIndex > pointIndex;
+  }
+
+  const pointRanks = pointStatuses
+    .map(point => CATEGORY_ORDER.indexOf(workflow.categories.get(point)))
+    .filter(rank => rank >= 0);
+  return pointRanks.length > 0 && CATEGORY_ORDER.indexOf(category) > Math.min(...pointRanks);
+}
+
+function isCommittedStatus(statusId, statusName, statusCategoryMap, workflow = DEFAULT_WORKFLOW) {
+  const category = statusCategoryMap.get(statusId) || statusCategoryMap.get(statusName) || null;
+  if (workflow.commitment.length === 0) {
+    return category !== 'new';
+  }
+  return category === 'done' || isAtOrPastPoint(statusName, category, workflow.commitment, workflow);
+}
+
+function isDeliveredStatus(statusId, statusName, statusCategoryMap, workflow = DEFAULT_WORKFLOW) {
+  const category = statusCategoryMap.get(statusId) || statusCategoryMap.get(statusName) || null;
+  if (workflow.delivery.length === 0) {
+    return category === 'done';
+  }
+  return category === 'done' || isAtOrPastPoint(statusName, category, workflow.delivery, workflow);
+}
+
+// ============================================================================
+// Data Transformation
+// ============================================================================
+
+function calculateAge(createdDate, referenceDate, calendar = DEFAULT_CALENDAR) {
+  // ProKanban best practice: work is "Day 1" from the moment it starts
+  // No such thing as "zero days old" - work incurs cost from day one
+  return Math.max(1, countDays(toLocalDate(createdDate, calendar.timeZone), toLocalDate(referenceDate, calendar.timeZone), calendar));
+}
+
+function formatDate(isoDateString, calendar = DEFAULT_CALENDAR) {
+  return toLocalDate(isoDateString, calendar.timeZone);
+}
+
+function buildStatusCategoryMap(statuses) {
+  const map = new Map();
+  
+  // Map status category strings to standard Jira keys
+  // The /rest/api/3/statuses endpoint returns statusCategory as a string
+  const categoryStringToKey = {
+    'TODO': 'new',
+    'IN_PROGRESS': 'indeterminate',
+    'DONE': 'done'
+  };
+  
+  statuses.forEach(status => {
+    if (status.statusCategory) {
+      let categoryKey;
+      
+      // Handle both API response formats:
+      // 1. /rest/api/3/statuses returns statusCategory as string: "TODO", "IN_PROGRESS", "DONE"
+      // 2. /rest/api/3/status/{id} returns statusCategory as object with .key property
+      if (typeof status.statusCategory === 'string') {
+        categoryKey = categoryStringToKey[status.statusCategory] || status.statusCategory.toLowerCase();
+      } else if (status.statusCategory.key) {
+        categoryKey = status.statusCategory.key;
+      }
+      
+      if (categoryKey) {
+        map.set(status.id, categoryKey);
+        // Also map by name for current status lookup
+        map.set(status.name, categoryKey);
+      }
+    }
+  });
+  debug(`Built status category map with ${map.size} entries`);
+  return map;
+}
+
+function buildStatusNameToIdMap(statuses) {
+  const map = new Map();
   statuses.forEach(status => {
     map.set(status.name, status.id);
   });
@@ -387,7 +1229,12 @@ function extractUniqueStatusIds(issues) {
   return ids;
 }
 
-function findFirstStableExitFromTodo(changelog, statusCategoryMap) {
+/**
+ * When work started: the first move into a committed status (see
+ * isCommittedStatus) that is not undone by a move back within the bounce
+ * tolerance (0 = the same day).
+ */
+function findCommitmentDate(changelog, statusCategoryMap, calendar = DEFAULT_CALENDAR, workflow = DEFAULT_WORKFLOW) {
   if (!changelog || !changelog.histories) {
     return null;
   }
@@ -395,58 +1242,43 @@ function findFirstStableExitFromTodo(changelog, statusCategoryMap) {
   // Sort histories chronologically (oldest first)
   const histories = [...changelog.histories].reverse();
   
-  let firstExitDate = null;
-  
   for (let i = 0; i < histories.length; i++) {
     const history = histories[i];
     const statusChange = history.items.find(item => item.field === 'status');
     
-    if (statusChange) {
-      const fromCategory = statusCategoryMap.get(statusChange.from);
-      const toCategory = statusCategoryMap.get(statusChange.to);
-      const changeDate = new Date(history.created);
+    if (statusChange &&
+        !isCommittedStatus(statusChange.from, statusChange.fromString, statusCategoryMap, workflow) &&
+        isCommittedStatus(statusChange.to, statusChange.toString, statusCategoryMap, workflow)) {
+      debug(`  Found commitment: ${statusChange.fromString} → ${statusChange.toString} on ${history.created}`);
+      const changeDate = formatDate(history.created, calendar);
       
-      // Found a transition OUT of TODO category
-      if (fromCategory === 'new' && toCategory !== 'new') {
-        debug(`  Found exit from TODO: ${statusChange.fromString} → ${statusChange.toString} on ${history.created}`);
-        
-        // Check if there's a same-day return to TODO
-        let sameDayReturnToTodo = false;
+      // Check for a return to an uncommitted status within the tolerance
+      let bouncedBack = false;
+      
+      for (let j = i + 1; j < histories.length; j++) {
+        const nextHistory = histories[j];
+        const nextStatusChange = nextHistory.items.find(item => item.field === 'status');
         
-        for (let j = i + 1; j < histories.length; j++) {
-          const nextHistory = histories[j];
-          const nextStatusChange = nextHistory.items.find(item => item.field === 'status');
-          
-          if (nextStatusChange) {
-            const nextDate = new Date(nextHistory.created);
-            const nextToCategory = statusCategoryMap.get(nextStatusChange.to);
-            
-            // Check if it's the same day
-            if (nextDate.toDateString() === changeDate.toDateString()) {
-              // Check if returning to TODO
-              if (nextToCategory === 'new') {
-                debug(`    Same-day return to TODO found, ignoring this exit`);
-                sameDayReturnToTodo = true;
-                break;
-              }
-            } else {
-              // Different day, stop checking
-              break;
-            }
+        if (nextStatusChange) {
+          if (daysBetween(changeDate, formatDate(nextHistory.created, calendar)) > workflow.bounceDays) {
+            break;
+          }
+          if (!isCommittedStatus(nextStatusChange.to, nextStatusChange.toString, statusCategoryMap, workflow)) {
+            debug(`    Moved back to ${nextStatusChange.toString} on ${nextHistory.created}, ignoring this commitment`);
+            bouncedBack = true;
+            break;
           }
         }
-        
-        // If no same-day return, this is our stable exit
-        if (!sameDayReturnToTodo) {
-          firstExitDate = history.created;
-          debug(`  Using this as stable exit date: ${firstExitDate}`);
-          break;
-        }
+      }
+      
+      if (!bouncedBack) {
+        debug(`  Using this as the start date: ${history.created}`);
+        return history.created;
       }
     }
   }
   
-  return firstExitDate;
+  return null;
 }
 
 function findMostRecentTransitionToStatus(changelog, currentStatusId) {
@@ -466,7 +1298,7 @@ function findMostRecentTransitionToStatus(changelog, currentStatusId) {
   return null;
 }
 
-function calculateAgeMetrics(issue, referenceDate, statusCategoryMap) {
+function calculateAgeMetrics(issue, referenceDate, statusCategoryMap, calendar = DEFAULT_CALENDAR, workflow = DEFAULT_WORKFLOW) {
   const currentStatus = issue.fields.status.name;
   const currentStatusId = issue.fields.status.id;
   const currentCategory = issue.fields.status.statusCategory ? issue.fields.status.statusCategory.key : null;
@@ -474,52 +1306,244 @@ function calculateAgeMetrics(issue, referenceDate, statusCategoryMap) {
   
   debug(`Calculating age for ${issue.key} (status: ${currentStatus}, category: ${currentCategory})`);
   
-  // Find first stable exit from TODO category
-  const firstStableExit = findFirstStableExitFromTodo(issue.changelog, statusCategoryMap);
+  // Find when the item was committed to (by default its first stable exit from To Do)
+  const commitmentDate = findCommitmentDate(issue.changelog, statusCategoryMap, calendar, workflow);
   
   // Find most recent transition to current status
   const mostRecentTransition = findMostRecentTransitionToStatus(issue.changelog, currentStatusId);
   
   // Calculate ages
-  const ageStartDate = firstStableExit || createdDate;
+  const ageStartDate = commitmentDate || createdDate;
   const currentStateStartDate = mostRecentTransition || createdDate;
   
-  const totalAge = calculateAge(ageStartDate, referenceDate);
-  const currentStateAge = calculateAge(currentStateStartDate, referenceDate);
+  const totalAge = calculateAge(ageStartDate, referenceDate, calendar);
+  const currentStateAge = calculateAge(currentStateStartDate, referenceDate, calendar);
+  
+  const blockedMetrics = calculateBlockedMetrics(issue.blockedPeriods || extractBlockedPeriods(issue, []), ageStartDate, referenceDate, calendar);
   
   debug(`  Total age: ${totalAge} days (since ${ageStartDate})`);
   debug(`  Current state age: ${currentStateAge} days (since ${currentStateStartDate})`);
+  if (blockedMetrics.blocked_days > 0) {
+    debug(`  Blocked: ${blockedMetrics.blocked_days} days${blockedMetrics.blocked ? ` (since ${blockedMetrics.blocked_since})` : ''}`);
+  }
   
   return {
     age: totalAge,
     age_in_current_state: currentStateAge,
-    start_date: formatDate(ageStartDate),
-    current_state_start_date: formatDate(currentStateStartDate)
+    start_date: formatDate(ageStartDate, calendar),
+    current_state_start_date: formatDate(currentStateStartDate, calendar),
+    ...blockedMetrics
+  };
+}
+
+/**
+ * Periods an issue was blocked, from Flagged toggles and time spent in any of
+ * the blocked statuses, merged and oldest first. An open period has end Infinity.
+ * @param {string[]} blockedStatuses - Lower-case status names
+ * @returns {Array<{ start: number, end: number }>} Epoch milliseconds
+ */
+function extractBlockedPeriods(issue, blockedStatuses) {
+  const histories = ((issue.changelog && issue.changelog.histories) || []).slice().reverse();
+  const created = new Date(issue.fields.created).getTime();
+  const periods = [];
+
+  // Flag toggles; Jira clears the "Flagged" field (toString empty) when the flag comes off
+  const flagChanges = [];
+  histories.forEach(history => {
+    history.items.forEach(item => {
+      if ((item.field || '').toLowerCase() === 'flagged') {
+        flagChanges.push({ time: new Date(history.created).getTime(), from: Boolean(item.fromString), to: Boolean(item.toString) });
+      }
+    });
+  });
+  let flaggedSince = flagChanges.length > 0
+    ? (flagChanges[0].from ? created : null)
+    : (isFlagged(issue.fields) ? created : null);
+  flagChanges.forEach(change => {
+    if (change.to && flaggedSince === null) {
+      flaggedSince = change.time;
+    } else if (!change.to && flaggedSince !== null) {
+      periods.push({ start: flaggedSince, end: change.time });
+      flaggedSince = null;
+    }
+  });
+  if (flaggedSince !== null) {
+    periods.push({ start: flaggedSince, end: Infinity });
+  }
+
+  // Time in blocked statuses
+  if (blockedStatuses.length > 0) {
+    const statusChanges = [];
+    histories.forEach(history => {
+      history.items.forEach(item => {
+        if (item.field === 'status') {
+          statusChanges.push({ time: new Date(history.created).getTime(), from: item.fromString, to: item.toString });
+        }
+      });
+    });
+
+    const isBlocked = name => Boolean(name) && blockedStatuses.includes(name.toLowerCase());
+    let blockedSince = isBlocked(statusChanges.length > 0 ? statusChanges[0].from : issue.fields.status.name) ? created : null;
+    statusChanges.forEach(change => {
+      if (isBlocked(change.to) && blockedSince === null) {
+        blockedSince = change.time;
+      } else if (!isBlocked(change.to) && blockedSince !== null) {
+        periods.push({ start: blockedSince, end: change.time });
+        blockedSince = null;
+      }
+    });
+    if (blockedSince !== null) {
+      periods.push({ start: blockedSince, end: Infinity });
+    }
+  }
+
+  // Merge overlapping flag and status periods
+  return periods
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, period) => {
+      const last = merged[merged.length - 1];
+      if (last && period.start <= last.end) {
+        last.end = Math.max(last.end, period.end);
+      } else {
+        merged.push({ ...period });
+      }
+      return merged;
+    }, []);
+}
+
+/**
+ * Jira's Flagged field is a custom field holding [{ value: "Impediment" }] while set.
+ */
+function isFlagged(fields) {
+  return Object.keys(fields).some(name => name.startsWith('customfield_') && Array.isArray(fields[name]) &&
+    fields[name].some(option => option && option.value === 'Impediment'));
+}
+
+/**
+ * Blocked state at the end of the reference day, and the days of the item's
+ * age that were blocked at any point, counted the same way as age.
+ */
+function calculateBlockedMetrics(periods, ageStartDate, referenceDate, calendar = DEFAULT_CALENDAR) {
+  const ageStart = new Date(ageStartDate).getTime();
+  const referenceDay = formatDate(referenceDate, calendar);
+  const referenceEnd = startOfLocalDay(addDays(referenceDay, 1), calendar.timeZone);
+
+  const blockedDays = new Set();
+  let current = null;
+  periods.forEach(period => {
+    if (period.start >= referenceEnd) return;
+    if (period.end >= referenceEnd) current = period;
+
+    const from = Math.max(period.start, ageStart);
+    const to = Math.min(period.end, referenceEnd);
+    if (to <= from) return;
+    listDates(formatDate(from, calendar), formatDate(to - 1, calendar))
+      .filter(date => isCountedDay(date, calendar))
+      .forEach(date => blockedDays.add(date));
+  });
+
+  return {
+    blocked: Boolean(current),
+    blocked_days: blockedDays.size,
+    blocked_since: current ? formatDate(current.start, calendar) : null
   };
 }
 
-function extractDependencies(issue) {
-  // Extract "blocks" and "is blocked by" relationships
+/**
+ * Parse dependency link rules: "is blocked by,depends on,Waits for:outward".
+ * A rule is either the link description Jira shows on the issue, read as
+ * "this item <description> the other one", or a link type name with an
+ * optional :inward/:outward side (inward when omitted).
+ * @returns {Array<{ name: string, side: 'inward'|'outward'|null }>}
+ */
+function parseDependencyLinks(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  return entries.map(entry => String(entry).trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^(.*?):(inward|outward)$/i);
+    return match ? { name: match[1].trim().toLowerCase(), side: match[2].toLowerCase() } : { name: entry.toLowerCase(), side: null };
+  });
+}
+
+function isDependencyLink(type, side, rules) {
+  const name = (type.name || '').toLowerCase();
+  const descriptions = { inward: (type.inward || '').toLowerCase(), outward: (type.outward || '').toLowerCase() };
+  return rules.some(rule => {
+    if (rule.side) {
+      return rule.side === side && rule.name === name;
+    }
+    if (rule.name === descriptions.inward || rule.name === descriptions.outward) {
+      return rule.name === descriptions[side];
+    }
+    // Links built by other adapters have no descriptions, only a type name
+    return side === 'inward' && rule.name === name;
+  });
+}
+
+/**
+ * Every issue this one depends on, following the configured link types.
+ * @returns {Array<{ key: string, title: string, type: string|null, status: string|null, status_category: string|null, url: string|null }>}
+ */
+function extractDependencies(issue, rules = parseDependencyLinks(DEFAULT_DEPENDENCY_LINKS), jiraBaseUrl = null) {
   const links = issue.fields.issuelinks || [];
-  const blockedBy = [];
+  const dependencies = new Map();
 
   links.forEach(link => {
-    if (link.type.name === 'Blocks' && link.inwardIssue) {
-      blockedBy.push(link.inwardIssue.key);
-    }
+    ['inward', 'outward'].forEach(side => {
+      const linked = link[`${side}Issue`];
+      if (!linked || dependencies.has(linked.key) || !isDependencyLink(link.type || {}, side, rules)) return;
+
+      // Jira embeds the linked issue's summary and status; other sources only give the key
+      const fields = linked.fields || {};
+      dependencies.set(linked.key, {
+        key: linked.key,
+        title: fields.summary || '',
+        type: (fields.issuetype && fields.issuetype.name) || null,
+        status: (fields.status && fields.status.name) || null,
+        status_category: (fields.status && fields.status.statusCategory && fields.status.statusCategory.key) || null,
+        url: linked.url || (linked.fields && jiraBaseUrl ? `${jiraBaseUrl}/browse/${linked.key}` : null)
+      });
+    });
+  });
+
+  return Array.from(dependencies.values());
+}
+
+/**
+ * Resolve dependencies and blocked periods once per fetch so every board,
+ * snapshot and completed item built from these issues uses the same rules.
+ */
+function annotateIssues(issues, chart, jiraBaseUrl) {
+  issues.forEach(issue => {
+    issue.dependencies = extractDependencies(issue, chart.dependencyLinks, jiraBaseUrl);
+    issue.blockedPeriods = extractBlockedPeriods(issue, chart.blockedStatuses);
   });
+}
 
-  return blockedBy.length > 0 ? blockedBy[0] : null; // Return first dependency
+/**
+ * Details for every dependency that is not on the board, keyed by issue key,
+ * so the chart can draw them as stubs.
+ */
+function collectLinkedItems(issues, columns) {
+  const onBoard = new Set(columns.flatMap(col => col.items.map(item => item.key)));
+  const linkedItems = {};
+  issues.forEach(issue => {
+    (issue.dependencies || []).forEach(dependency => {
+      if (!onBoard.has(dependency.key)) {
+        linkedItems[dependency.key] = dependency;
+      }
+    });
+  });
+  return linkedItems;
 }
 
-function transformIssue(issue, referenceDate, jiraBaseUrl, statusCategoryMap) {
+function transformIssue(issue, referenceDate, jiraBaseUrl, statusCategoryMap, calendar = DEFAULT_CALENDAR, workflow = DEFAULT_WORKFLOW) {
   const fields = issue.fields;
   
-  // Extract numeric part from key (e.g., "PROJ-123" -> "123")
-  const nickname = issue.key.split('-')[1];
+  // Extract numeric part from key (e.g., "PROJ-123" -> "123", "owner/repo#42" -> "42")
+  const nickname = issue.key.split(/[-#]/).pop();
   
   // Calculate age metrics using changelog
-  const ageMetrics = calculateAgeMetrics(issue, referenceDate, statusCategoryMap);
+  const ageMetrics = calculateAgeMetrics(issue, referenceDate, statusCategoryMap, calendar, workflow);
   
   return {
     key: issue.key,
@@ -529,6 +1553,9 @@ function transformIssue(issue, referenceDate, jiraBaseUrl, statusCategoryMap) {
     age_in_current_state: ageMetrics.age_in_current_state,
     start_date: ageMetrics.start_date,
     current_state_start_date: ageMetrics.current_state_start_date,
+    blocked: ageMetrics.blocked,
+    blocked_days: ageMetrics.blocked_days,
+    blocked_since: ageMetrics.blocked_since,
     priority: (fields.priority && fields.priority.name) || 'Medium',
     assignee: {
       name: (fields.assignee && fields.assignee.displayName) || 'Unassigned',
@@ -539,10 +1566,10 @@ function transformIssue(issue, referenceDate, jiraBaseUrl, statusCategoryMap) {
     parent: fields.parent ? {
       key: fields.parent.key,
       title: fields.parent.fields.summary,
-      url: `${jiraBaseUrl}/browse/${fields.parent.key}`
+      url: fields.parent.url || `${jiraBaseUrl}/browse/${fields.parent.key}`
     } : null,
-    url: `${jiraBaseUrl}/browse/${issue.key}`,
-    depends_on: extractDependencies(issue),
+    url: issue.url || `${jiraBaseUrl}/browse/${issue.key}`,
+    depends_on: (issue.dependencies || extractDependencies(issue, undefined, jiraBaseUrl)).map(dependency => dependency.key),
     nickname: nickname
   };
 }
@@ -561,17 +1588,16 @@ function groupByStatus(issues) {
   return groups;
 }
 
-function parseWindow(windowStr, referenceDate) {
+function parseWindow(windowStr, referenceDate, calendar = DEFAULT_CALENDAR) {
   // Parse window format: "Xd", "YYYY-MM-DD", "YYYYMMDD", or integer
   
   // Check for "Xd" format
   const daysMatch = windowStr.match(/^(\d+)d$/i);
   if (daysMatch) {
     const days = parseInt(daysMatch[1]);
-    const cutoffDate = new Date(referenceDate);
-    cutoffDate.setDate(cutoffDate.getDate() - days);
-    debug(`Window: ${days} days before ${referenceDate} = ${cutoffDate.toISOString().split('T')[0]}`);
-    return { type: 'date', value: cutoffDate.toISOString().split('T')[0] };
+    const cutoffDate = addDays(formatDate(referenceDate, calendar), -days);
+    debug(`Window: ${days} days before ${referenceDate} = ${cutoffDate}`);
+    return { type: 'date', value: cutoffDate };
   }
   
   // Check for date format YYYY-MM-DD or YYYYMMDD
@@ -593,8 +1619,8 @@ function parseWindow(windowStr, referenceDate) {
   throw new Error(`Invalid window format: ${windowStr}. Use Xd, YYYY-MM-DD, YYYYMMDD, or integer.`);
 }
 
-function extractStatusTransitions(issues, statusCategoryMap) {
-  const transitionsByStatusId = new Map(); // statusId -> [overallAgeAtExit]
+function extractStatusTransitions(issues, statusCategoryMap, segments = null, calendar = DEFAULT_CALENDAR, workflow = DEFAULT_WORKFLOW) {
+  const transitionsByStatusId = new Map(); // statusId -> [{ overallAge, stateAge, segment } at exit]
   
   trace(`Extracting status transitions from ${issues.length} issues...`);
   
@@ -604,14 +1630,20 @@ function extractStatusTransitions(issues, statusCategoryMap) {
         return;
       }
       
-      // Find when this issue first exited TODO status category (when work started)
-      const firstExitFromTodo = findFirstStableExitFromTodo(issue.changelog, statusCategoryMap);
-      const baseDate = firstExitFromTodo ? new Date(firstExitFromTodo) : new Date(issue.fields.created);
+      // Find when work on this issue started, the same way calculateAgeMetrics() does
+      const commitmentDate = findCommitmentDate(issue.changelog, statusCategoryMap, calendar, workflow);
+      const baseDate = commitmentDate || issue.fields.created;
+      const segment = segments ? getSleSegment({
+        type: (issue.fields.issuetype && issue.fields.issuetype.name) || 'Unknown',
+        priority: (issue.fields.priority && issue.fields.priority.name) || 'Medium',
+        labels: issue.fields.labels
+      }, segments) : null;
       
       // Sort histories chronologically (oldest first)
       const histories = [...issue.changelog.histories].reverse();
       
       let currentStatusId = null;
+      let currentStatusEntered = issue.fields.created;
       
       histories.forEach(history => {
         try {
@@ -620,16 +1652,15 @@ function extractStatusTransitions(issues, statusCategoryMap) {
           if (statusChange) {
             const fromStatusId = statusChange.from;
             const toStatusId = statusChange.to;
-            const transitionDate = new Date(history.created);
+            const transitionDate = history.created;
             
             // If we have a current status being tracked, record its exit
             if (currentStatusId && fromStatusId === currentStatusId) {
-              // Calculate overall age at exit using ProKanban Day 1 standard
+              // Overall age at exit, counted like calculateAgeMetrics() (ProKanban Day 1)
               // This represents: "At what overall age did this item exit this status?"
-              const overallAgeMs = transitionDate - baseDate;
-              const overallAgeDays = Math.floor(overallAgeMs / (1000 * 60 * 60 * 24));
-              // ProKanban: work is "Day 1" from the moment it starts
-              const overallAge = Math.max(1, overallAgeDays + 1);
+              const overallAge = calculateAge(baseDate, transitionDate, calendar);
+              // Time spent in this visit to the status, same Day 1 counting
+              const stateAge = calculateAge(currentStatusEntered, transitionDate, calendar);
               
               if (!transitionsByStatusId.has(currentStatusId)) {
                 transitionsByStatusId.set(currentStatusId, []);
@@ -637,15 +1668,18 @@ function extractStatusTransitions(issues, statusCategoryMap) {
               
               transitionsByStatusId.get(currentStatusId).push({
                 issueKey: issue.key,
-                exitDate: history.created.split('T')[0],
-                overallAge: overallAge
+                exitDate: formatDate(history.created, calendar),
+                overallAge: overallAge,
+                stateAge: stateAge,
+                segment: segment
               });
               
-              trace(`  ${issue.key}: Status ${currentStatusId} exited at overall age ${overallAge} days`);
+              trace(`  ${issue.key}: Status ${currentStatusId} exited at overall age ${overallAge} days after ${stateAge} days in status`);
             }
             
             // Update current status tracking
             currentStatusId = toStatusId;
+            currentStatusEntered = transitionDate;
           }
         } catch (historyError) {
           debug(`  Error processing history for ${issue.key}: ${historyError.message}`);
@@ -672,22 +1706,15 @@ function filterTransitionsByWindow(transitions, window) {
   return transitions;
 }
 
-function calculatePercentile(sortedValues, percentile) {
-  if (sortedValues.length === 0) return 0;
-  if (sortedValues.length === 1) return sortedValues[0];
-  
-  const index = (percentile / 100) * (sortedValues.length - 1);
-  const lower = Math.floor(index);
-  const upper = Math.ceil(index);
-  const weight = index - lower;
-  
-  return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
-}
-
-function calculateSLEsForStatuses(transitionsByStatusId, window, percentiles) {
+/**
+ * Percentile SLEs per status from the exit transitions in the window.
+ * @param {string} [ageField] - 'overallAge' (total age at exit) or 'stateAge' (time spent in the status)
+ * @param {number} [minSamples] - Statuses with fewer exits in the window get no SLE
+ */
+function calculateSLEsForStatuses(transitionsByStatusId, window, percentiles, ageField = 'overallAge', minSamples = 1) {
   const slesByStatusId = new Map();
   
-  verbose(`Calculating SLEs for ${transitionsByStatusId.size} statuses...`);
+  verbose(`Calculating ${ageField === 'stateAge' ? 'time-in-status ' : ''}SLEs for ${transitionsByStatusId.size} statuses...`);
   
   transitionsByStatusId.forEach((transitions, statusId) => {
     // Filter by window
@@ -697,12 +1724,16 @@ function calculateSLEsForStatuses(transitionsByStatusId, window, percentiles) {
       debug(`  Status ${statusId}: No transitions in window`);
       return;
     }
+    if (filtered.length < minSamples) {
+      debug(`  Status ${statusId}: ${filtered.length} transitions, fewer than ${minSamples}`);
+      return;
+    }
     
-    // Extract overall ages and sort
-    const overallAges = filtered.map(t => t.overallAge).sort((a, b) => a - b);
+    // Extract ages and sort
+    const overallAges = filtered.map(t => t[ageField]).sort((a, b) => a - b);
     
     // Calculate percentiles
-    const sles = percentiles.map(p => Math.ceil(calculatePercentile(overallAges, p)));
+    const sles = calculateSle(overallAges, percentiles);
     
     slesByStatusId.set(statusId, sles);
     
@@ -714,29 +1745,283 @@ function calculateSLEsForStatuses(transitionsByStatusId, window, percentiles) {
   return slesByStatusId;
 }
 
-function createColumns(issuesByStatus, slesByStatusId = null, statusIdMap = null) {
-  const columns = [];
-  let order = 1;
-
-  issuesByStatus.forEach((issues, statusName) => {
-    // Get status ID for SLE lookup
-    const statusId = statusIdMap ? statusIdMap.get(statusName) : null;
-    const sles = (statusId && slesByStatusId) ? slesByStatusId.get(statusId) : null;
-    
-    columns.push({
-      name: statusName,
-      top_text: `WIP: ${issues.length}`,
-      order: order++,
-      sle: sles || null, // Array of SLE values or null if not calculated
-      items: issues.map(issue => {
-        // Remove status from issue object
-        const { status, statusId: _, ...itemData } = issue;
-        return itemData;
-      })
-    });
+/**
+ * Every exit per status, oldest first, for the chart to recompute SLEs over
+ * other windows and percentiles: statusId -> [{ date, age, age_in_status }].
+ */
+function collectSleExits(transitionsByStatusId) {
+  const exitsByStatusId = new Map();
+  transitionsByStatusId.forEach((transitions, statusId) => {
+    exitsByStatusId.set(statusId, transitions
+      .map(t => ({ date: t.exitDate, age: t.overallAge, age_in_status: t.stateAge }))
+      .sort((a, b) => a.date.localeCompare(b.date)));
   });
+  return exitsByStatusId;
+}
 
-  return columns;
+/**
+ * Bootstrap confidence intervals for percentiles of a small sample: resample
+ * the ages with replacement, take the percentile of each resample, and keep the
+ * middle SLE_CONFIDENCE_LEVEL% of those estimates. Returns [low, high] per percentile.
+ */
+function bootstrapPercentileIntervals(sortedValues, percentiles, resamples = SLE_BOOTSTRAP_RESAMPLES) {
+  const estimates = percentiles.map(() => []);
+  const resample = new Array(sortedValues.length);
+  for (let run = 0; run < resamples; run++) {
+    for (let i = 0; i < sortedValues.length; i++) {
+      resample[i] = sortedValues[Math.floor(Math.random() * sortedValues.length)];
+    }
+    resample.sort((a, b) => a - b);
+    percentiles.forEach((p, index) => estimates[index].push(Math.ceil(calculatePercentile(resample, p))));
+  }
+
+  const tail = (100 - SLE_CONFIDENCE_LEVEL) / 2;
+  return estimates.map(values => {
+    values.sort((a, b) => a - b);
+    return [Math.floor(calculatePercentile(values, tail)), Math.ceil(calculatePercentile(values, 100 - tail))];
+  });
+}
+
+/**
+ * How much history backs each status's SLE: the exits in the window and the
+ * confidence interval of every percentile. statusId -> { samples, intervals }.
+ */
+function calculateSLEConfidence(transitionsByStatusId, window, percentiles, ageField = 'overallAge') {
+  const confidenceByStatusId = new Map();
+  transitionsByStatusId.forEach((transitions, statusId) => {
+    const ages = filterTransitionsByWindow(transitions, window).map(t => t[ageField]).sort((a, b) => a - b);
+    if (ages.length === 0) return;
+
+    confidenceByStatusId.set(statusId, {
+      samples: ages.length,
+      intervals: bootstrapPercentileIntervals(ages, percentiles)
+    });
+  });
+  return confidenceByStatusId;
+}
+
+/**
+ * The board-level SLE thin columns fall back to: the cycle time of the items
+ * completed in the window, or for time in status every exit from any status.
+ * @returns {{ sle: number[], samples: number, intervals: number[][] }|null}
+ */
+function calculateBoardSLE(samples, window, percentiles) {
+  const ages = filterTransitionsByWindow(samples, window).map(sample => sample.age).sort((a, b) => a - b);
+  if (ages.length === 0) {
+    return null;
+  }
+
+  const sle = calculateSle(ages, percentiles);
+  debug(`  Board: ${ages.length} samples, SLEs: [${sle.join(', ')}]`);
+  return {
+    sle: sle,
+    samples: ages.length,
+    intervals: bootstrapPercentileIntervals(ages, percentiles)
+  };
+}
+
+/**
+ * Ages at exit per status within the window, sorted: the distribution the
+ * breach forecast compares items against. statusId -> number[].
+ * @param {string} [ageField] - 'overallAge' (total age at exit) or 'stateAge' (time spent in the status)
+ */
+function collectExitAges(transitionsByStatusId, window, ageField = 'overallAge') {
+  const exitAgesByStatusId = new Map();
+  transitionsByStatusId.forEach((transitions, statusId) => {
+    exitAgesByStatusId.set(statusId, filterTransitionsByWindow(transitions, window).map(t => t[ageField]).sort((a, b) => a - b));
+  });
+  return exitAgesByStatusId;
+}
+
+/**
+ * Add `${field}_risk` to every item in a column with that SLE: sle_risk from the
+ * item's total age, sle_in_status_risk from its time in the current status.
+ * Columns on the board-level fallback are compared against the board's ages.
+ */
+function applySleRisk(columns, field, exitAgesByStatusId, boardAges, statusNameToIdMap) {
+  const ageOf = item => (field === 'sle_in_status' ? item.age_in_current_state : item.age);
+  columns.forEach(col => {
+    const sle = col[field];
+    if (!Array.isArray(sle) || sle.length === 0) return;
+    const statusId = statusNameToIdMap.get(col.name);
+    const exitAges = col[`${field}_fallback`] ? boardAges : ((statusId && exitAgesByStatusId.get(statusId)) || []);
+    col.items.forEach(item => {
+      const age = ageOf(item);
+      if (typeof age === 'number') {
+        item[`${field}_risk`] = calculateSleRisk(age, sle, exitAges);
+      }
+    });
+  });
+}
+
+/**
+ * The class of service named by an item's labels (case-insensitive, earlier
+ * classes win), or Standard.
+ */
+function getClassOfService(labels, classes) {
+  const match = classes.find(name => (labels || []).some(label => label.toLowerCase() === name.toLowerCase()));
+  return match || DEFAULT_CLASS_OF_SERVICE;
+}
+
+/**
+ * The SLE segment of an output item ({ type, priority, labels }).
+ */
+function getSleSegment(item, segments) {
+  return segments.by === 'class' ? getClassOfService(item.labels, segments.classes) : item[segments.by];
+}
+
+/**
+ * Readable text for a Jira field value: options and users by their name,
+ * lists joined, empty values as None.
+ */
+function formatFieldValue(value) {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return 'None';
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatFieldValue).join(', ');
+  }
+  if (typeof value === 'object') {
+    return String(value.value || value.name || value.displayName || value.key || 'None');
+  }
+  return String(value);
+}
+
+/**
+ * The swimlane of an output item. Label lanes use the first configured label
+ * the item has (or its first label), custom fields read the source issue.
+ */
+function getSwimlane(item, issue, swimlanes) {
+  switch (swimlanes.by) {
+    case 'assignee':
+      return item.assignee.name;
+    case 'parent':
+      return item.parent ? item.parent.title || item.parent.key : 'No parent';
+    case 'project':
+      // "PROJ-123" and "owner/repo#42" alike
+      return item.key.replace(/[-#]\d+$/, '');
+    case 'class':
+      return getClassOfService(item.labels, swimlanes.labels);
+    case 'label': {
+      if (!swimlanes.labels) return item.labels[0] || 'No label';
+      const match = swimlanes.labels.find(name => item.labels.some(label => label.toLowerCase() === name.toLowerCase()));
+      return match || 'Other';
+    }
+    default:
+      return formatFieldValue(issue && issue.fields[swimlanes.field]);
+  }
+}
+
+/**
+ * SLEs per status and segment, each segment from its own transitions:
+ * statusId -> { segment: [sle values] }. Segments with too little history
+ * are left out, so they use the column's SLE.
+ */
+function calculateSegmentSLEs(transitionsByStatusId, window, percentiles, ageField = 'overallAge', minSamples = 1) {
+  const transitionsBySegment = new Map(); // segment -> statusId -> transitions
+  transitionsByStatusId.forEach((transitions, statusId) => {
+    transitions.forEach(transition => {
+      if (!transitionsBySegment.has(transition.segment)) {
+        transitionsBySegment.set(transition.segment, new Map());
+      }
+      const segmentTransitions = transitionsBySegment.get(transition.segment);
+      if (!segmentTransitions.has(statusId)) {
+        segmentTransitions.set(statusId, []);
+      }
+      segmentTransitions.get(statusId).push(transition);
+    });
+  });
+
+  const slesByStatusId = new Map();
+  transitionsBySegment.forEach((segmentTransitions, segment) => {
+    debug(`Segment ${segment}:`);
+    calculateSLEsForStatuses(segmentTransitions, window, percentiles, ageField, minSamples).forEach((sles, statusId) => {
+      if (!slesByStatusId.has(statusId)) {
+        slesByStatusId.set(statusId, {});
+      }
+      slesByStatusId.get(statusId)[segment] = sles;
+    });
+  });
+  return slesByStatusId;
+}
+
+/**
+ * Status categories with a fallback to the issue's own status: metadata is
+ * fetched for the board's issues, not always for the SLE history's.
+ */
+function withIssueStatusCategory(issue, statusCategoryMap) {
+  const currentStatus = issue.fields.status;
+  if (!currentStatus || !currentStatus.statusCategory || statusCategoryMap.has(currentStatus.id)) {
+    return statusCategoryMap;
+  }
+  return new Map(statusCategoryMap).set(currentStatus.id, currentStatus.statusCategory.key);
+}
+
+function findCompletionDate(issue, statusCategoryMap, workflow = DEFAULT_WORKFLOW) {
+  const categories = withIssueStatusCategory(issue, statusCategoryMap);
+
+  // Most recent move across the delivery point (by default into Done)
+  const changes = getStatusChanges(issue.changelog);
+  for (let i = changes.length - 1; i >= 0; i--) {
+    if (isDeliveredStatus(changes[i].to, changes[i].toString, categories, workflow) &&
+        !isDeliveredStatus(changes[i].from, changes[i].fromString, categories, workflow)) {
+      return changes[i].created;
+    }
+  }
+
+  return null;
+}
+
+function extractCompletedItems(issues, jiraBaseUrl, statusCategoryMap, calendar = DEFAULT_CALENDAR, workflow = DEFAULT_WORKFLOW) {
+  const completedItems = [];
+
+  issues.forEach(issue => {
+    const status = issue.fields.status;
+    if (!status || !isDeliveredStatus(status.id, status.name, withIssueStatusCategory(issue, statusCategoryMap), workflow)) return;
+
+    const completedAt = findCompletionDate(issue, statusCategoryMap, workflow);
+    if (!completedAt) {
+      debug(`  ${issue.key}: done without a completion transition, skipping`);
+      return;
+    }
+
+    // Age at the completion date is the cycle time
+    const { age, age_in_current_state: _age, current_state_start_date: _start, ...itemData } = transformIssue(issue, completedAt, jiraBaseUrl, statusCategoryMap, calendar, workflow);
+
+    completedItems.push({
+      ...itemData,
+      completed_date: formatDate(completedAt, calendar),
+      cycle_time: age
+    });
+  });
+
+  completedItems.sort((a, b) => a.completed_date.localeCompare(b.completed_date) || a.key.localeCompare(b.key));
+  verbose(`Found ${completedItems.length} completed items for the cycle time scatterplot`);
+  return completedItems;
+}
+
+function createColumns(issuesByStatus, slesByStatusId = null, statusIdMap = null) {
+  const columns = [];
+  let order = 1;
+
+  issuesByStatus.forEach((issues, statusName) => {
+    // Get status ID for SLE lookup
+    const statusId = statusIdMap ? statusIdMap.get(statusName) : null;
+    const sles = (statusId && slesByStatusId) ? slesByStatusId.get(statusId) : null;
+    
+    columns.push({
+      name: statusName,
+      order: order++,
+      sle: sles || null, // Array of SLE values or null if not calculated
+      items: issues.map(issue => {
+        // Remove status from issue object
+        const { status, statusId: _, ...itemData } = issue;
+        return itemData;
+      })
+    });
+  });
+
+  return columns;
 }
 
 function autoDetectThemeTypes(issues, baseTheme) {
@@ -781,10 +2066,10 @@ function autoDetectThemePriorities(issues, baseTheme) {
   return priorities;
 }
 
-function buildOutput(issues, referenceDate, jiraBaseUrl, theme, statusCategoryMap, slesByStatusId = null, columnsOrder = null, maxDaysOverride = null, allStatusNameToIdMap = null) {
+function buildOutput(issues, referenceDate, jiraBaseUrl, theme, statusCategoryMap, slesByStatusId = null, columnsOrder = null, maxDaysOverride = null, allStatusNameToIdMap = null, calendar = DEFAULT_CALENDAR, workflow = DEFAULT_WORKFLOW) {
   // Transform issues
   const transformedIssues = issues.map(issue => {
-    const transformed = transformIssue(issue, referenceDate, jiraBaseUrl, statusCategoryMap);
+    const transformed = transformIssue(issue, referenceDate, jiraBaseUrl, statusCategoryMap, calendar, workflow);
     transformed.status = issue.fields.status.name; // Temporarily add status for grouping
     transformed.statusId = issue.fields.status.id; // For SLE matching
     return transformed;
@@ -829,7 +2114,6 @@ function buildOutput(issues, referenceDate, jiraBaseUrl, theme, statusCategoryMa
         debug(`Creating empty column for: ${statusName}${statusId ? ` (ID: ${statusId})` : ''}`);
         columns.push({
           name: statusName,
-          top_text: `WIP: 0`,
           order: 9999, // Will be updated below
           sle: sles || null,
           items: []
@@ -850,50 +2134,1399 @@ function buildOutput(issues, referenceDate, jiraBaseUrl, theme, statusCategoryMa
     });
   }
 
-  // Auto-detect types and priorities
-  const allItems = columns.flatMap(col => col.items);
-  const finalTheme = {
-    ...theme,
-    types: autoDetectThemeTypes(allItems, theme),
-    priorities: autoDetectThemePriorities(allItems, theme)
-  };
+  // Auto-detect types and priorities
+  const allItems = columns.flatMap(col => col.items);
+  const finalTheme = {
+    ...theme,
+    types: autoDetectThemeTypes(allItems, theme),
+    priorities: autoDetectThemePriorities(allItems, theme)
+  };
+
+  // Calculate max age
+  const allAges = allItems.map(item => item.age);
+  const calculatedMaxAge = Math.max(...allAges, 30); // At least 30 days
+  
+  // Round up to next multiple of 10
+  const calculatedYAxisMax = Math.ceil(calculatedMaxAge / 10) * 10;
+  
+  const maxAge = maxDaysOverride !== null ? maxDaysOverride : calculatedYAxisMax;
+  
+  if (maxDaysOverride !== null) {
+    debug(`Using custom max_days: ${maxAge} (calculated: ${calculatedYAxisMax})`);
+  }
+
+  return {
+    title: "Jira Issues - Aging WIP",
+    subtitle: `As of ${formatDate(referenceDate, calendar)} · ${formatCalendarLabel(calendar)}`,
+    reference_date: formatDate(referenceDate, calendar),
+    board_url: jiraBaseUrl,
+    min_days: 0,
+    max_days: maxAge,
+    theme: finalTheme,
+    features: {
+      dependencies: {
+        enabled: true,
+        show_toggle: true,
+        default_visible: true,
+        arrow_color: "#303030",
+        arrow_thickness: 2
+      },
+      filters: {
+        enabled: true,
+        fields: ["type", "assignee", "label", "parent", "priority"]
+      }
+    },
+    columns: columns
+  };
+}
+
+// ============================================================================
+// Historical Snapshots (board replay)
+// ============================================================================
+
+function endOfDay(dateStr, calendar = DEFAULT_CALENDAR) {
+  // End of the day in the calendar's time zone, consistent with formatDate()
+  return new Date(startOfLocalDay(addDays(dateStr, 1), calendar.timeZone) - 1);
+}
+
+function listDates(fromDate, toDate, stepDays = 1) {
+  // Iterate in UTC so DST changes never skip or repeat a day
+  const dates = [];
+  const current = new Date(`${fromDate}T00:00:00Z`);
+  const end = new Date(`${toDate}T00:00:00Z`);
+
+  while (current <= end) {
+    dates.push(current.toISOString().split('T')[0]);
+    current.setUTCDate(current.getUTCDate() + stepDays);
+  }
+
+  // Always finish on the last day of the range
+  if (dates.length > 0 && dates[dates.length - 1] !== toDate) {
+    dates.push(toDate);
+  }
+
+  return dates;
+}
+
+function getStatusChanges(changelog) {
+  if (!changelog || !changelog.histories) {
+    return [];
+  }
+
+  const changes = [];
+  changelog.histories.forEach(history => {
+    const statusChange = history.items.find(item => item.field === 'status');
+    if (statusChange) {
+      changes.push({
+        created: history.created,
+        time: new Date(history.created).getTime(),
+        from: statusChange.from,
+        fromString: statusChange.fromString,
+        to: statusChange.to,
+        toString: statusChange.toString
+      });
+    }
+  });
+
+  // Oldest first
+  return changes.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Replays one issue's history day by day. The changelog is sorted once and a
+ * cursor moves forward through it, so a run of snapshots costs one pass over
+ * the history instead of one per day. at(cutoff) returns the issue as it stood
+ * at the cutoff (null before it was created), and the same object for as long
+ * as nothing changes. Cutoffs should come in ascending order; an earlier one
+ * restarts the replay.
+ */
+function createIssueReplay(issue, statusCategoryMap) {
+  const createdTime = new Date(issue.fields.created).getTime();
+  const changes = getStatusChanges(issue.changelog);
+  const histories = issue.changelog && issue.changelog.histories ? issue.changelog.histories : [];
+  const historyTimes = histories.map(history => new Date(history.created).getTime());
+  const sortedTimes = historyTimes.filter(time => !isNaN(time)).sort((a, b) => a - b);
+
+  // Before the first transition the issue sat in the status it left first;
+  // one that never transitioned has always been in its current status
+  const initialStatus = changes.length > 0
+    ? { id: changes[0].from, name: changes[0].fromString }
+    : { id: issue.fields.status.id, name: issue.fields.status.name };
+
+  let lastTime = -Infinity;
+  let changeIndex = 0; // Status changes at or before the cutoff
+  let historyCount = 0; // Histories at or before the cutoff
+  let current = null;
+
+  return {
+    at(cutoff) {
+      const cutoffTime = cutoff.getTime();
+      if (cutoffTime < lastTime) {
+        changeIndex = 0;
+        historyCount = 0;
+        current = null;
+      }
+      lastTime = cutoffTime;
+
+      // Not created yet
+      if (createdTime > cutoffTime) {
+        return null;
+      }
+
+      let moved = current === null;
+      while (changeIndex < changes.length && changes[changeIndex].time <= cutoffTime) {
+        changeIndex++;
+        moved = true;
+      }
+      while (historyCount < sortedTimes.length && sortedTimes[historyCount] <= cutoffTime) {
+        historyCount++;
+        moved = true;
+      }
+      if (!moved) {
+        return current;
+      }
+
+      const change = changes[changeIndex - 1];
+      const status = change ? { id: change.to, name: change.toString } : initialStatus;
+      const category = statusCategoryMap.get(status.id) || statusCategoryMap.get(status.name) || null;
+      current = {
+        ...issue,
+        fields: {
+          ...issue.fields,
+          status: { id: status.id, name: status.name, statusCategory: { key: category } }
+        },
+        changelog: {
+          ...issue.changelog,
+          histories: historyCount === histories.length ? histories : histories.filter((history, index) => historyTimes[index] <= cutoffTime)
+        }
+      };
+      return current;
+    }
+  };
+}
+
+function reconstructIssueAtDate(issue, dateStr, statusCategoryMap, calendar = DEFAULT_CALENDAR) {
+  return createIssueReplay(issue, statusCategoryMap).at(endOfDay(dateStr, calendar));
+}
+
+function buildSnapshots(issues, fromDate, toDate, stepDays, jiraBaseUrl, theme, statusCategoryMap, slesByStatusId = null, columnsOrder = null, maxDaysOverride = null, allStatusNameToIdMap = null, columnStatuses = null, calendar = DEFAULT_CALENDAR, workflow = DEFAULT_WORKFLOW) {
+  const dates = listDates(fromDate, toDate, stepDays);
+  verbose(`Replaying changelogs for ${dates.length} snapshots (${fromDate} → ${toDate})...`);
+
+  // On a board, an item only shows while its status sits in one of the open columns
+  const openColumnIds = columnStatuses ? getOpenColumnIds(columnStatuses) : null;
+
+  const snapshots = [];
+  const columnNames = [];
+  let maxDays = 0;
+  let latest = null;
+  const replays = issues.map(issue => createIssueReplay(issue, statusCategoryMap));
+
+  dates.forEach(date => {
+    const cutoff = endOfDay(date, calendar);
+    const boardIssues = replays
+      .map(replay => replay.at(cutoff))
+      .filter(issue => issue && (!openColumnIds || openColumnIds.has(issue.fields.status.id)) &&
+        !isDeliveredStatus(issue.fields.status.id, issue.fields.status.name, statusCategoryMap, workflow));
+
+    const output = buildOutput(boardIssues, date, jiraBaseUrl, theme, statusCategoryMap, slesByStatusId, columnsOrder, maxDaysOverride, allStatusNameToIdMap, calendar, workflow);
+
+    output.columns.forEach(col => {
+      if (!columnNames.includes(col.name)) columnNames.push(col.name);
+    });
+    maxDays = Math.max(maxDays, output.max_days);
+    latest = output;
+
+    snapshots.push({
+      date: output.reference_date,
+      subtitle: output.subtitle,
+      columns: output.columns
+    });
+
+    trace(`  Snapshot ${date}: ${boardIssues.length} items in ${output.columns.length} columns`);
+  });
+
+  // Every snapshot gets the same columns in the same order so the UI can animate between them
+  const orderArray = columnsOrder ? columnsOrder.split(',').map(name => name.trim()) : [];
+  const orderedNames = [
+    ...orderArray.filter(name => columnNames.includes(name)),
+    ...columnNames.filter(name => !orderArray.includes(name))
+  ];
+
+  snapshots.forEach(snapshot => {
+    snapshot.columns = orderedNames.map((name, index) => {
+      const existing = snapshot.columns.find(col => col.name === name);
+      if (existing) {
+        return { ...existing, order: index + 1 };
+      }
+
+      const statusId = allStatusNameToIdMap ? allStatusNameToIdMap.get(name) : null;
+      const sles = (statusId && slesByStatusId) ? slesByStatusId.get(statusId) : null;
+      return {
+        name: name,
+        order: index + 1,
+        sle: sles || null,
+        items: []
+      };
+    });
+  });
+
+  verbose(`Built ${snapshots.length} snapshots across ${orderedNames.length} columns`);
+
+  return {
+    snapshots: snapshots,
+    max_days: maxDaysOverride !== null ? maxDaysOverride : maxDays,
+    latest: latest
+  };
+}
+
+// ============================================================================
+// Throughput & Forecasting (Monte Carlo)
+// ============================================================================
+
+const FORECAST_CONFIDENCES = [50, 85, 95];
+const DEFAULT_SIMULATIONS = 10000;
+const DEFAULT_FORECAST_HORIZON_DAYS = 14;
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+}
+
+function calculateDailyThroughput(completedItems, referenceDate, throughputDays = null, calendar = DEFAULT_CALENDAR) {
+  const endDate = formatDate(referenceDate, calendar);
+  const completedDates = completedItems
+    .map(item => item.completed_date)
+    .filter(date => date <= endDate)
+    .sort();
+
+  if (completedDates.length === 0) {
+    return [];
+  }
+
+  // Days with nothing finished are samples too, so the range is filled day by day
+  const startDate = throughputDays ? addDays(endDate, -(throughputDays - 1)) : completedDates[0];
+  const counts = new Map(listDates(startDate, endDate).map(date => [date, 0]));
+  completedDates.forEach(date => {
+    if (counts.has(date)) counts.set(date, counts.get(date) + 1);
+  });
+
+  return Array.from(counts.entries()).map(([date, count]) => ({ date, count }));
+}
+
+function buildForecast(completedItems, referenceDate, options = {}) {
+  const simulations = options.simulations || DEFAULT_SIMULATIONS;
+  const confidences = options.confidences || FORECAST_CONFIDENCES;
+  const calendar = options.calendar || DEFAULT_CALENDAR;
+  const startDate = formatDate(referenceDate, calendar);
+
+  const throughput = calculateDailyThroughput(completedItems, referenceDate, options.throughputDays || null, calendar);
+  if (throughput.length === 0) {
+    verbose('No completed items, skipping forecast');
+    return null;
+  }
+
+  const dailyCounts = throughput.map(day => day.count);
+  const totalCompleted = dailyCounts.reduce((sum, count) => sum + count, 0);
+  verbose(`Forecasting from ${throughput.length} days of throughput (${totalCompleted} items, ${simulations} simulations)...`);
+
+  const forecast = {
+    reference_date: startDate,
+    throughput: throughput,
+    simulations: simulations,
+    confidences: confidences,
+    how_many: null,
+    when: null
+  };
+
+  // How many items by the target date? Higher confidence means fewer items
+  const targetDate = options.forecastDate || addDays(startDate, DEFAULT_FORECAST_HORIZON_DAYS);
+  const days = daysBetween(startDate, targetDate);
+  if (days > 0) {
+    const totals = simulateItemsByDate(dailyCounts, days, simulations);
+    forecast.how_many = {
+      target_date: targetDate,
+      days: days,
+      results: confidences.map(confidence => ({
+        confidence: confidence,
+        items: Math.floor(calculatePercentile(totals, 100 - confidence))
+      }))
+    };
+    debug(`  How many by ${targetDate}: ${forecast.how_many.results.map(r => `${r.confidence}%=${r.items}`).join(', ')}`);
+  } else {
+    debug(`  Forecast date ${targetDate} is not after ${startDate}, skipping "how many"`);
+  }
+
+  // When will N items be done? Higher confidence means a later date
+  const itemCount = options.forecastItems;
+  if (itemCount > 0 && totalCompleted > 0) {
+    const durations = simulateDaysToFinish(dailyCounts, itemCount, simulations);
+    forecast.when = {
+      items: itemCount,
+      results: confidences.map(confidence => {
+        const daysNeeded = Math.ceil(calculatePercentile(durations, confidence));
+        return {
+          confidence: confidence,
+          days: daysNeeded,
+          date: addDays(startDate, daysNeeded)
+        };
+      })
+    };
+    debug(`  When will ${itemCount} items finish: ${forecast.when.results.map(r => `${r.confidence}%=${r.date}`).join(', ')}`);
+  } else if (itemCount > 0) {
+    debug('  Nothing finished in the throughput window, skipping "when"');
+  }
+
+  return forecast;
+}
+
+// ============================================================================
+// Cumulative Flow Diagram
+// ============================================================================
+
+function buildCfd(issues, fromDate, toDate, statusCategoryMap, columnsOrder = null, calendar = DEFAULT_CALENDAR, workflow = DEFAULT_WORKFLOW) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(fromDate)) {
+    throw new Error(`Invalid CFD window start: ${fromDate}. Use Xd or YYYY-MM-DD.`);
+  }
+
+  const endDate = formatDate(toDate, calendar);
+  const dates = listDates(fromDate, endDate);
+
+  // Board issues and SLE history overlap, count every issue once
+  const uniqueIssues = Array.from(new Map(issues.map(issue => [issue.key, issue])).values());
+  verbose(`Building cumulative flow for ${uniqueIssues.length} issues over ${dates.length} days (${fromDate} → ${endDate})...`);
+
+  // Status metadata may be missing for history-only statuses; current statuses still know their category
+  const categoryMap = new Map(statusCategoryMap);
+  uniqueIssues.forEach(issue => {
+    const current = issue.fields.status;
+    if (current && current.statusCategory && !categoryMap.has(current.id)) {
+      categoryMap.set(current.id, current.statusCategory.key);
+    }
+  });
+
+  // Arrivals and departures use the same commitment and delivery points as the ages
+  const replays = new Map(uniqueIssues.map(issue => [issue.key, createIssueReplay(issue, categoryMap)]));
+  const stateAt = (issue, cutoff) => {
+    const reconstructed = replays.get(issue.key).at(cutoff);
+    if (!reconstructed) return null;
+    const status = reconstructed.fields.status;
+    return {
+      status: status.name,
+      category: status.statusCategory.key,
+      committed: isCommittedStatus(status.id, status.name, categoryMap, workflow),
+      delivered: isDeliveredStatus(status.id, status.name, categoryMap, workflow)
+    };
+  };
+
+  const columnCategories = new Map(); // status name -> category
+  const previous = new Map(); // issue key -> state on the previous day
+  const dayBefore = endOfDay(addDays(fromDate, -1), calendar);
+  uniqueIssues.forEach(issue => {
+    previous.set(issue.key, stateAt(issue, dayBefore));
+  });
+
+  const rawDays = dates.map(date => {
+    const counts = new Map();
+    let arrivals = 0;
+    let departures = 0;
+    const cutoff = endOfDay(date, calendar);
+
+    uniqueIssues.forEach(issue => {
+      const state = stateAt(issue, cutoff);
+      const before = previous.get(issue.key);
+      previous.set(issue.key, state);
+      if (!state) return;
+
+      counts.set(state.status, (counts.get(state.status) || 0) + 1);
+      if (!columnCategories.has(state.status)) {
+        columnCategories.set(state.status, state.category);
+      }
+
+      // Arrival: work passed the commitment point; departure: it passed the delivery point
+      if (state.committed && !(before && before.committed)) arrivals++;
+      if (state.delivered && !(before && before.delivered)) departures++;
+    });
+
+    trace(`  CFD ${date}: ${arrivals} arrivals, ${departures} departures`);
+    return { date, counts, arrivals, departures };
+  });
+
+  // --columns-order first, then the remaining statuses in workflow order
+  const orderArray = columnsOrder ? columnsOrder.split(',').map(name => name.trim()) : [];
+  const categoryRank = (name) => {
+    const index = CATEGORY_ORDER.indexOf(columnCategories.get(name));
+    return index === -1 ? CATEGORY_ORDER.length : index;
+  };
+  const names = Array.from(columnCategories.keys());
+  const orderedNames = [
+    ...orderArray.filter(name => columnCategories.has(name)),
+    ...names.filter(name => !orderArray.includes(name)).sort((a, b) => categoryRank(a) - categoryRank(b))
+  ];
+
+  const columns = orderedNames.map(name => ({ name: name, category: columnCategories.get(name) }));
+  const days = rawDays.map(day => {
+    const counts = orderedNames.map(name => day.counts.get(name) || 0);
+    return {
+      date: day.date,
+      counts: counts,
+      wip: counts.reduce((sum, count, index) => sum + (columns[index].category === 'indeterminate' ? count : 0), 0),
+      arrivals: day.arrivals,
+      departures: day.departures
+    };
+  });
+
+  verbose(`Built cumulative flow with ${columns.length} columns`);
+
+  return {
+    from: fromDate,
+    to: endDate,
+    columns: columns,
+    days: days
+  };
+}
+
+// ============================================================================
+// Board Columns
+// ============================================================================
+
+/**
+ * One status per board column. A column is done when all of its statuses
+ * are, new when all of them are new, and in progress otherwise.
+ */
+function buildBoardColumnStatuses(board, statusCategoryMap) {
+  return board.columns.map((column, index) => {
+    const categories = column.statusIds.map(id => statusCategoryMap.get(id)).filter(Boolean);
+    let category = 'indeterminate';
+    if (categories.length > 0 && categories.every(key => key === 'done')) {
+      category = 'done';
+    } else if (categories.length > 0 && categories.every(key => key === 'new')) {
+      category = 'new';
+    }
+
+    return {
+      id: `board-column-${index}`,
+      name: column.name,
+      statusCategory: { key: category },
+      statusIds: column.statusIds
+    };
+  });
+}
+
+/**
+ * Move issues onto board columns: the current status and every status change
+ * are rewritten to the column holding the status, and moves between statuses
+ * of the same column drop out. Statuses outside the board stay as they are.
+ * SLEs, snapshots and the CFD then all work per column.
+ */
+function mapIssuesToBoardColumns(issues, columnStatuses) {
+  const columnByStatusId = new Map();
+  columnStatuses.forEach(column => column.statusIds.forEach(id => columnByStatusId.set(id, column)));
+
+  issues.forEach(issue => {
+    const column = issue.fields.status && columnByStatusId.get(issue.fields.status.id);
+    if (column) {
+      issue.fields.status = { id: column.id, name: column.name, statusCategory: column.statusCategory };
+    }
+
+    if (!issue.changelog || !issue.changelog.histories) return;
+    issue.changelog.histories = issue.changelog.histories
+      .map(history => ({
+        ...history,
+        items: history.items.flatMap(item => {
+          if (item.field !== 'status') return [item];
+          const from = columnByStatusId.get(item.from);
+          const to = columnByStatusId.get(item.to);
+          const mapped = {
+            ...item,
+            from: from ? from.id : item.from,
+            fromString: from ? from.name : item.fromString,
+            to: to ? to.id : item.to,
+            toString: to ? to.name : item.toString
+          };
+          return mapped.from === mapped.to ? [] : [mapped];
+        })
+      }))
+      .filter(history => history.items.length > 0);
+  });
+}
+
+function getOpenColumnIds(columnStatuses) {
+  return new Set(columnStatuses
+    .filter(column => column.statusCategory.key !== 'done')
+    .map(column => column.id));
+}
+
+/**
+ * Issues the board shows: in one of its columns, and not in a done one.
+ */
+function filterBoardIssues(issues, columnStatuses) {
+  const openColumnIds = getOpenColumnIds(columnStatuses);
+  const onBoard = issues.filter(issue => openColumnIds.has(issue.fields.status.id));
+  verbose(`Board shows ${onBoard.length} of ${issues.length} issues`);
+  return onBoard;
+}
+
+// ============================================================================
+// Chart Generation
+// ============================================================================
+
+/**
+ * Parameters accepted by generateChart(). The CLI, the API servers and the
+ * PHP endpoint all build one of these, so every entry point behaves the same.
+ *
+ * @typedef {Object} ChartParams
+ * @property {string} jql - Board query (JQL, or the query for `source`); optional with a profile or board
+ * @property {number} [board] - Jira Agile board ID: its filter JQL, columns (with their statuses) and WIP limits
+ * @property {string} [profile] - Saved board profile to start from; other params override it
+ * @property {string} [connection] - Server-held Jira connection (default: "default", or the profile's)
+ * @property {string} [jiraUrl] - Inline Jira credentials for scripts; take precedence over the connection
+ * @property {string} [jiraUser]
+ * @property {string} [jiraApiToken]
+ * @property {string} [jqlSLE] - Historical query for SLEs, completed items, forecasts and the CFD
+ * @property {string} [date] - Reference date, YYYY-MM-DD (default: today)
+ * @property {string|number} [sleWindow] - Xd, YYYY-MM-DD or a transition count; a number means days (default: 90d)
+ * @property {string|number[]} [percentiles] - SLE percentiles, "50,85" or [50, 85] (default: 50,75,85,90)
+ * @property {string|string[]} [columnsOrder] - Column names in board order
+ * @property {boolean} [sleExits] - Include every historical exit per column so the chart can recompute SLEs
+ * @property {number} [sleMinSamples] - Columns with fewer exits in the SLE window use the board-level SLE
+ *   (default: 5, 0 turns the fallback off)
+ * @property {string} [sleSegmentBy] - Also compute SLEs per "type", "priority" or "class" (class of service)
+ * @property {string|string[]} [classesOfService] - Labels naming classes of service, first match wins
+ *   (default: Expedite,Fixed Date,Standard,Intangible; items without one are Standard)
+ * @property {string} [swimlanes] - Split the chart into lanes by "assignee", "label", "parent", "project",
+ *   "class" or a custom field ID ("customfield_10001")
+ * @property {string|string[]} [swimlaneLabels] - Labels that name the lanes, first match wins; with "class",
+ *   the classes of service (default: every label for "label", the classes of service for "class")
+ * @property {number} [maxDays] - Fixed Y-axis maximum
+ * @property {Object} [theme] - Theme object, merged over the default theme
+ * @property {Object<string, number|string|{min?: number, max?: number}>} [wipLimits] - WIP limit per column name,
+ *   over the board's: a maximum (5), a range ("2-5" or { min: 2, max: 5 }) or a minimum ("2+")
+ * @property {number} [totalWipLimit] - Maximum number of items on the whole board
+ * @property {string|string[]} [dependencyLinks] - Links that make an item depend on another:
+ *   descriptions ("is blocked by", "depends on") or type names with :inward/:outward (default: Blocks:inward)
+ * @property {string|string[]} [blockedStatuses] - Statuses that count as blocked, besides the Flagged field
+ * @property {string|string[]} [commitmentStatuses] - Statuses where work starts; columns right of them count too
+ *   (default: leaving the To Do category)
+ * @property {string|string[]} [deliveryStatuses] - Statuses where work is delivered; columns right of them count too
+ *   (default: reaching the Done category)
+ * @property {number} [bounceDays] - Days within which a move back before the commitment point undoes the start (default: 0, the same day)
+ * @property {string} [timeZone] - IANA time zone for day boundaries, e.g. "America/Sao_Paulo" (default: the server's)
+ * @property {boolean} [workdays] - Count ages in business days: weekends and holidays excluded
+ * @property {string|string[]} [holidays] - Holiday dates (YYYY-MM-DD) skipped in workdays mode
+ * @property {string} [from] - First snapshot date; adds time-travel snapshots
+ * @property {string} [to] - Last snapshot date, becomes the reference date (default: date)
+ * @property {number} [snapshotInterval] - Days between snapshots (default: 1)
+ * @property {string} [forecastDate] - "How many" forecast target date
+ * @property {number} [forecastItems] - "When" forecast item count (default: items on the board)
+ * @property {number} [simulations] - Monte Carlo runs per forecast (default: 10000)
+ * @property {number} [throughputDays] - Only sample throughput from the last N days
+ * @property {string|number} [cfdWindow] - Xd or YYYY-MM-DD; a number means days
+ * @property {boolean} [cache] - Reuse and update the on-disk issue cache (default: true)
+ * @property {boolean} [refreshCache] - Ignore cached issues and download everything again
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check chart parameters before anything is fetched.
+ *
+ * Requests that arrive over HTTP (`origin: 'http'`) must name a connection the
+ * server knows; only the CLI and `--params` may carry credentials inline.
+ *
+ * @param {ChartParams} params
+ * @param {{ origin?: 'cli'|'http', requireCredentials?: boolean }} [options]
+ * @returns {string|null} The first problem found, or null
+ */
+function validateChartParams(params, options = {}) {
+  const requireCredentials = options.requireCredentials !== false;
+  if (!params || typeof params !== 'object') {
+    return 'Chart parameters must be an object';
+  }
+
+  if (options.origin === 'http' && (params.jiraUrl || params.jiraUser || params.jiraApiToken)) {
+    return 'Inline Jira credentials are not accepted; choose a connection configured on the server';
+  }
+
+  if (params.profile && !loadProfile(params.profile)) {
+    return `Unknown profile: ${params.profile}`;
+  }
+
+  // A profile or a board supplies the query
+  if (!params.jql && !params.profile && !params.board) {
+    return 'Missing required parameters: jql';
+  }
+  if (params.board && !/^\d+$/.test(String(params.board))) {
+    return 'board must be a Jira board ID';
+  }
+
+  // Either inline credentials or a connection the server knows about
+  const connection = chartConnectionId(params);
+  if ((requireCredentials && !hasInlineCredentials(params)) || params.connection) {
+    try {
+      if (!resolveConnection(connection)) {
+        return params.connection || connection !== DEFAULT_CONNECTION
+          ? `Unknown connection: ${connection}`
+          : 'No Jira connection configured; set JIRA_URL, JIRA_USER and JIRA_API_TOKEN on the server';
+      }
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  const dates = ['date', 'from', 'to', 'forecastDate'].filter(name => params[name] && !DATE_PATTERN.test(params[name]));
+  if (dates.length > 0) {
+    return `${dates[0]} must be in YYYY-MM-DD format`;
+  }
+  if (params.to && !params.from) {
+    return 'to requires from';
+  }
+  if (params.timeZone && !isValidTimeZone(params.timeZone)) {
+    return `Unknown timeZone: ${params.timeZone}`;
+  }
+  if (params.from && params.from > (params.to || params.date || toLocalDate(Date.now(), params.timeZone || DEFAULT_TIME_ZONE))) {
+    return 'from must not be after to';
+  }
+
+  if (params.sleWindow && !/^(\d+d?|\d{4}-?\d{2}-?\d{2})$/i.test(String(params.sleWindow))) {
+    return 'sleWindow must be Xd, YYYY-MM-DD or a transition count';
+  }
+  if (params.cfdWindow && !/^(\d+d?|\d{4}-?\d{2}-?\d{2})$/i.test(String(params.cfdWindow))) {
+    return 'cfdWindow must be Xd or YYYY-MM-DD';
+  }
+
+  const positive = ['maxDays', 'snapshotInterval', 'forecastItems', 'simulations', 'throughputDays', 'totalWipLimit']
+    .filter(name => params[name] && !(parseInt(params[name]) >= 1));
+  if (positive.length > 0) {
+    return `${positive[0]} must be a positive number`;
+  }
+
+  const percentiles = Array.isArray(params.percentiles) ? params.percentiles : String(params.percentiles || '').split(',').filter(Boolean);
+  if (percentiles.some(p => !(parseInt(p) >= 1 && parseInt(p) <= 100))) {
+    return 'percentiles must be numbers from 1 to 100';
+  }
+
+  // One zone below each percentile plus the one above the last
+  const sleColors = params.theme && params.theme.sle_colors;
+  if (sleColors !== undefined && sleColors !== null) {
+    if (!Array.isArray(sleColors) || sleColors.some(color => typeof color !== 'string' || !HEX_COLOR_PATTERN.test(color))) {
+      return 'theme.sle_colors must be a list of hex colors';
+    }
+    const zones = (percentiles.length || DEFAULT_PERCENTILES.length) + 1;
+    if (sleColors.length < zones) {
+      return `theme.sle_colors has ${sleColors.length} colors, but ${zones - 1} percentiles make ${zones} SLE zones`;
+    }
+  }
+
+  if (params.sleMinSamples !== undefined && params.sleMinSamples !== null && params.sleMinSamples !== '' && !/^\d+$/.test(String(params.sleMinSamples))) {
+    return 'sleMinSamples must be a whole number';
+  }
+
+  if (params.sleSegmentBy && !SLE_SEGMENT_DIMENSIONS.includes(params.sleSegmentBy)) {
+    return `sleSegmentBy must be one of: ${SLE_SEGMENT_DIMENSIONS.join(', ')}`;
+  }
+
+  if (params.swimlanes && !SWIMLANE_DIMENSIONS.includes(params.swimlanes) && !CUSTOM_FIELD_PATTERN.test(params.swimlanes)) {
+    return `swimlanes must be one of: ${SWIMLANE_DIMENSIONS.join(', ')}, or a custom field ID (customfield_10001)`;
+  }
+
+  if (params.dependencyLinks && parseDependencyLinks(params.dependencyLinks).length === 0) {
+    return 'dependencyLinks must name at least one link type';
+  }
+
+  if (params.bounceDays !== undefined && params.bounceDays !== null && params.bounceDays !== '' && !/^\d+$/.test(String(params.bounceDays))) {
+    return 'bounceDays must be a whole number of days';
+  }
+
+  const holidays = toList(params.holidays);
+  if (holidays.some(date => !DATE_PATTERN.test(date))) {
+    return 'holidays must be dates in YYYY-MM-DD format';
+  }
+  // A profile may supply workdays; the merged parameters are checked again
+  if (holidays.length > 0 && !params.workdays && !params.profile) {
+    return 'holidays only apply to workdays aging; set workdays too';
+  }
+
+  if (params.wipLimits && (typeof params.wipLimits !== 'object' || Object.values(params.wipLimits).some(limit => !isValidWipLimit(parseWipLimit(limit))))) {
+    return 'wipLimits must map column names to a maximum, "min-max", "min+" or { min, max }';
+  }
+
+  return null;
+}
+
+function hasInlineCredentials(params) {
+  return Boolean(params.jiraUrl && params.jiraUser && params.jiraApiToken);
+}
+
+function chartConnectionId(params) {
+  if (params.connection) {
+    return params.connection;
+  }
+  const profile = params.profile ? loadProfile(params.profile) : null;
+  return (profile && profile.connection) || DEFAULT_CONNECTION;
+}
+
+/**
+ * Bare numbers from the web form are days; strings use the CLI window syntax.
+ */
+function toWindowString(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  return typeof value === 'number' ? `${value}d` : String(value);
+}
+
+function toList(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  return entries.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+function toInteger(value) {
+  return value === undefined || value === null || value === '' ? null : parseInt(value);
+}
+
+/**
+ * Fill in defaults so the pipeline sees one shape regardless of the caller.
+ */
+function normalizeChartParams(params) {
+  const timeZone = params.timeZone || DEFAULT_TIME_ZONE;
+  const today = toLocalDate(Date.now(), timeZone);
+  const date = params.from ? (params.to || params.date || today) : (params.date || today);
+  const requestedPercentiles = Array.isArray(params.percentiles)
+    ? params.percentiles
+    : (params.percentiles ? String(params.percentiles).split(',') : DEFAULT_PERCENTILES);
+  // Ascending, so each SLE value bounds the zone below it
+  const percentiles = Array.from(new Set(requestedPercentiles.map(p => parseInt(p)))).sort((a, b) => a - b);
+  const theme = mergeTheme(params.theme);
+
+  return {
+    jql: params.jql || null,
+    board: toInteger(params.board),
+    jqlSLE: params.jqlSLE || null,
+    date: date,
+    sleWindow: toWindowString(params.sleWindow, '90d'),
+    percentiles: percentiles,
+    sleExits: Boolean(params.sleExits),
+    sleMinSamples: toInteger(params.sleMinSamples) === null ? DEFAULT_SLE_MIN_SAMPLES : toInteger(params.sleMinSamples),
+    sleSegments: params.sleSegmentBy ? {
+      by: params.sleSegmentBy,
+      classes: params.classesOfService ? toList(params.classesOfService) : DEFAULT_CLASSES_OF_SERVICE
+    } : null,
+    swimlanes: params.swimlanes ? {
+      by: CUSTOM_FIELD_PATTERN.test(params.swimlanes) ? 'field' : params.swimlanes,
+      field: CUSTOM_FIELD_PATTERN.test(params.swimlanes) ? params.swimlanes : null,
+      labels: params.swimlaneLabels ? toList(params.swimlaneLabels)
+        : (params.swimlanes === 'class' ? (params.classesOfService ? toList(params.classesOfService) : DEFAULT_CLASSES_OF_SERVICE) : null)
+    } : null,
+    columnsOrder: Array.isArray(params.columnsOrder) ? params.columnsOrder.join(',') : (params.columnsOrder || null),
+    maxDays: toInteger(params.maxDays),
+    // Custom palettes were validated to cover every zone
+    theme: params.theme && params.theme.sle_colors ? theme : { ...theme, sle_colors: fitSleColors(theme.sle_colors, percentiles.length + 1) },
+    from: params.from || null,
+    to: params.from ? date : null,
+    snapshotInterval: toInteger(params.snapshotInterval) || 1,
+    forecastDate: params.forecastDate || null,
+    forecastItems: toInteger(params.forecastItems),
+    simulations: toInteger(params.simulations) || DEFAULT_SIMULATIONS,
+    throughputDays: toInteger(params.throughputDays),
+    cfdWindow: toWindowString(params.cfdWindow, null),
+    wipLimits: params.wipLimits || null,
+    totalWipLimit: toInteger(params.totalWipLimit),
+    dependencyLinks: parseDependencyLinks(params.dependencyLinks || DEFAULT_DEPENDENCY_LINKS),
+    blockedStatuses: toList(params.blockedStatuses).map(name => name.toLowerCase()),
+    workflow: {
+      commitment: toList(params.commitmentStatuses),
+      delivery: toList(params.deliveryStatuses),
+      bounceDays: toInteger(params.bounceDays) || 0
+    },
+    calendar: {
+      timeZone: timeZone,
+      workdays: Boolean(params.workdays),
+      holidays: Array.from(new Set(toList(params.holidays))).sort()
+    }
+  };
+}
+
+/**
+ * How much of the age carried by each column's items was spent blocked.
+ */
+function summarizeBlockedTime(columns) {
+  columns.forEach(col => {
+    const days = col.items.reduce((sum, item) => sum + (item.blocked_days || 0), 0);
+    const ageDays = col.items.reduce((sum, item) => sum + item.age, 0);
+    col.blocked = {
+      items: col.items.filter(item => item.blocked).length,
+      days: days,
+      percent: ageDays > 0 ? Math.round((days / ageDays) * 100) : 0
+    };
+  });
+}
+
+/**
+ * SLEs computed after the columns were built: time in status (how long items
+ * stayed in each column, for the time-in-current-status view) and the
+ * per-segment maps.
+ */
+function applyColumnSles(columns, field, slesByStatusId, statusNameToIdMap) {
+  columns.forEach(col => {
+    const statusId = statusNameToIdMap.get(col.name);
+    col[field] = (statusId && slesByStatusId.get(statusId)) || null;
+  });
+}
+
+/**
+ * Sample size and confidence intervals for a column SLE ('sle' or
+ * 'sle_in_status'). Columns with fewer than minSamples exits swap in the
+ * board-level SLE and are flagged as a fallback; columns before the commitment
+ * point or past delivery keep none.
+ */
+function applySleConfidence(columns, field, confidenceByStatusId, boardSle, minSamples, statusNameToIdMap, statusCategoryMap, workflow = DEFAULT_WORKFLOW) {
+  columns.forEach(col => {
+    const statusId = statusNameToIdMap.get(col.name);
+    const confidence = (statusId && confidenceByStatusId.get(statusId)) || null;
+    col[`${field}_samples`] = confidence ? confidence.samples : 0;
+    col[`${field}_intervals`] = confidence ? confidence.intervals : null;
+
+    const inProgress = isCommittedStatus(statusId, col.name, statusCategoryMap, workflow) && !isDeliveredStatus(statusId, col.name, statusCategoryMap, workflow);
+    if (boardSle && inProgress && col[`${field}_samples`] < minSamples) {
+      col[field] = boardSle.sle;
+      col[`${field}_intervals`] = boardSle.intervals;
+      col[`${field}_fallback`] = true;
+    }
+  });
+}
+
+/**
+ * A WIP limit as { min, max }: a number or "5" is a maximum, "2-5" a range,
+ * "2+" a minimum, and { min, max } objects pass through. Null if unreadable.
+ */
+function parseWipLimit(value) {
+  if (value && typeof value === 'object') {
+    return { min: toInteger(value.min), max: toInteger(value.max) };
+  }
+  const match = String(value).trim().match(/^(\d+)(?:\s*-\s*(\d+)|(\+))?$/);
+  if (!match) {
+    return null;
+  }
+  if (match[2]) {
+    return { min: parseInt(match[1]), max: parseInt(match[2]) };
+  }
+  return match[3] ? { min: parseInt(match[1]), max: null } : { min: null, max: parseInt(match[1]) };
+}
+
+function isValidWipLimit(limit) {
+  if (!limit || (limit.min === null && limit.max === null)) {
+    return false;
+  }
+  if ([limit.min, limit.max].some(value => value !== null && !(value >= 1))) {
+    return false;
+  }
+  return limit.min === null || limit.max === null || limit.min <= limit.max;
+}
+
+/**
+ * Columns carry their limit; the chart compares it with the items left
+ * after filtering, so counts are not baked in here.
+ */
+function applyWipLimits(columns, wipLimits) {
+  columns.forEach(col => {
+    if (wipLimits[col.name] === undefined) return;
+    const limit = parseWipLimit(wipLimits[col.name]);
+    if (isValidWipLimit(limit)) {
+      col.wip_limit = limit;
+    }
+  });
+}
+
+/**
+ * Fetch issues and build the full chart payload: board, SLEs, snapshots,
+ * completed items, forecast and cumulative flow.
+ *
+ * @param {ChartParams} params
+ * @param {{ source?: import('./sources/common.js').SourceAdapter, origin?: 'cli'|'http', request?: Function }} [options] - Adapter to
+ *   read from instead of a JiraClient built from the params' credentials, where the request came from, and
+ *   the requester that JiraClient uses
+ */
+async function generateChart(params, options = {}) {
+  const validation = { origin: options.origin, requireCredentials: !options.source };
+  let problem = validateChartParams(params, validation);
+  const resolved = problem ? params : applyProfile(params);
+  if (!problem && resolved !== params) {
+    // Profiles may have been edited by hand
+    problem = validateChartParams(resolved, validation);
+  }
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const chart = normalizeChartParams(resolved);
+  const source = options.source || new JiraClient(hasInlineCredentials(params) ? {
+    JIRA_URL: params.jiraUrl.replace(/\/$/, ''),
+    JIRA_USER: params.jiraUser,
+    JIRA_API_TOKEN: params.jiraApiToken
+  } : resolveConnection(chartConnectionId(resolved)), {
+    request: options.request,
+    cacheDir: params.cache === false ? null : DEFAULT_CACHE_DIR,
+    refreshCache: params.refreshCache
+  });
+
+  // A board supplies the query, the column layout and the WIP limits; explicit params win
+  let board = null;
+  if (chart.board) {
+    if (!source.getBoard) {
+      throw new Error('Boards are only available for Jira');
+    }
+    board = await source.getBoard(chart.board);
+    chart.jql = chart.jql || board.jql;
+
+    const boardLimits = {};
+    board.columns.filter(column => column.min || column.max).forEach(column => {
+      boardLimits[column.name] = { min: column.min, max: column.max };
+    });
+    chart.wipLimits = { ...boardLimits, ...chart.wipLimits };
+  }
+
+  // Fetch all issues first
+  verbose(`Executing JQL: ${chart.jql}`);
+  const issues = await source.getAllIssues(chart.jql, { includeDone: Boolean(chart.from || chart.cfdWindow) });
+
+  if (issues.length === 0) {
+    verbose('No issues found matching the JQL query');
+    return { columns: [] };
+  }
+  annotateIssues(issues, chart, source.baseUrl);
+
+  // Fetch status metadata in bulk
+  const statusIds = new Set(extractUniqueStatusIds(issues));
+  if (board) {
+    board.columns.forEach(column => column.statusIds.forEach(id => statusIds.add(id)));
+  }
+  const statuses = await source.getStatusesByIds(Array.from(statusIds));
+  const statusCategoryMap = buildStatusCategoryMap(statuses);
+  const allStatusNameToIdMap = buildStatusNameToIdMap(statuses);
+
+  // From here on the board's columns stand in for the statuses they hold
+  let columnStatuses = null;
+  if (board) {
+    columnStatuses = buildBoardColumnStatuses(board, statusCategoryMap);
+    mapIssuesToBoardColumns(issues, columnStatuses);
+    buildStatusCategoryMap(columnStatuses).forEach((category, key) => statusCategoryMap.set(key, category));
+    buildStatusNameToIdMap(columnStatuses).forEach((id, name) => allStatusNameToIdMap.set(name, id));
+    chart.columnsOrder = chart.columnsOrder || columnStatuses
+      .filter(column => column.statusCategory.key !== 'done')
+      .map(column => column.name)
+      .join(',');
+  }
+
+  // Fetch the SLE history if an SLE query is provided
+  let sleIssues = [];
+  if (chart.jqlSLE) {
+    verbose(`Executing SLE JQL: ${chart.jqlSLE}`);
+    sleIssues = await source.getAllIssues(chart.jqlSLE);
+    annotateIssues(sleIssues, chart, source.baseUrl);
+    if (columnStatuses) {
+      mapIssuesToBoardColumns(sleIssues, columnStatuses);
+    }
+    verbose(`Fetched ${sleIssues.length} issues for SLE calculation`);
+  }
+
+  // The cumulative flow also needs categories for statuses only the history uses
+  const cfdIssues = issues.concat(sleIssues);
+  const cfdCategoryMap = new Map(statusCategoryMap);
+  if (chart.cfdWindow) {
+    const missingStatusIds = extractUniqueStatusIds(cfdIssues).filter(id => !cfdCategoryMap.has(id));
+    if (missingStatusIds.length > 0) {
+      buildStatusCategoryMap(await source.getStatusesByIds(missingStatusIds)).forEach((category, key) => cfdCategoryMap.set(key, category));
+    }
+  }
+
+  const calendar = chart.calendar;
+  verbose(`Counting ${formatCalendarLabel(calendar).toLowerCase()}`);
+  const statusCategories = new Map();
+  allStatusNameToIdMap.forEach((id, name) => statusCategories.set(name, statusCategoryMap.get(id)));
+  const workflow = normalizeWorkflow({ ...chart.workflow, order: toList(chart.columnsOrder), categories: statusCategories });
+
+  // Calculate SLEs if an SLE query is provided
+  let slesByStatusId = null;
+  let timeInStatusSlesByStatusId = null;
+  let segmentSles = null;
+  let sleConfidence = null;
+  let sleExits = null;
+  let sleRisk = null;
+  const completedItems = sleIssues.length > 0 ? extractCompletedItems(sleIssues, source.baseUrl, statusCategoryMap, calendar, workflow) : [];
+  if (chart.jqlSLE) {
+    verbose('='.repeat(80));
+    verbose('Calculating SLEs from historical data...');
+    verbose('='.repeat(80));
+
+    if (sleIssues.length > 0) {
+      const transitionsByStatusId = extractStatusTransitions(sleIssues, statusCategoryMap, chart.sleSegments, calendar, workflow);
+      const window = parseWindow(chart.sleWindow, chart.date, calendar);
+      slesByStatusId = calculateSLEsForStatuses(transitionsByStatusId, window, chart.percentiles);
+      timeInStatusSlesByStatusId = calculateSLEsForStatuses(transitionsByStatusId, window, chart.percentiles, 'stateAge');
+      if (chart.sleSegments) {
+        verbose(`Calculating SLEs per ${chart.sleSegments.by === 'class' ? 'class of service' : chart.sleSegments.by}...`);
+        segmentSles = {
+          overall: calculateSegmentSLEs(transitionsByStatusId, window, chart.percentiles, 'overallAge', chart.sleMinSamples),
+          inStatus: calculateSegmentSLEs(transitionsByStatusId, window, chart.percentiles, 'stateAge', chart.sleMinSamples)
+        };
+      }
+
+      if (chart.sleExits) {
+        sleExits = collectSleExits(transitionsByStatusId);
+      }
+
+      const exits = Array.from(transitionsByStatusId.values()).flat();
+      sleRisk = {
+        exitAges: collectExitAges(transitionsByStatusId, window),
+        boardAges: filterTransitionsByWindow(completedItems.map(item => ({ exitDate: item.completed_date, age: item.cycle_time })), window)
+          .map(sample => sample.age)
+          .sort((a, b) => a - b),
+        exitAgesInStatus: collectExitAges(transitionsByStatusId, window, 'stateAge'),
+        boardAgesInStatus: filterTransitionsByWindow(exits, window).map(exit => exit.stateAge).sort((a, b) => a - b)
+      };
+
+      verbose(`Estimating ${SLE_CONFIDENCE_LEVEL}% confidence intervals...`);
+      sleConfidence = {
+        overall: calculateSLEConfidence(transitionsByStatusId, window, chart.percentiles),
+        inStatus: calculateSLEConfidence(transitionsByStatusId, window, chart.percentiles, 'stateAge'),
+        board: calculateBoardSLE(completedItems.map(item => ({ exitDate: item.completed_date, age: item.cycle_time })), window, chart.percentiles),
+        boardInStatus: calculateBoardSLE(exits.map(exit => ({ exitDate: exit.exitDate, age: exit.stateAge })), window, chart.percentiles)
+      };
+
+      verbose(`SLE calculation complete for percentiles: [${chart.percentiles.join(', ')}]`);
+    } else {
+      verbose('No historical issues found for SLE calculation');
+    }
+
+    verbose('='.repeat(80));
+  } else {
+    debug('No SLE query provided, skipping SLE calculation');
+  }
+
+  // Transform to output format
+  verbose('Transforming issues to output format...');
+  let output;
+  if (chart.from) {
+    // Time travel: one board per day, the last one doubles as the main board
+    const history = buildSnapshots(issues, chart.from, chart.to, chart.snapshotInterval, source.baseUrl, chart.theme, statusCategoryMap, slesByStatusId, chart.columnsOrder, chart.maxDays, allStatusNameToIdMap, columnStatuses, calendar, workflow);
+    output = {
+      ...history.latest,
+      columns: history.snapshots[history.snapshots.length - 1].columns,
+      max_days: history.max_days,
+      snapshots: history.snapshots
+    };
+
+    // Items that left the board before the last day still need theme entries
+    const snapshotItems = history.snapshots.flatMap(snapshot => snapshot.columns.flatMap(col => col.items));
+    output.theme.types = autoDetectThemeTypes(snapshotItems, output.theme);
+    output.theme.priorities = autoDetectThemePriorities(snapshotItems, output.theme);
+  } else {
+    let boardIssues = columnStatuses ? filterBoardIssues(issues, columnStatuses) : issues;
+    if (chart.workflow.delivery.length > 0) {
+      // Past the delivery point an item is finished, even before it reaches Done
+      boardIssues = boardIssues.filter(issue => !isDeliveredStatus(issue.fields.status.id, issue.fields.status.name, statusCategoryMap, workflow));
+    }
+    output = buildOutput(boardIssues, chart.date, source.baseUrl, chart.theme, statusCategoryMap, slesByStatusId, chart.columnsOrder, chart.maxDays, allStatusNameToIdMap, calendar, workflow);
+  }
+
+  if (board) {
+    output.title = `${board.name} - Aging WIP`;
+    output.board_url = board.url;
+  }
+
+  // Dependencies outside the query are drawn as stubs at the chart edge
+  output.linked_items = collectLinkedItems(issues, output.columns);
+
+  // Completed items from the SLE history feed the cycle time scatterplot
+  if (sleIssues.length > 0) {
+    output.completed_items = completedItems;
+
+    // Their completion dates are also the throughput samples for forecasting
+    const wipCount = output.columns.reduce((sum, col) => sum + col.items.length, 0);
+    const forecast = buildForecast(output.completed_items, chart.date, {
+      forecastDate: chart.forecastDate,
+      forecastItems: chart.forecastItems || wipCount,
+      simulations: chart.simulations,
+      throughputDays: chart.throughputDays,
+      calendar: calendar
+    });
+    if (forecast) {
+      output.forecast = forecast;
+    }
+  }
+
+  // Cumulative flow over the board and the SLE history
+  if (chart.cfdWindow) {
+    const cfdWindow = parseWindow(chart.cfdWindow, chart.date, calendar);
+    output.cfd = buildCfd(cfdIssues, cfdWindow.value, chart.date, cfdCategoryMap, chart.columnsOrder, calendar, workflow);
+  }
+
+  if (timeInStatusSlesByStatusId) {
+    applyColumnSles(output.columns, 'sle_in_status', timeInStatusSlesByStatusId, allStatusNameToIdMap);
+    (output.snapshots || []).forEach(snapshot => applyColumnSles(snapshot.columns, 'sle_in_status', timeInStatusSlesByStatusId, allStatusNameToIdMap));
+  }
+
+  if (chart.jqlSLE) {
+    output.sle_definition = {
+      percentiles: chart.percentiles,
+      window: chart.sleWindow,
+      method: SLE_METHOD,
+      reference_date: chart.date,
+      computed_at: new Date().toISOString()
+    };
+  }
+
+  // Raw exits once per column name rather than on every snapshot's columns
+  if (sleExits) {
+    output.sle_exits = {};
+    const names = new Set([output.columns].concat((output.snapshots || []).map(snapshot => snapshot.columns))
+      .flatMap(columns => columns.map(col => col.name)));
+    names.forEach(name => {
+      const statusId = allStatusNameToIdMap.get(name);
+      if (statusId && sleExits.has(statusId)) {
+        output.sle_exits[name] = sleExits.get(statusId);
+      }
+    });
+  }
+
+  if (sleConfidence) {
+    const boards = [output.columns].concat((output.snapshots || []).map(snapshot => snapshot.columns));
+    boards.forEach(columns => {
+      applySleConfidence(columns, 'sle', sleConfidence.overall, sleConfidence.board, chart.sleMinSamples, allStatusNameToIdMap, statusCategoryMap, workflow);
+      applySleConfidence(columns, 'sle_in_status', sleConfidence.inStatus, sleConfidence.boardInStatus, chart.sleMinSamples, allStatusNameToIdMap, statusCategoryMap, workflow);
+    });
+    if (sleRisk) {
+      boards.forEach(columns => {
+        applySleRisk(columns, 'sle', sleRisk.exitAges, sleRisk.boardAges, allStatusNameToIdMap);
+        applySleRisk(columns, 'sle_in_status', sleRisk.exitAgesInStatus, sleRisk.boardAgesInStatus, allStatusNameToIdMap);
+      });
+    }
+    output.sle_confidence = {
+      level: SLE_CONFIDENCE_LEVEL,
+      min_samples: chart.sleMinSamples,
+      board: sleConfidence.board,
+      board_in_status: sleConfidence.boardInStatus
+    };
+  }
+
+  if (segmentSles) {
+    const boards = [output.columns].concat((output.snapshots || []).map(snapshot => snapshot.columns));
+    boards.forEach(columns => {
+      applyColumnSles(columns, 'sle_by_segment', segmentSles.overall, allStatusNameToIdMap);
+      applyColumnSles(columns, 'sle_in_status_by_segment', segmentSles.inStatus, allStatusNameToIdMap);
+    });
+
+    // The chart reads each item's segment; classes of service are not an item field yet
+    if (chart.sleSegments.by === 'class') {
+      const items = boards.flatMap(columns => columns.flatMap(col => col.items)).concat(output.completed_items || []);
+      items.forEach(item => {
+        item.class_of_service = getClassOfService(item.labels, chart.sleSegments.classes);
+      });
+    }
+
+    const values = new Set();
+    segmentSles.overall.forEach(sles => Object.keys(sles).forEach(segment => values.add(segment)));
+    output.sle_segments = {
+      by: chart.sleSegments.by,
+      classes: chart.sleSegments.by === 'class' ? chart.sleSegments.classes : undefined,
+      values: Array.from(values).sort()
+    };
+  }
+
+  if (chart.swimlanes) {
+    const issuesByKey = new Map(issues.map(issue => [issue.key, issue]));
+    const boards = [output.columns].concat((output.snapshots || []).map(snapshot => snapshot.columns));
+    boards.forEach(columns => columns.forEach(col => col.items.forEach(item => {
+      item.lane = getSwimlane(item, issuesByKey.get(item.key), chart.swimlanes);
+    })));
+    output.swimlanes = {
+      by: chart.swimlanes.by,
+      field: chart.swimlanes.field || undefined,
+      labels: chart.swimlanes.labels || undefined
+    };
+  }
+
+  summarizeBlockedTime(output.columns);
+  (output.snapshots || []).forEach(snapshot => summarizeBlockedTime(snapshot.columns));
+
+  if (chart.wipLimits) {
+    applyWipLimits(output.columns, chart.wipLimits);
+    (output.snapshots || []).forEach(snapshot => applyWipLimits(snapshot.columns, chart.wipLimits));
+  }
+  if (chart.totalWipLimit) {
+    output.total_wip_limit = chart.totalWipLimit;
+  }
+
+  output.calendar = describeCalendar(calendar);
+  output.workflow = {
+    commitment: chart.workflow.commitment,
+    delivery: chart.workflow.delivery,
+    bounce_days: chart.workflow.bounceDays
+  };
+
+  verbose(`Total issues: ${issues.length}`);
+  verbose(`Total columns: ${output.columns.length}`);
+
+  return output;
+}
+
+// ============================================================================
+// Board Profiles
+// ============================================================================
+
+// Named board settings kept as JSON files on the server, one per team board
+const PROFILES_DIR = process.env.PROFILES_DIR || path.join(__dirname, 'profiles');
+const PROFILE_FIELDS = ['connection', 'board', 'jql', 'jqlSLE', 'sleWindow', 'percentiles', 'sleExits', 'sleMinSamples', 'sleSegmentBy', 'classesOfService', 'swimlanes', 'swimlaneLabels', 'columnsOrder', 'maxDays', 'theme', 'wipLimits', 'totalWipLimit', 'cfdWindow', 'dependencyLinks', 'blockedStatuses', 'commitmentStatuses', 'deliveryStatuses', 'bounceDays', 'timeZone', 'workdays', 'holidays'];
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _-]{0,63}$/;
+
+function profileFile(name, profilesDir) {
+  // Case-insensitive: "Team A" and "team-a" are the same profile
+  const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return path.join(profilesDir, `${slug}.json`);
+}
+
+function listProfiles(profilesDir = PROFILES_DIR) {
+  if (!fs.existsSync(profilesDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(profilesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(profilesDir, file), 'utf-8'));
+      } catch (e) {
+        verbose(`Warning: Skipping unreadable profile ${file}: ${e.message}`);
+        return null;
+      }
+    })
+    .filter(profile => profile && profile.name)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function loadProfile(name, profilesDir = PROFILES_DIR) {
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name.trim())) {
+    return null;
+  }
+
+  const file = profileFile(name, profilesDir);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Check a profile before saving it.
+ * @returns {string|null} The first problem found, or null
+ */
+function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    return 'Profile must be an object';
+  }
+  if (typeof profile.name !== 'string' || !PROFILE_NAME_PATTERN.test(profile.name.trim())) {
+    return 'Profile name must be 1-64 letters, digits, spaces, "-" or "_"';
+  }
+  if (!profile.jql && !profile.board) {
+    return 'Profile needs a jql query or a board';
+  }
+  return validateChartParams(profileParams(profile), { requireCredentials: false });
+}
+
+function saveProfile(profile, profilesDir = PROFILES_DIR) {
+  const problem = validateProfile(profile);
+  if (problem) {
+    throw new Error(problem);
+  }
 
-  // Calculate max age
-  const allAges = allItems.map(item => item.age);
-  const calculatedMaxAge = Math.max(...allAges, 30); // At least 30 days
-  
-  // Round up to next multiple of 10
-  const calculatedYAxisMax = Math.ceil(calculatedMaxAge / 10) * 10;
-  
-  const maxAge = maxDaysOverride !== null ? maxDaysOverride : calculatedYAxisMax;
-  
-  if (maxDaysOverride !== null) {
-    debug(`Using custom max_days: ${maxAge} (calculated: ${calculatedYAxisMax})`);
+  const saved = { name: profile.name.trim(), ...profileParams(profile) };
+  fs.mkdirSync(profilesDir, { recursive: true });
+  fs.writeFileSync(profileFile(saved.name, profilesDir), JSON.stringify(saved, null, 2));
+  verbose(`Saved profile ${saved.name}`);
+  return saved;
+}
+
+function deleteProfile(name, profilesDir = PROFILES_DIR) {
+  if (!loadProfile(name, profilesDir)) {
+    return false;
   }
+  fs.unlinkSync(profileFile(name, profilesDir));
+  verbose(`Deleted profile ${name}`);
+  return true;
+}
 
-  return {
-    title: "Jira Issues - Aging WIP",
-    subtitle: `As of ${formatDate(referenceDate)}`,
-    reference_date: formatDate(referenceDate),
-    board_url: jiraBaseUrl,
-    min_days: 0,
-    max_days: maxAge,
-    theme: finalTheme,
-    features: {
-      dependencies: {
-        enabled: true,
-        show_toggle: true,
-        default_visible: true,
-        arrow_color: "#303030",
-        arrow_thickness: 2
-      },
-      filters: {
-        enabled: true,
-        fields: ["type", "assignee", "label", "parent", "priority"]
-      }
-    },
-    columns: columns
-  };
+/**
+ * Keep only the chart settings a profile may hold, dropping empty values.
+ */
+function profileParams(source) {
+  const params = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null && source[field] !== '') {
+      params[field] = source[field];
+    }
+  });
+  return params;
+}
+
+/**
+ * Fill chart parameters from params.profile; values given explicitly win.
+ */
+function applyProfile(params, profilesDir = PROFILES_DIR) {
+  if (!params.profile) {
+    return params;
+  }
+
+  const profile = loadProfile(params.profile, profilesDir);
+  if (!profile) {
+    throw new Error(`Unknown profile: ${params.profile}`);
+  }
+  debug(`Using profile ${profile.name}`);
+
+  const merged = profileParams(profile);
+  Object.keys(params).forEach(key => {
+    if (key !== 'profile' && params[key] !== undefined && params[key] !== null && params[key] !== '') {
+      merged[key] = params[key];
+    }
+  });
+  return merged;
+}
+
+/**
+ * The profile REST API shared by every server:
+ *   GET /profiles, GET|PUT|DELETE /profiles/<name>
+ * @param {string} method
+ * @param {string|null} name - Decoded name from the URL, null for the collection
+ * @param {Object} [body] - Profile for PUT
+ * @param {string} [profilesDir]
+ * @returns {{ status: number, body: Object }}
+ */
+function handleProfileRequest(method, name, body, profilesDir = PROFILES_DIR) {
+  try {
+    if (!name) {
+      if (method === 'GET') return { status: 200, body: { profiles: listProfiles(profilesDir) } };
+      return { status: 405, body: { error: 'Method not allowed' } };
+    }
+
+    if (method === 'GET') {
+      const profile = loadProfile(name, profilesDir);
+      return profile ? { status: 200, body: profile } : { status: 404, body: { error: `Unknown profile: ${name}` } };
+    }
+    if (method === 'PUT') {
+      const problem = validateProfile({ ...body, name: name });
+      if (problem) return { status: 400, body: { error: problem } };
+      return { status: 200, body: saveProfile({ ...body, name: name }, profilesDir) };
+    }
+    if (method === 'DELETE') {
+      return deleteProfile(name, profilesDir) ? { status: 200, body: { deleted: name } } : { status: 404, body: { error: `Unknown profile: ${name}` } };
+    }
+    return { status: 405, body: { error: 'Method not allowed' } };
+  } catch (error) {
+    return { status: 500, body: { error: error.message } };
+  }
 }
 
 // ============================================================================
@@ -904,13 +3537,58 @@ function parseCLIArgs() {
   const args = process.argv.slice(2);
   const values = {
     jql: null,
-    date: new Date().toISOString().split('T')[0],
+    date: null,
     theme: null,
     'columns-order': null,
     'max-days': null,
-    percentiles: '50,75,85,90',
-    'sle-window': '90d',
+    percentiles: null,
+    'sle-window': null,
     'sle-jql': null,
+    from: null,
+    to: null,
+    'snapshot-interval': '1',
+    'forecast-date': null,
+    'forecast-items': null,
+    simulations: null,
+    'throughput-days': null,
+    cfd: null,
+    'dependency-links': null,
+    'blocked-statuses': null,
+    'wip-limits': null,
+    'sle-exits': false,
+    'sle-min-samples': null,
+    'sle-segment-by': null,
+    'classes-of-service': null,
+    'swimlanes': null,
+    'swimlane-labels': null,
+    commitment: null,
+    delivery: null,
+    'bounce-days': null,
+    'total-wip-limit': null,
+    timezone: null,
+    workdays: false,
+    holidays: null,
+    source: 'jira',
+    'status-categories': null,
+    'status-labels': null,
+    fixtures: null,
+    'record-fixtures': null,
+    params: null,
+    profile: null,
+    'list-profiles': false,
+    connection: null,
+    'list-connections': false,
+    board: null,
+    'list-boards': false,
+    'save-connection': null,
+    'remove-connection': null,
+    'no-cache': false,
+    'cache-dir': null,
+    'refresh-cache': false,
+    'clear-cache': false,
+    retries: null,
+    timeout: null,
+    concurrency: null,
     verbose: false,
     help: false
   };
@@ -943,6 +3621,96 @@ function parseCLIArgs() {
       values['sle-window'] = args[++i];
     } else if ((arg === '-s' || arg === '--sle-jql') && i + 1 < args.length) {
       values['sle-jql'] = args[++i];
+    } else if (arg === '--from' && i + 1 < args.length) {
+      values.from = args[++i];
+    } else if (arg === '--to' && i + 1 < args.length) {
+      values.to = args[++i];
+    } else if (arg === '--snapshot-interval' && i + 1 < args.length) {
+      values['snapshot-interval'] = args[++i];
+    } else if (arg === '--forecast-date' && i + 1 < args.length) {
+      values['forecast-date'] = args[++i];
+    } else if (arg === '--forecast-items' && i + 1 < args.length) {
+      values['forecast-items'] = args[++i];
+    } else if (arg === '--simulations' && i + 1 < args.length) {
+      values.simulations = args[++i];
+    } else if (arg === '--throughput-days' && i + 1 < args.length) {
+      values['throughput-days'] = args[++i];
+    } else if (arg === '--cfd' && i + 1 < args.length) {
+      values.cfd = args[++i];
+    } else if (arg === '--source' && i + 1 < args.length) {
+      values.source = args[++i];
+    } else if (arg === '--status-categories' && i + 1 < args.length) {
+      values['status-categories'] = args[++i];
+    } else if (arg === '--status-labels' && i + 1 < args.length) {
+      values['status-labels'] = args[++i];
+    } else if (arg === '--fixtures' && i + 1 < args.length) {
+      values.fixtures = args[++i];
+    } else if (arg === '--record-fixtures' && i + 1 < args.length) {
+      values['record-fixtures'] = args[++i];
+    } else if (arg === '--params' && i + 1 < args.length) {
+      values.params = args[++i];
+    } else if (arg === '--dependency-links' && i + 1 < args.length) {
+      values['dependency-links'] = args[++i];
+    } else if (arg === '--blocked-statuses' && i + 1 < args.length) {
+      values['blocked-statuses'] = args[++i];
+    } else if (arg === '--sle-exits') {
+      values['sle-exits'] = true;
+    } else if (arg === '--sle-min-samples' && i + 1 < args.length) {
+      values['sle-min-samples'] = args[++i];
+    } else if (arg === '--sle-segment-by' && i + 1 < args.length) {
+      values['sle-segment-by'] = args[++i];
+    } else if (arg === '--classes-of-service' && i + 1 < args.length) {
+      values['classes-of-service'] = args[++i];
+    } else if (arg === '--swimlanes' && i + 1 < args.length) {
+      values['swimlanes'] = args[++i];
+    } else if (arg === '--swimlane-labels' && i + 1 < args.length) {
+      values['swimlane-labels'] = args[++i];
+    } else if (arg === '--commitment' && i + 1 < args.length) {
+      values.commitment = args[++i];
+    } else if (arg === '--delivery' && i + 1 < args.length) {
+      values.delivery = args[++i];
+    } else if (arg === '--bounce-days' && i + 1 < args.length) {
+      values['bounce-days'] = args[++i];
+    } else if (arg === '--wip-limits' && i + 1 < args.length) {
+      values['wip-limits'] = args[++i];
+    } else if (arg === '--total-wip-limit' && i + 1 < args.length) {
+      values['total-wip-limit'] = args[++i];
+    } else if (arg === '--timezone' && i + 1 < args.length) {
+      values.timezone = args[++i];
+    } else if (arg === '--workdays') {
+      values.workdays = true;
+    } else if (arg === '--holidays' && i + 1 < args.length) {
+      values.holidays = args[++i];
+    } else if (arg === '--profile' && i + 1 < args.length) {
+      values.profile = args[++i];
+    } else if (arg === '--list-profiles') {
+      values['list-profiles'] = true;
+    } else if (arg === '--connection' && i + 1 < args.length) {
+      values.connection = args[++i];
+    } else if (arg === '--list-connections') {
+      values['list-connections'] = true;
+    } else if (arg === '--board' && i + 1 < args.length) {
+      values.board = args[++i];
+    } else if (arg === '--list-boards') {
+      values['list-boards'] = true;
+    } else if (arg === '--save-connection' && i + 1 < args.length) {
+      values['save-connection'] = args[++i];
+    } else if (arg === '--remove-connection' && i + 1 < args.length) {
+      values['remove-connection'] = args[++i];
+    } else if (arg === '--no-cache') {
+      values['no-cache'] = true;
+    } else if (arg === '--cache-dir' && i + 1 < args.length) {
+      values['cache-dir'] = args[++i];
+    } else if (arg === '--refresh-cache') {
+      values['refresh-cache'] = true;
+    } else if (arg === '--clear-cache') {
+      values['clear-cache'] = true;
+    } else if (arg === '--retries' && i + 1 < args.length) {
+      values.retries = args[++i];
+    } else if (arg === '--timeout' && i + 1 < args.length) {
+      values.timeout = args[++i];
+    } else if (arg === '--concurrency' && i + 1 < args.length) {
+      values.concurrency = args[++i];
     } else if (!arg.startsWith('-')) {
       console.error(`Error: Unknown positional argument: ${arg}`);
       printHelp();
@@ -971,27 +3739,239 @@ function parseCLIArgs() {
   }
 
   // Validate required
-  if (!values.jql) {
-    console.error('Error: JQL query is required (-j or --jql)');
+  if (values['list-profiles']) {
+    listProfiles().forEach(profile => console.log(`${profile.name}\t${profile.jql || `board ${profile.board}`}`));
+    process.exit(0);
+  }
+
+  // JSON, so the PHP endpoint can pass it straight to the browser
+  if (values['list-connections']) {
+    console.log(JSON.stringify({ connections: listConnections() }));
+    process.exit(0);
+  }
+
+  if (values['save-connection']) {
+    const config = getConfig('jira');
+    try {
+      saveConnection(values['save-connection'], { jiraUrl: config.JIRA_URL, jiraUser: config.JIRA_USER, jiraApiToken: config.JIRA_API_TOKEN });
+    } catch (e) {
+      console.error(`Error: ${scrubSecrets(e.message)}`);
+      process.exit(1);
+    }
+    console.error(`Saved connection ${values['save-connection']} to ${CONNECTIONS_FILE}`);
+    process.exit(0);
+  }
+
+  if (values['remove-connection']) {
+    if (!removeConnection(values['remove-connection'])) {
+      console.error(`Error: Unknown connection: ${values['remove-connection']}`);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  if (values.board && !/^\d+$/.test(values.board)) {
+    console.error(`Error: Invalid board ID: ${values.board}`);
+    process.exit(1);
+  }
+
+  if (!values.jql && !values.board && !values.params && !values.profile && !values['clear-cache'] && !values['list-boards']) {
+    console.error('Error: Query is required (-j or --jql)');
     printHelp();
     process.exit(1);
   }
 
   // Validate date format
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(values.date)) {
+  if (values.date && !/^\d{4}-\d{2}-\d{2}$/.test(values.date)) {
     console.error('Error: Date must be in YYYY-MM-DD format');
     process.exit(1);
   }
 
+  if (values.timezone && !isValidTimeZone(values.timezone)) {
+    console.error(`Error: Unknown time zone: ${values.timezone}. Use an IANA name like America/Sao_Paulo or UTC`);
+    process.exit(1);
+  }
+
+  // "Doing=5,Review=1-3,Ready=2+"
+  let wipLimits = null;
+  if (values['wip-limits']) {
+    wipLimits = {};
+    values['wip-limits'].split(',').forEach(pair => {
+      const separator = pair.lastIndexOf('=');
+      const limit = pair.slice(separator + 1).trim();
+      if (separator < 1 || !isValidWipLimit(parseWipLimit(limit))) {
+        console.error(`Error: Invalid WIP limit "${pair}". Use Column=max, Column=min-max or Column=min+`);
+        process.exit(1);
+      }
+      wipLimits[pair.slice(0, separator).trim()] = limit;
+    });
+  }
+
+  if (values['sle-min-samples'] && !/^\d+$/.test(values['sle-min-samples'])) {
+    console.error('Error: --sle-min-samples must be a whole number');
+    process.exit(1);
+  }
+
+  if (values['sle-segment-by'] && !SLE_SEGMENT_DIMENSIONS.includes(values['sle-segment-by'])) {
+    console.error(`Error: --sle-segment-by must be one of: ${SLE_SEGMENT_DIMENSIONS.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (values['swimlanes'] && !SWIMLANE_DIMENSIONS.includes(values['swimlanes']) && !CUSTOM_FIELD_PATTERN.test(values['swimlanes'])) {
+    console.error(`Error: --swimlanes must be one of: ${SWIMLANE_DIMENSIONS.join(', ')}, or a custom field ID (customfield_10001)`);
+    process.exit(1);
+  }
+
+  if (values['bounce-days'] && !/^\d+$/.test(values['bounce-days'])) {
+    console.error('Error: --bounce-days must be a whole number of days');
+    process.exit(1);
+  }
+
+  if (values['total-wip-limit'] && !(parseInt(values['total-wip-limit']) >= 1)) {
+    console.error('Error: --total-wip-limit must be a positive number');
+    process.exit(1);
+  }
+
+  // Validate snapshot range
+  if (values.to && !values.from) {
+    console.error('Error: --to requires --from');
+    process.exit(1);
+  }
+
+  if (values.from) {
+    values.to = values.to || values.date || toLocalDate(Date.now(), values.timezone || DEFAULT_TIME_ZONE);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(values.from) || !/^\d{4}-\d{2}-\d{2}$/.test(values.to)) {
+      console.error('Error: --from and --to must be in YYYY-MM-DD format');
+      process.exit(1);
+    }
+    if (values.from > values.to) {
+      console.error('Error: --from must not be after --to');
+      process.exit(1);
+    }
+    // The board at the end of the range is the main (non-animated) view
+    values.date = values.to;
+  }
+
+  const snapshotInterval = parseInt(values['snapshot-interval']);
+  if (!(snapshotInterval >= 1)) {
+    console.error('Error: --snapshot-interval must be a positive number of days');
+    process.exit(1);
+  }
+
+  // Validate forecast options
+  if (values['forecast-date'] && !/^\d{4}-\d{2}-\d{2}$/.test(values['forecast-date'])) {
+    console.error('Error: --forecast-date must be in YYYY-MM-DD format');
+    process.exit(1);
+  }
+
+  const forecastItems = values['forecast-items'] ? parseInt(values['forecast-items']) : null;
+  if (values['forecast-items'] && !(forecastItems >= 1)) {
+    console.error('Error: --forecast-items must be a positive number');
+    process.exit(1);
+  }
+
+  const simulations = values.simulations ? parseInt(values.simulations) : null;
+  if (values.simulations && !(simulations >= 1)) {
+    console.error('Error: --simulations must be a positive number');
+    process.exit(1);
+  }
+
+  const throughputDays = values['throughput-days'] ? parseInt(values['throughput-days']) : null;
+  if (values['throughput-days'] && !(throughputDays >= 1)) {
+    console.error('Error: --throughput-days must be a positive number of days');
+    process.exit(1);
+  }
+
+  if (values.cfd && !/^(\d+d|\d{4}-?\d{2}-?\d{2})$/i.test(values.cfd)) {
+    console.error('Error: --cfd must be Xd or YYYY-MM-DD');
+    process.exit(1);
+  }
+
+  if (values.source !== 'jira' && !SOURCES[values.source]) {
+    console.error(`Error: Unknown source: ${values.source}. Use jira, ${Object.keys(SOURCES).join(', ')}`);
+    process.exit(1);
+  }
+
+  let statusCategories = {};
+  try {
+    statusCategories = parseStatusCategories(values['status-categories']);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const retries = values.retries !== null ? parseInt(values.retries) : null;
+  if (values.retries !== null && !(retries >= 0)) {
+    console.error('Error: --retries must be zero or a positive number');
+    process.exit(1);
+  }
+
+  const timeout = values.timeout !== null ? parseFloat(values.timeout) : null;
+  if (values.timeout !== null && !(timeout > 0)) {
+    console.error('Error: --timeout must be a positive number of seconds');
+    process.exit(1);
+  }
+
+  const concurrency = values.concurrency !== null ? parseInt(values.concurrency) : null;
+  if (values.concurrency !== null && !(concurrency >= 1)) {
+    console.error('Error: --concurrency must be a positive number');
+    process.exit(1);
+  }
+
+  if (values.fixtures && values['record-fixtures']) {
+    console.error('Error: Use either --fixtures or --record-fixtures, not both');
+    process.exit(1);
+  }
+
   return {
     jql: values.jql,
     date: values.date,
     theme: values.theme || null,
     columnsOrder: values['columns-order'] || null,
     maxDays: values['max-days'] ? parseInt(values['max-days']) : null,
-    percentiles: values.percentiles.split(',').map(p => parseInt(p.trim())),
+    percentiles: values.percentiles ? values.percentiles.split(',').map(p => parseInt(p.trim())) : null,
     sleWindow: values['sle-window'],
     sleJql: values['sle-jql'] || null,
+    from: values.from,
+    to: values.to,
+    snapshotInterval: snapshotInterval,
+    forecastDate: values['forecast-date'],
+    forecastItems: forecastItems,
+    simulations: simulations,
+    throughputDays: throughputDays,
+    cfd: values.cfd,
+    dependencyLinks: values['dependency-links'],
+    blockedStatuses: values['blocked-statuses'],
+    sleExits: values['sle-exits'],
+    sleMinSamples: values['sle-min-samples'] ? parseInt(values['sle-min-samples']) : null,
+    sleSegmentBy: values['sle-segment-by'],
+    classesOfService: values['classes-of-service'],
+    swimlanes: values['swimlanes'],
+    swimlaneLabels: values['swimlane-labels'],
+    commitmentStatuses: values.commitment,
+    deliveryStatuses: values.delivery,
+    bounceDays: values['bounce-days'] ? parseInt(values['bounce-days']) : null,
+    wipLimits: wipLimits,
+    totalWipLimit: values['total-wip-limit'] ? parseInt(values['total-wip-limit']) : null,
+    timeZone: values.timezone,
+    workdays: values.workdays,
+    holidays: values.holidays,
+    source: values.source,
+    statusCategories: statusCategories,
+    statusLabels: values['status-labels'] ? values['status-labels'].split(',').map(name => name.trim()) : null,
+    fixtures: values.fixtures,
+    recordFixtures: values['record-fixtures'],
+    params: values.params,
+    profile: values.profile,
+    connection: values.connection,
+    board: values.board ? parseInt(values.board) : null,
+    listBoards: values['list-boards'],
+    cacheDir: values['no-cache'] ? null : (values['cache-dir'] || DEFAULT_CACHE_DIR),
+    refreshCache: values['refresh-cache'],
+    clearCache: values['clear-cache'] ? (values['cache-dir'] || DEFAULT_CACHE_DIR) : null,
+    retries: retries,
+    timeout: timeout,
+    concurrency: concurrency,
     verbosity: verbosity
   };
 }
@@ -1001,7 +3981,7 @@ function printHelp() {
 Usage: node get-jira-issues.js -j JQL [options]
 
 Required:
-  -j, --jql <query>       JQL query to fetch issues
+  -j, --jql <query>       JQL query to fetch issues, or the query for --source (optional with --profile or --board)
 
 Options:
   -d, --date <YYYY-MM-DD>    Reference date for age calculation (default: today)
@@ -1012,6 +3992,75 @@ Options:
   -p, --percentiles <list>   Comma-separated percentiles for SLE (default: 50,75,85,90)
   -w, --sle-window <window>  Window for SLE calculation: Xd, YYYY-MM-DD, or count (default: 90d)
   -s, --sle-jql <query>      JQL query for historical data to calculate SLEs
+  --sle-exits                Include every historical exit per column so the chart can
+                             recompute SLEs for other windows and percentiles
+  --sle-min-samples <n>      Columns with fewer exits in the SLE window use the board-level SLE
+                             (default: 5, 0 to always use the column's own)
+  --sle-segment-by <dim>     Also compute SLEs per type, priority or class (class of service)
+  --classes-of-service <list>
+                             Labels that name classes of service, first match wins
+                             (default: Expedite,Fixed Date,Standard,Intangible; unlabeled items are Standard)
+  --swimlanes <dim>          Split the chart into lanes by assignee, label, parent, project, class
+                             or a custom field ID (customfield_10001)
+  --swimlane-labels <list>   Labels that name the lanes, first match wins (with class: the classes of service)
+  --from <YYYY-MM-DD>        Replay changelogs and emit one board snapshot per day from this date
+  --to <YYYY-MM-DD>          Last snapshot date (default: --date); also becomes the reference date
+  --snapshot-interval <days> Days between snapshots (default: 1)
+  --forecast-date <YYYY-MM-DD>
+                             Forecast how many items finish by this date (default: --date + 14 days)
+  --forecast-items <n>       Forecast when this many items finish (default: items on the board)
+  --simulations <n>          Monte Carlo simulations per forecast (default: 10000)
+  --throughput-days <days>   Only sample throughput from the last N days (default: whole --sle-jql history)
+  --cfd <window>             Add daily per-column counts for a cumulative flow diagram: Xd or YYYY-MM-DD
+  --dependency-links <list>  Links that make an item depend on another, as Jira words them on the issue
+                             ("is blocked by,depends on,waits for") or type names with an optional side
+                             ("Blocks:inward"); default: Blocks:inward
+  --blocked-statuses <list>  Statuses that count as blocked time, e.g. "Blocked,On Hold"; flagged
+                             issues always count
+  --commitment <list>        Statuses where work starts, e.g. "In Progress"; later columns in the column
+                             order, or later status categories outside it, count too
+                             (default: leaving the To Do category)
+  --delivery <list>          Statuses where work is delivered; later columns count too, and delivered
+                             items leave the board (default: reaching the Done category)
+  --bounce-days <n>          A move back before the commitment point within n days undoes the start
+                             (default: 0, the same day)
+  --wip-limits <list>        WIP limit per column: a maximum, a min-max range or a min+ minimum,
+                             e.g. "In Progress=5,Review=1-3,Ready=2+"
+  --total-wip-limit <n>      Maximum number of items on the whole board
+  --timezone <zone>          Time zone for day boundaries and dates, e.g. America/Sao_Paulo or UTC
+                             (default: this machine's)
+  --workdays                 Count ages in business days, leaving out weekends (and --holidays)
+  --holidays <file>          Holiday calendar for --workdays: an .ics file or a JSON list of dates
+  --source <name>            Where issues come from: jira (default), github, gitlab, linear, csv
+                               github: -j is an issue search ("repo:owner/repo is:issue is:open")
+                                       or a project board ("https://github.com/orgs/acme/projects/5")
+                               gitlab: -j is a project path with optional filters ("group/project?state=opened")
+                               linear: -j is a team key or a JSON IssueFilter
+                               csv:    -j is a file of key,title,type,status,date transition rows
+                                       (add ?status=open or ?status=done to filter)
+  --status-categories <list> Category per status for non-Jira sources: "Ready=new,Doing=indeterminate,Shipped=done"
+  --status-labels <list>     GitHub/GitLab labels that are board statuses (default: "status:"/"status::" prefixed labels)
+  --fixtures <dir>           Replay recorded HTTP responses from a directory instead of calling the API
+  --record-fixtures <dir>    Save every HTTP response to a directory for later --fixtures runs
+  --profile <name>           Start from a saved board profile (see --list-profiles); other options override it
+  --list-profiles            Print the saved board profiles and exit
+  --connection <id>          Saved Jira connection to use (default: "default", or the profile's)
+  --list-connections         Print the saved Jira connections as JSON (without tokens) and exit
+  --board <id>               Jira Agile board to chart: its filter JQL, columns (each holding one or
+                             more statuses) and WIP limits; -j, -o and WIP limits override it
+  --list-boards              Print the connection's Agile boards as JSON and exit
+  --save-connection <id>     Encrypt the JIRA_URL/JIRA_USER/JIRA_API_TOKEN values into the
+                             connections file under this id and exit
+  --remove-connection <id>   Delete a saved Jira connection and exit
+  --params <file>            Read chart parameters from a JSON file ("-" for stdin) instead of the
+                             options above; this is what the web endpoints send
+  --no-cache                 Always download every Jira issue instead of syncing the issue cache
+  --cache-dir <dir>          Where cached Jira issues are kept (default: cli/.cache)
+  --refresh-cache            Download everything again and overwrite the cached issues
+  --clear-cache              Delete the cached issues (on its own, exits after clearing)
+  --retries <n>              Retries for failed, rate-limited or timed out requests (default: 5)
+  --timeout <seconds>        Per-request timeout (default: 30)
+  --concurrency <n>          Requests in flight at once (default: 10)
   -v, --verbose              Verbose logging
   -vv, --debug            Debug logging (includes verbose)
   -vvv, --trace           Trace logging (includes debug + verbose)
@@ -1021,16 +4070,30 @@ Environment variables (or .env file):
   JIRA_URL                Jira base URL (e.g., https://company.atlassian.net)
   JIRA_USER               Jira email address
   JIRA_API_TOKEN          Jira API token
+  GITHUB_TOKEN            GitHub token (optional for public repositories, read:project for project boards),
+                          GITHUB_API_URL for GitHub Enterprise
+  GITLAB_TOKEN            GitLab token (optional for public projects), GITLAB_URL for self-hosted GitLab
+  LINEAR_API_KEY          Linear API key
+  CONNECTIONS_KEY         Passphrase for the encrypted connections file
+  CONNECTIONS_FILE        Encrypted connections file (default: cli/connections.enc)
 
 Examples:
   node get-jira-issues.js -j "project = MYPROJ AND status != Done"
   node get-jira-issues.js -j "assignee = currentUser()" -d 2024-01-15 -v
   node get-jira-issues.js -j "filter = 12345" -t custom-theme.json -vv
+  node get-jira-issues.js -j "project = MYPROJ AND (statusCategory != Done OR resolved >= 2026-07-01)" --from 2026-07-01 --to 2026-10-01
+  node get-jira-issues.js -j "project = MYPROJ AND statusCategory != Done" -s "project = MYPROJ AND statusCategory = Done" --forecast-date 2026-12-01 --forecast-items 30
+  node get-jira-issues.js -j "project = MYPROJ AND statusCategory != Done" -s "project = MYPROJ AND resolved >= -60d" --cfd 60d
+  node get-jira-issues.js -j "project = MYPROJ AND statusCategory != Done" --timezone America/Sao_Paulo --workdays --holidays holidays.ics
+  node get-jira-issues.js --board 42 -s "filter = 10100 AND resolved >= -90d"
+  node get-jira-issues.js --source github -j "repo:owner/repo is:issue is:open" -s "repo:owner/repo is:issue closed:>2026-07-01"
+  node get-jira-issues.js --source github -j "https://github.com/orgs/acme/projects/5" -s "https://github.com/orgs/acme/projects/5"
+  node get-jira-issues.js --source csv -j "transitions.csv?status=open" -s "transitions.csv?status=done" --status-categories "Shipped=done"
   `);
 }
 
 // ============================================================================
-// Theme Loading
+// Theme and Parameter Loading
 // ============================================================================
 
 function loadTheme(themePath) {
@@ -1047,23 +4110,51 @@ function loadTheme(themePath) {
   try {
     debug(`Loading theme from: ${themePath}`);
     const content = fs.readFileSync(themePath, 'utf-8');
-    const theme = JSON.parse(content);
-    
-    // Merge with defaults to ensure all required fields exist
-    return {
-      theme_name: theme.theme_name || DEFAULT_THEME.theme_name,
-      theme_author_name: theme.theme_author_name || DEFAULT_THEME.theme_author_name,
-      theme_author_email: theme.theme_author_email || DEFAULT_THEME.theme_author_email,
-      sle_colors: theme.sle_colors || DEFAULT_THEME.sle_colors,
-      types: theme.types || DEFAULT_THEME.types,
-      priorities: theme.priorities || DEFAULT_THEME.priorities
-    };
+    return mergeTheme(JSON.parse(content));
   } catch (e) {
     console.error(`Error: Failed to parse theme file: ${e.message}`);
     process.exit(1);
   }
 }
 
+function mergeTheme(theme) {
+  if (!theme) {
+    return DEFAULT_THEME;
+  }
+
+  // Merge with defaults to ensure all required fields exist
+  return {
+    theme_name: theme.theme_name || DEFAULT_THEME.theme_name,
+    theme_author_name: theme.theme_author_name || DEFAULT_THEME.theme_author_name,
+    theme_author_email: theme.theme_author_email || DEFAULT_THEME.theme_author_email,
+    sle_colors: theme.sle_colors || DEFAULT_THEME.sle_colors,
+    types: theme.types || DEFAULT_THEME.types,
+    priorities: theme.priorities || DEFAULT_THEME.priorities
+  };
+}
+
+function loadHolidays(holidaysPath) {
+  try {
+    debug(`Loading holidays from: ${holidaysPath}`);
+    const holidays = parseHolidays(fs.readFileSync(holidaysPath, 'utf-8'), holidaysPath);
+    verbose(`Loaded ${holidays.length} holidays from ${holidaysPath}`);
+    return holidays;
+  } catch (e) {
+    console.error(`Error: Failed to read holidays file: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+function loadChartParams(paramsPath) {
+  try {
+    const content = fs.readFileSync(paramsPath === '-' ? 0 : paramsPath, 'utf-8');
+    return JSON.parse(content);
+  } catch (e) {
+    console.error(`Error: Failed to read chart parameters: ${e.message}`);
+    process.exit(1);
+  }
+}
+
 // ============================================================================
 // Main Function
 // ============================================================================
@@ -1076,81 +4167,107 @@ async function main() {
   verbose('Jira Issues to Aging WIP JSON Converter');
   verbose('='.repeat(80));
 
-  // Load configuration
-  const config = getConfig();
-  const theme = loadTheme(args.theme);
+  const requestOverrides = {};
+  if (args.retries !== null) requestOverrides.retries = args.retries;
+  if (args.timeout !== null) requestOverrides.timeout = args.timeout * 1000;
+  if (args.concurrency !== null) requestOverrides.concurrency = args.concurrency;
+  const request = createRequester(requestOverrides);
 
-  // Create Jira client
-  const jira = new JiraClient(config);
-
-  try {
-    // Fetch all issues first
-    verbose(`Executing JQL: ${args.jql}`);
-    const issues = await jira.getAllIssues(args.jql);
+  // JSON, so the PHP endpoint can pass it straight to the browser
+  if (args.listBoards) {
+    const result = await handleBoardsRequest('GET', args.connection, request);
+    if (result.status !== 200) {
+      console.error(`Error: ${result.body.error}`);
+      process.exit(1);
+    }
+    console.log(JSON.stringify(result.body));
+    return;
+  }
 
-    if (issues.length === 0) {
-      verbose('No issues found matching the JQL query');
-      console.log(JSON.stringify({ columns: [] }, null, 2));
+  if (args.clearCache) {
+    const removed = clearIssueCache(args.clearCache);
+    verbose(`Cleared ${removed} cached queries from ${args.clearCache}`);
+    if (!args.jql && !args.params && !args.profile) {
       return;
     }
+  }
 
-    // Extract unique status IDs from issues
-    const statusIds = extractUniqueStatusIds(issues);
-    
-    // Fetch status metadata in bulk
-    const statuses = await jira.getStatusesByIds(statusIds);
-    const statusCategoryMap = buildStatusCategoryMap(statuses);
-    const allStatusNameToIdMap = buildStatusNameToIdMap(statuses);
-    
-    // Calculate SLEs if sle-jql is provided
-    let slesByStatusId = null;
-    if (args.sleJql) {
-      verbose('='.repeat(80));
-      verbose('Calculating SLEs from historical data...');
-      verbose('='.repeat(80));
-      
-      // Fetch historical issues for SLE calculation
-      verbose(`Executing SLE JQL: ${args.sleJql}`);
-      const sleIssues = await jira.getAllIssues(args.sleJql);
-      verbose(`Fetched ${sleIssues.length} issues for SLE calculation`);
-      
-      if (sleIssues.length > 0) {
-        // Extract status transitions
-        const transitionsByStatusId = extractStatusTransitions(sleIssues, statusCategoryMap);
-        
-        // Parse window
-        const window = parseWindow(args.sleWindow, args.date);
-        
-        // Calculate SLEs
-        slesByStatusId = calculateSLEsForStatuses(transitionsByStatusId, window, args.percentiles);
-        
-        verbose(`SLE calculation complete for percentiles: [${args.percentiles.join(', ')}]`);
-      } else {
-        verbose('No historical issues found for SLE calculation');
+  // Parameters from a JSON file (web endpoints) or from the options
+  const params = args.params ? loadChartParams(args.params) : {
+    jql: args.jql,
+    jqlSLE: args.sleJql,
+    date: args.date,
+    sleWindow: args.sleWindow,
+    percentiles: args.percentiles,
+    columnsOrder: args.columnsOrder,
+    maxDays: args.maxDays,
+    theme: args.theme ? loadTheme(args.theme) : null,
+    from: args.from,
+    to: args.to,
+    snapshotInterval: args.snapshotInterval,
+    forecastDate: args.forecastDate,
+    forecastItems: args.forecastItems,
+    simulations: args.simulations,
+    throughputDays: args.throughputDays,
+    cfdWindow: args.cfd,
+    dependencyLinks: args.dependencyLinks,
+    blockedStatuses: args.blockedStatuses,
+    sleExits: args.sleExits || null,
+    sleMinSamples: args.sleMinSamples,
+    sleSegmentBy: args.sleSegmentBy,
+    classesOfService: args.classesOfService,
+    swimlanes: args.swimlanes,
+    swimlaneLabels: args.swimlaneLabels,
+    commitmentStatuses: args.commitmentStatuses,
+    deliveryStatuses: args.deliveryStatuses,
+    bounceDays: args.bounceDays,
+    wipLimits: args.wipLimits,
+    totalWipLimit: args.totalWipLimit,
+    timeZone: args.timeZone,
+    workdays: args.workdays || null,
+    holidays: args.holidays ? loadHolidays(args.holidays) : null,
+    board: args.board,
+    profile: args.profile
+  };
+  if (args.connection) {
+    params.connection = args.connection;
+  }
+
+  try {
+    // Credentials in the parameters win; otherwise Jira reads a saved connection
+    // and other sources read the environment
+    let source = null;
+    if (!hasInlineCredentials(params)) {
+      const online = args.source === 'jira' && !args.fixtures;
+      const config = (online && resolveConnection(chartConnectionId(params))) ||
+        (online && params.connection ? null : getConfig(args.source, { offline: Boolean(args.fixtures) }));
+      if (!config) {
+        throw new Error(`Unknown connection: ${params.connection}`);
       }
-      
-      verbose('='.repeat(80));
-    } else {
-      debug('No --sle-jql provided, skipping SLE calculation');
+      source = createSource(args.source, config, {
+        fixtures: args.fixtures,
+        recordFixtures: args.recordFixtures,
+        request: request,
+        statusCategories: args.statusCategories,
+        statusLabels: args.statusLabels,
+        cacheDir: args.cacheDir,
+        refreshCache: args.refreshCache
+      });
     }
-    
-    // Transform to output format
-    verbose('Transforming issues to output format...');
-    const output = buildOutput(issues, args.date, config.JIRA_URL, theme, statusCategoryMap, slesByStatusId, args.columnsOrder, args.maxDays, allStatusNameToIdMap);
+
+    const output = await generateChart(params, { source, request });
 
     // Output JSON to stdout
     console.log(JSON.stringify(output, null, 2));
 
     verbose('='.repeat(80));
     verbose('Success! JSON output written to stdout');
-    verbose(`Total issues: ${issues.length}`);
-    verbose(`Total columns: ${output.columns.length}`);
     verbose('='.repeat(80));
 
   } catch (error) {
-    console.error(`Error: ${error.message}`);
+    console.error(`Error: ${scrubSecrets(error.message)}`);
     if (VERBOSITY >= 2) {
-      console.error(error.stack);
+      console.error(scrubSecrets(error.stack));
     }
     process.exit(1);
   }
@@ -1163,13 +4280,40 @@ async function main() {
 // Export functions for library usage
 export {
   JiraClient,
+  makeRequest,
+  createRequester,
+  listProfiles,
+  loadProfile,
+  saveProfile,
+  deleteProfile,
+  applyProfile,
+  handleProfileRequest,
+  listConnections,
+  resolveConnection,
+  saveConnection,
+  removeConnection,
+  handleConnectionsRequest,
+  handleBoardsRequest,
+  scrubSecrets,
+  parseHolidays,
+  createSource,
+  generateChart,
+  validateChartParams,
+  createApiServer,
   buildOutput,
+  normalizeWorkflow,
   extractUniqueStatusIds,
   buildStatusCategoryMap,
   buildStatusNameToIdMap,
   extractStatusTransitions,
   calculateSLEsForStatuses,
   parseWindow,
+  buildSnapshots,
+  reconstructIssueAtDate,
+  extractCompletedItems,
+  buildForecast,
+  buildCfd,
+  applySleRisk,
   DEFAULT_THEME,
   VERBOSITY
 };
@@ -1182,7 +4326,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     startServer();
   } else {
     main().catch(error => {
-      console.error(`Fatal error: ${error.message}`);
+      console.error(`Fatal error: ${scrubSecrets(error.message)}`);
       process.exit(1);
     });
   }
@@ -1192,14 +4336,34 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 // API Server Mode
 // ============================================================================
 
-function startServer() {
-  const PORT = process.env.PORT || 3001;
-  
-  const server = http.createServer(async (req, res) => {
-    // Enable CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+/**
+ * Whether a browser request may use the server's connections: requests without
+ * an Origin (curl, other servers), from the server's own origin, or from the
+ * one origin configured in ALLOWED_ORIGIN.
+ */
+function isAllowedOrigin(origin, host, allowedOrigin) {
+  return !origin || origin === `http://${host}` || origin === allowedOrigin;
+}
+
+/**
+ * The API server, not yet listening. Every endpoint uses the credentials held
+ * on the server, so other sites get no CORS access unless allowedOrigin names
+ * them.
+ */
+function createApiServer(allowedOrigin = getEnvValue('ALLOWED_ORIGIN')) {
+  return http.createServer(async (req, res) => {
+    const origin = req.headers.origin;
+    if (!isAllowedOrigin(origin, req.headers.host, allowedOrigin)) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Origin not allowed' }));
+      return;
+    }
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      res.setHeader('Vary', 'Origin');
+    }
     
     // Handle preflight
     if (req.method === 'OPTIONS') {
@@ -1215,6 +4379,46 @@ function startServer() {
       return;
     }
     
+    // Connection names for the browser; credentials never leave the server
+    if (req.url === '/connections') {
+      const result = handleConnectionsRequest(req.method);
+      res.writeHead(result.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result.body));
+      return;
+    }
+    
+    // Agile boards of a connection, for the board picker
+    const boardsMatch = req.url.match(/^\/boards(?:\?(.*))?$/);
+    if (boardsMatch) {
+      const result = await handleBoardsRequest(req.method, new URLSearchParams(boardsMatch[1] || '').get('connection'));
+      res.writeHead(result.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result.body));
+      return;
+    }
+    
+    // Board profiles
+    const profileMatch = req.url.match(/^\/profiles(?:\/([^/?]+))?$/);
+    if (profileMatch) {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk.toString();
+      });
+      req.on('end', () => {
+        let profile = {};
+        try {
+          profile = body ? JSON.parse(body) : {};
+        } catch {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Invalid JSON' }));
+          return;
+        }
+        const result = handleProfileRequest(req.method, profileMatch[1] ? decodeURIComponent(profileMatch[1]) : null, profile);
+        res.writeHead(result.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result.body));
+      });
+      return;
+    }
+    
     // Generate chart endpoint
     if (req.url === '/generate-chart' && req.method === 'POST') {
       let body = '';
@@ -1228,90 +4432,24 @@ function startServer() {
           const params = JSON.parse(body);
           
           // Validate required params
-          if (!params.jiraUrl || !params.jiraUser || !params.jiraApiToken || !params.jql) {
+          const problem = validateChartParams(params, { origin: 'http' });
+          if (problem) {
             res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Missing required parameters: jiraUrl, jiraUser, jiraApiToken, jql' }));
-            return;
-          }
-          
-          // Create config from params
-          const config = {
-            JIRA_URL: params.jiraUrl,
-            JIRA_USER: params.jiraUser,
-            JIRA_API_TOKEN: params.jiraApiToken
-          };
-          
-          // Load theme
-          let theme = DEFAULT_THEME;
-          if (params.theme) {
-            theme = params.theme;
-          }
-          
-          const client = new JiraClient(config);
-          
-          // Fetch current issues
-          verbose('Fetching issues from Jira...');
-          const issues = await client.getAllIssues(params.jql);
-          
-          if (issues.length === 0) {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ 
-              error: 'No issues found',
-              columns: []
-            }));
+            res.end(JSON.stringify({ error: problem }));
             return;
           }
           
-          // Get all unique status IDs
-          const allStatusIds = extractUniqueStatusIds(issues);
-          verbose(`Found ${allStatusIds.length} unique statuses`);
-          
-          // Fetch status metadata
-          verbose('Fetching status metadata...');
-          const allStatuses = await client.getStatusesByIds(allStatusIds);
-          const statusCategoryMap = buildStatusCategoryMap(allStatuses);
-          const allStatusNameToIdMap = buildStatusNameToIdMap(allStatuses);
-          
-          // Handle SLE calculation if requested
-          let slesByStatusId = new Map();
-          if (params.jqlSLE) {
-            verbose('Fetching historical issues for SLE calculation...');
-            const historicalIssues = await client.getAllIssues(params.jqlSLE);
-            
-            if (historicalIssues.length > 0) {
-              const transitions = extractStatusTransitions(historicalIssues, statusCategoryMap);
-              const sleWindow = params.sleWindow ? parseInt(params.sleWindow) : 90;
-              const percentiles = [50, 70, 85, 95];
-              slesByStatusId = calculateSLEsForStatuses(transitions, sleWindow, percentiles);
-            }
-          }
-          
-          // Transform to output format
-          const referenceDate = params.date || new Date().toISOString();
-          const maxDays = params.maxDays ? parseInt(params.maxDays) : null;
-          const columnsOrder = params.columnsOrder || null;
-          
-          const output = buildOutput(
-            issues, 
-            referenceDate, 
-            config.JIRA_URL, 
-            theme, 
-            statusCategoryMap, 
-            slesByStatusId, 
-            columnsOrder, 
-            maxDays, 
-            allStatusNameToIdMap
-          );
+          const output = await generateChart(params, { origin: 'http' });
           
           res.writeHead(200, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify(output));
           
         } catch (error) {
-          console.error('Error generating chart:', error);
+          console.error('Error generating chart:', scrubSecrets(error.stack));
           res.writeHead(500, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ 
-            error: error.message,
-            stack: VERBOSITY >= 2 ? error.stack : undefined
+            error: scrubSecrets(error.message),
+            stack: VERBOSITY >= 2 ? scrubSecrets(error.stack) : undefined
           }));
         }
       });
@@ -1323,8 +4461,12 @@ function startServer() {
     res.writeHead(404, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Not found' }));
   });
+}
+
+function startServer() {
+  const PORT = process.env.PORT || 3001;
   
-  server.listen(PORT, () => {
+  createApiServer().listen(PORT, () => {
     console.log(`✓ Jira API Server running on http://localhost:${PORT}`);
     console.log(`✓ POST to http://localhost:${PORT}/generate-chart to generate charts`);
     console.log(`✓ Press Ctrl+C to stop`);
@@ -0,0 +1,205 @@
+/**
+ * Shared helpers for source adapters.
+ *
+ * Every adapter turns its tracker's issues into the same internal model the
+ * Jira pipeline already consumes, so buildOutput() and the SLE, snapshot and
+ * CFD code never need to know where an issue came from.
+ *
+ * @typedef {Object} NormalizedStatus
+ * @property {string} id - Jira status ID, or the status name for other sources
+ * @property {string} name
+ * @property {{ key: 'new'|'indeterminate'|'done' }} statusCategory
+ *
+ * @typedef {Object} NormalizedIssue
+ * @property {string} key - Unique key, e.g. "PROJ-123", "owner/repo#42"
+ * @property {string} [url] - Browser URL (Jira issues fall back to <baseUrl>/browse/<key>)
+ * @property {Object} fields
+ * @property {string} fields.summary
+ * @property {{ name: string }} fields.issuetype
+ * @property {NormalizedStatus} fields.status
+ * @property {{ name: string }|null} fields.priority
+ * @property {{ displayName: string, avatarUrls: Object, self: string }|null} fields.assignee
+ * @property {string[]} fields.labels
+ * @property {{ key: string, url?: string, fields: { summary: string } }|null} fields.parent
+ * @property {string} fields.created - ISO timestamp
+ * @property {Array<{ type: { name: string }, inwardIssue?: { key: string }, outwardIssue?: { key: string } }>} fields.issuelinks
+ * @property {{ histories: Array<{ created: string, items: Array<{ field: 'status', from: string, fromString: string, to: string, toString: string }> }> }} changelog - Histories newest first, as Jira returns them
+ *
+ * @typedef {Object} SourceAdapter
+ * @property {string} baseUrl - Web URL used for the board link
+ * @property {(query: string, options?: Object) => Promise<NormalizedIssue[]>} getAllIssues
+ * @property {(statusIds: string[]) => Promise<Array<{ id: string, name: string, statusCategory: { key: string } }>>} getStatusesByIds
+ */
+
+const DONE_PATTERN = /\b(done|closed|complete|completed|resolved|released|shipped|merged|canceled|cancelled|won't do|wontfix)\b/i;
+const NEW_PATTERN = /^(to ?do|backlog|open|opened|new|triage|icebox|unstarted|selected for development)$/i;
+
+/**
+ * Parse "--status-categories" style lists: "Ready=new,Doing=indeterminate,Shipped=done".
+ */
+export function parseStatusCategories(value) {
+  const categories = {};
+  if (!value) return categories;
+
+  value.split(',').forEach(pair => {
+    const [name, category] = pair.split('=').map(part => part && part.trim());
+    if (!name || !['new', 'indeterminate', 'done'].includes(category)) {
+      throw new Error(`Invalid status category "${pair}". Use Name=new|indeterminate|done.`);
+    }
+    categories[name] = category;
+  });
+
+  return categories;
+}
+
+/**
+ * Guess a status category from its name when the source has no workflow metadata.
+ */
+export function categorizeStatus(name, overrides = {}) {
+  if (overrides[name]) return overrides[name];
+  if (DONE_PATTERN.test(name)) return 'done';
+  if (NEW_PATTERN.test(name.trim())) return 'new';
+  return 'indeterminate';
+}
+
+/**
+ * Remembers every status an adapter has seen so getStatusesByIds() can answer
+ * without a workflow API.
+ */
+export class StatusRegistry {
+  constructor(overrides = {}) {
+    this.overrides = overrides;
+    this.statuses = new Map();
+  }
+
+  get(name, category = null, id = name) {
+    if (!this.statuses.has(id)) {
+      this.statuses.set(id, {
+        id: id,
+        name: name,
+        statusCategory: { key: this.overrides[name] || category || categorizeStatus(name) }
+      });
+    }
+    return this.statuses.get(id);
+  }
+
+  list(ids) {
+    return ids.filter(id => this.statuses.has(id)).map(id => this.statuses.get(id));
+  }
+}
+
+/**
+ * Build a Jira-style changelog from status changes ordered oldest first.
+ * Histories come out newest first, the order the Jira API uses.
+ * @param {Array<{ created: string, from: NormalizedStatus, to: NormalizedStatus }>} changes
+ */
+export function buildChangelog(changes) {
+  const histories = changes
+    .filter(change => change.from.id !== change.to.id)
+    .reverse()
+    .map(change => ({
+      created: change.created,
+      items: [{
+        field: 'status',
+        from: change.from.id,
+        fromString: change.from.name,
+        to: change.to.id,
+        toString: change.to.name
+      }]
+    }));
+
+  return { total: histories.length, histories: histories };
+}
+
+/**
+ * Work out which board status a label stands for: one of the configured
+ * status labels, or any label starting with the prefix (prefix removed).
+ */
+export function statusFromLabel(labelName, statusLabels, prefix) {
+  if (statusLabels) {
+    return statusLabels.includes(labelName) ? labelName : null;
+  }
+  if (prefix && labelName.toLowerCase().startsWith(prefix.toLowerCase())) {
+    return labelName.slice(prefix.length).trim() || null;
+  }
+  return null;
+}
+
+/**
+ * Replay label/column and open/closed events for trackers whose boards are
+ * built from labels (GitHub, GitLab).
+ *
+ * Events: { created, type: 'set'|'unset'|'close'|'reopen', status? }. A closed
+ * issue is always in the closed status; an open one shows its latest board
+ * status, or the open status when it has none.
+ *
+ * @returns {{ status: NormalizedStatus, changelog: Object }}
+ */
+export function replayBoardEvents(events, openStatus, closedStatus) {
+  const typeOrder = { unset: 0, reopen: 1, set: 2, close: 3 };
+  const sorted = [...events].sort((a, b) =>
+    (new Date(a.created) - new Date(b.created)) || (typeOrder[a.type] - typeOrder[b.type]));
+
+  let boardStatus = null;
+  let closed = false;
+  let current = openStatus;
+  const changes = [];
+
+  sorted.forEach((event, index) => {
+    if (event.type === 'set') boardStatus = event.status;
+    if (event.type === 'unset' && boardStatus && boardStatus.id === event.status.id) boardStatus = null;
+    if (event.type === 'close') closed = true;
+    if (event.type === 'reopen') closed = false;
+
+    // A label swap is an unset and a set at the same moment: one move, not two
+    const following = sorted[index + 1];
+    if (following && new Date(following.created).getTime() === new Date(event.created).getTime()) return;
+
+    const next = closed ? closedStatus : (boardStatus || openStatus);
+    if (next.id !== current.id) {
+      changes.push({ created: event.created, from: current, to: next });
+      current = next;
+    }
+  });
+
+  return { status: current, changelog: buildChangelog(changes) };
+}
+
+/**
+ * Assemble a normalized issue from the parts every adapter produces.
+ */
+export function makeIssue({ key, url, summary, type, status, priority, assignee, labels, parent, created, links, changelog }) {
+  return {
+    key: key,
+    url: url,
+    fields: {
+      summary: summary || '',
+      issuetype: { name: type || 'Issue' },
+      status: status,
+      priority: priority ? { name: priority } : null,
+      assignee: assignee ? {
+        displayName: assignee.name,
+        avatarUrls: { '48x48': assignee.picture || '' },
+        self: assignee.link || '#'
+      } : null,
+      labels: labels || [],
+      parent: parent ? { key: parent.key, url: parent.url, fields: { summary: parent.title || '' } } : null,
+      created: created,
+      issuelinks: (links || []).map(blockerKey => ({ type: { name: 'Blocks' }, inwardIssue: { key: blockerKey } }))
+    },
+    changelog: changelog || { total: 0, histories: [] }
+  };
+}
+
+/**
+ * Follow numbered pages until one comes back short.
+ */
+export async function fetchPages(fetchPage, pageSize) {
+  const results = [];
+  for (let page = 1; ; page++) {
+    const items = await fetchPage(page);
+    results.push(...items);
+    if (items.length < pageSize) break;
+  }
+  return results;
+}
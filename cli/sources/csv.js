@@ -0,0 +1,150 @@
+/**
+ * CSV adapter.
+ *
+ * Query: path to a CSV file of status transitions, one row per item entering
+ * a status:
+ *
+ *   key,title,type,status,date
+ *   OPS-1,Rotate certificates,Task,To Do,2026-09-01
+ *   OPS-1,Rotate certificates,Task,In Progress,2026-09-03
+ *
+ * The header row is optional for those five columns. With a header, extra
+ * assignee, priority, url and labels (";"-separated) columns are picked up too.
+ * The first row of an item is its creation date, the last one its current status.
+ * Append "?status=open" or "?status=done" to the path to keep only items that
+ * are (not) in a done status, e.g. "-j work.csv?status=open -s work.csv?status=done".
+ */
+
+import fs from 'fs';
+import { StatusRegistry, buildChangelog, makeIssue } from './common.js';
+
+const DEFAULT_COLUMNS = ['key', 'title', 'type', 'status', 'date'];
+
+export function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+export class CsvAdapter {
+  constructor(config, options = {}) {
+    this.baseUrl = config.CSV_BASE_URL || '';
+    this.readFile = options.readFile || (filePath => fs.readFileSync(filePath, 'utf-8'));
+    this.log = options.log || (() => {});
+    this.statuses = new StatusRegistry(options.statusCategories);
+  }
+
+  async getAllIssues(query) {
+    const [filePath, filter] = query.trim().split('?');
+    const statusFilter = filter ? new URLSearchParams(filter).get('status') : null;
+    if (statusFilter && !['open', 'done'].includes(statusFilter)) {
+      throw new Error(`Invalid CSV status filter: ${statusFilter}. Use open or done.`);
+    }
+
+    const rows = parseCsv(this.readFile(filePath));
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const hasHeader = rows[0].some(cell => cell.trim().toLowerCase() === 'key');
+    const columns = hasHeader ? rows[0].map(cell => cell.trim().toLowerCase()) : DEFAULT_COLUMNS;
+    const missing = DEFAULT_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`CSV is missing column(s): ${missing.join(', ')}`);
+    }
+
+    const rowsByKey = new Map();
+    rows.slice(hasHeader ? 1 : 0).forEach((cells, index) => {
+      const record = {};
+      columns.forEach((column, columnIndex) => {
+        record[column] = (cells[columnIndex] || '').trim();
+      });
+
+      const lineNumber = index + (hasHeader ? 2 : 1);
+      const time = new Date(record.date);
+      if (!record.key || !record.status || isNaN(time.getTime())) {
+        throw new Error(`Invalid CSV row on line ${lineNumber}: needs a key, a status and a date`);
+      }
+      record.created = time.toISOString();
+
+      if (!rowsByKey.has(record.key)) rowsByKey.set(record.key, []);
+      rowsByKey.get(record.key).push(record);
+    });
+
+    this.log(`Read ${rowsByKey.size} items from ${filePath}`);
+    const issues = Array.from(rowsByKey.values()).map(records => this.normalizeIssue(records));
+    if (!statusFilter) {
+      return issues;
+    }
+    return issues.filter(issue => (issue.fields.status.statusCategory.key === 'done') === (statusFilter === 'done'));
+  }
+
+  async getStatusesByIds(statusIds) {
+    return this.statuses.list(statusIds);
+  }
+
+  normalizeIssue(records) {
+    const sorted = [...records].sort((a, b) => new Date(a.created) - new Date(b.created));
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+
+    const changes = [];
+    for (let i = 1; i < sorted.length; i++) {
+      changes.push({
+        created: sorted[i].created,
+        from: this.statuses.get(sorted[i - 1].status),
+        to: this.statuses.get(sorted[i].status)
+      });
+    }
+
+    return makeIssue({
+      key: last.key,
+      url: last.url || (this.baseUrl ? `${this.baseUrl}/${last.key}` : '#'),
+      summary: last.title,
+      type: last.type || 'Item',
+      status: this.statuses.get(last.status),
+      priority: last.priority || null,
+      assignee: last.assignee ? { name: last.assignee } : null,
+      labels: last.labels ? last.labels.split(';').map(label => label.trim()).filter(Boolean) : [],
+      parent: null,
+      created: first.created,
+      links: [],
+      changelog: buildChangelog(changes)
+    });
+  }
+}
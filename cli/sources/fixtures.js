@@ -0,0 +1,43 @@
+/**
+ * Recorded HTTP fixtures for running adapters without a network.
+ *
+ * A transport is any `request(url, options) => Promise<parsed JSON>` function;
+ * adapters (and JiraClient) take one instead of calling HTTP directly. Fixture
+ * files are named after the request method, path, query and body, not the
+ * host, so a recording made against one instance replays anywhere.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export function fixtureName(url, options = {}) {
+  const method = options.method || 'GET';
+  const parsed = new URL(url);
+  const slug = `${method}${parsed.pathname}`.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 80);
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${method} ${parsed.pathname}${parsed.search} ${options.body ? JSON.stringify(options.body) : ''}`)
+    .digest('hex')
+    .slice(0, 10);
+  return `${slug}-${hash}.json`;
+}
+
+export function createFixtureTransport(dir) {
+  return async (url, options = {}) => {
+    const file = path.join(dir, fixtureName(url, options));
+    if (!fs.existsSync(file)) {
+      throw new Error(`No fixture for ${options.method || 'GET'} ${url} (expected ${file})`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  };
+}
+
+export function createRecordingTransport(request, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return async (url, options = {}) => {
+    const response = await request(url, options);
+    fs.writeFileSync(path.join(dir, fixtureName(url, options)), JSON.stringify(response, null, 2));
+    return response;
+  };
+}
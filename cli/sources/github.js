@@ -0,0 +1,269 @@
+/**
+ * GitHub Issues and Projects adapter.
+ *
+ * Query: a GitHub issue search, e.g. "repo:owner/repo is:issue is:open", or a
+ * project board, e.g. "https://github.com/orgs/acme/projects/5" (or
+ * "users/<login>/projects/<number>").
+ *
+ * Searched issues take their board status from status labels ("status: In
+ * Progress", or the names passed as statusLabels) and classic project columns.
+ * Project items take it from the project's "Status" field through the GraphQL
+ * API (a token with read:project is required); draft items are left out. In
+ * both cases closed issues are "Closed" and open issues without a board status
+ * are "Open".
+ */
+
+import { StatusRegistry, statusFromLabel, replayBoardEvents, makeIssue, fetchPages } from './common.js';
+
+const PAGE_SIZE = 100;
+const SEARCH_RESULT_LIMIT = 1000; // GitHub search never returns more
+const STATUS_LABEL_PREFIX = 'status:';
+const PRIORITY_LABEL_PATTERN = /^priority[:/]\s*(.+)$/i;
+const BATCH_SIZE = 10;
+const PROJECT_PATTERN = /^(?:https?:\/\/[^/]+\/)?(orgs|users)\/([^/\s]+)\/projects\/(\d+)\/?$/;
+const PROJECT_STATUS_FIELD = 'Status';
+
+// Issues and pull requests share these fields; only the timeline item enums differ
+const PROJECT_CONTENT_FIELDS = `
+    number
+    title
+    url
+    createdAt
+    repository { nameWithOwner }
+    assignees(first: 1) { nodes { login avatarUrl url } }
+    labels(first: 50) { nodes { name } }
+    timelineItems(first: 100, itemTypes: [PROJECT_V2_ITEM_STATUS_CHANGED_EVENT, CLOSED_EVENT, REOPENED_EVENT]) {
+      nodes {
+        __typename
+        ... on ProjectV2ItemStatusChangedEvent { createdAt status previousStatus project { id } }
+        ... on ClosedEvent { createdAt }
+        ... on ReopenedEvent { createdAt }
+      }
+    }
+`;
+
+function projectItemsQuery(ownerType) {
+  return `
+  query ProjectItems($login: String!, $number: Int!, $after: String) {
+    owner: ${ownerType === 'orgs' ? 'organization' : 'user'}(login: $login) {
+      projectV2(number: $number) {
+        id
+        url
+        items(first: ${PAGE_SIZE}, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            status: fieldValueByName(name: "${PROJECT_STATUS_FIELD}") {
+              ... on ProjectV2ItemFieldSingleSelectValue { name updatedAt }
+            }
+            content {
+              __typename
+              ... on Issue { ${PROJECT_CONTENT_FIELDS} }
+              ... on PullRequest { ${PROJECT_CONTENT_FIELDS} }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+}
+
+export class GitHubAdapter {
+  constructor(config, options = {}) {
+    this.apiUrl = (config.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '');
+    this.baseUrl = (config.GITHUB_URL || 'https://github.com').replace(/\/$/, '');
+    this.token = config.GITHUB_TOKEN || null;
+    this.transport = options.request;
+    this.log = options.log || (() => {});
+    this.statusLabels = options.statusLabels || null;
+    this.statuses = new StatusRegistry(options.statusCategories);
+  }
+
+  request(endpoint) {
+    const headers = {
+      'Accept': 'application/vnd.github+json',
+      'User-Agent': 'aging-wip',
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+    if (this.token) {
+      headers['Authorization'] = `Bearer ${this.token}`;
+    }
+    return this.transport(`${this.apiUrl}${endpoint}`, { headers });
+  }
+
+  async graphql(query, variables) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'aging-wip'
+    };
+    if (this.token) {
+      headers['Authorization'] = `Bearer ${this.token}`;
+    }
+
+    // GitHub Enterprise serves GraphQL at /api/graphql next to /api/v3
+    const response = await this.transport(`${this.apiUrl.replace(/\/v3$/, '')}/graphql`, { method: 'POST', headers, body: { query, variables } });
+
+    if (response.errors && response.errors.length > 0) {
+      throw new Error(`GitHub API error: ${response.errors.map(error => error.message).join('; ')}`);
+    }
+    return response.data;
+  }
+
+  async getAllIssues(query) {
+    const projectMatch = query.trim().match(PROJECT_PATTERN);
+    if (projectMatch) {
+      return this.getProjectIssues(projectMatch[1], projectMatch[2], parseInt(projectMatch[3], 10));
+    }
+
+    const items = [];
+    let total = null;
+
+    for (let page = 1; total === null || items.length < Math.min(total, SEARCH_RESULT_LIMIT); page++) {
+      const response = await this.request(`/search/issues?q=${encodeURIComponent(query)}&per_page=${PAGE_SIZE}&page=${page}`);
+      total = response.total_count;
+      items.push(...response.items);
+      this.log(`Fetched ${items.length}/${total} GitHub issues`);
+      if (response.items.length < PAGE_SIZE) break;
+    }
+
+    // Timelines hold the label, project and open/closed history
+    const issues = [];
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+      const batch = items.slice(i, i + BATCH_SIZE);
+      issues.push(...await Promise.all(batch.map(item => this.normalizeIssue(item))));
+    }
+
+    return issues;
+  }
+
+  /**
+   * Every issue and pull request on a project board, with its status history
+   * from the project's status changes.
+   */
+  async getProjectIssues(ownerType, login, number) {
+    const query = projectItemsQuery(ownerType);
+    const nodes = [];
+    let project = null;
+    let after = null;
+    do {
+      const data = await this.graphql(query, { login, number, after });
+      project = data.owner && data.owner.projectV2;
+      if (!project) {
+        throw new Error(`GitHub project not found: ${ownerType}/${login}/projects/${number}`);
+      }
+      nodes.push(...project.items.nodes);
+      after = project.items.pageInfo.hasNextPage ? project.items.pageInfo.endCursor : null;
+      this.log(`Fetched ${nodes.length} GitHub project items`);
+    } while (after);
+
+    this.baseUrl = project.url;
+    return nodes
+      .filter(node => node.content && (node.content.__typename === 'Issue' || node.content.__typename === 'PullRequest'))
+      .map(node => this.normalizeProjectItem(node, project.id));
+  }
+
+  normalizeProjectItem(node, projectId) {
+    const content = node.content;
+    const events = [];
+
+    content.timelineItems.nodes.forEach(event => {
+      const created = event.createdAt;
+      if (event.__typename === 'ProjectV2ItemStatusChangedEvent' && event.project && event.project.id === projectId) {
+        if (event.status) {
+          events.push({ created, type: 'set', status: this.statuses.get(event.status) });
+        } else if (event.previousStatus) {
+          events.push({ created, type: 'unset', status: this.statuses.get(event.previousStatus) });
+        }
+      } else if (event.__typename === 'ClosedEvent') {
+        events.push({ created, type: 'close' });
+      } else if (event.__typename === 'ReopenedEvent') {
+        events.push({ created, type: 'reopen' });
+      }
+    });
+
+    // The field value is the current status even when the timeline is cut short
+    if (node.status && node.status.name) {
+      events.push({ created: node.status.updatedAt, type: 'set', status: this.statuses.get(node.status.name) });
+    }
+
+    const { status, changelog } = replayBoardEvents(events, this.statuses.get('Open', 'new'), this.statuses.get('Closed', 'done'));
+    const labelNames = content.labels.nodes.map(label => label.name);
+    const priorityLabel = labelNames.find(name => PRIORITY_LABEL_PATTERN.test(name));
+    const priority = priorityLabel ? priorityLabel.match(PRIORITY_LABEL_PATTERN)[1].trim() : null;
+    const assignee = content.assignees.nodes[0];
+
+    return makeIssue({
+      key: `${content.repository.nameWithOwner}#${content.number}`,
+      url: content.url,
+      summary: content.title,
+      type: content.__typename === 'PullRequest' ? 'Pull Request' : 'Issue',
+      status: status,
+      priority: priority ? priority.charAt(0).toUpperCase() + priority.slice(1) : null,
+      assignee: assignee ? { name: assignee.login, picture: assignee.avatarUrl, link: assignee.url } : null,
+      labels: labelNames.filter(name => name !== priorityLabel),
+      parent: null,
+      created: content.createdAt,
+      links: [],
+      changelog: changelog
+    });
+  }
+
+  async getStatusesByIds(statusIds) {
+    return this.statuses.list(statusIds);
+  }
+
+  async normalizeIssue(item) {
+    const repo = item.repository_url.split('/repos/')[1];
+    const timeline = await fetchPages(
+      page => this.request(`/repos/${repo}/issues/${item.number}/timeline?per_page=${PAGE_SIZE}&page=${page}`),
+      PAGE_SIZE
+    );
+
+    const openStatus = this.statuses.get('Open', 'new');
+    const closedStatus = this.statuses.get('Closed', 'done');
+    const events = [];
+
+    timeline.forEach(event => {
+      const created = event.created_at;
+      if (event.event === 'labeled' || event.event === 'unlabeled') {
+        const name = statusFromLabel(event.label.name, this.statusLabels, STATUS_LABEL_PREFIX);
+        if (name) {
+          events.push({ created, type: event.event === 'labeled' ? 'set' : 'unset', status: this.statuses.get(name) });
+        }
+      } else if ((event.event === 'added_to_project' || event.event === 'moved_columns_in_project') && event.project_card) {
+        events.push({ created, type: 'set', status: this.statuses.get(event.project_card.column_name) });
+      } else if (event.event === 'removed_from_project' && event.project_card) {
+        events.push({ created, type: 'unset', status: this.statuses.get(event.project_card.column_name) });
+      } else if (event.event === 'closed') {
+        events.push({ created, type: 'close' });
+      } else if (event.event === 'reopened') {
+        events.push({ created, type: 'reopen' });
+      }
+    });
+
+    const { status, changelog } = replayBoardEvents(events, openStatus, closedStatus);
+
+    const labelNames = (item.labels || []).map(label => label.name);
+    const priorityLabel = labelNames.find(name => PRIORITY_LABEL_PATTERN.test(name));
+    const priority = priorityLabel ? priorityLabel.match(PRIORITY_LABEL_PATTERN)[1].trim() : null;
+
+    return makeIssue({
+      key: `${repo}#${item.number}`,
+      url: item.html_url,
+      summary: item.title,
+      type: item.pull_request ? 'Pull Request' : ((item.type && item.type.name) || 'Issue'),
+      status: status,
+      priority: priority ? priority.charAt(0).toUpperCase() + priority.slice(1) : null,
+      assignee: item.assignee ? {
+        name: item.assignee.login,
+        picture: item.assignee.avatar_url,
+        link: item.assignee.html_url
+      } : null,
+      labels: labelNames.filter(name => name !== priorityLabel && !statusFromLabel(name, this.statusLabels, STATUS_LABEL_PREFIX)),
+      parent: null,
+      created: item.created_at,
+      links: [],
+      changelog: changelog
+    });
+  }
+}
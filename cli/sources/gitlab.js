@@ -0,0 +1,113 @@
+/**
+ * GitLab issues adapter.
+ *
+ * Query: a project path, optionally followed by issue API filters, e.g.
+ * "group/project?state=opened&labels=backend". GitLab boards are built from
+ * labels, so board status comes from status labels ("status::Doing", or the
+ * names passed as statusLabels); closed issues are "Closed" and open issues
+ * without a board label are "Open".
+ */
+
+import { StatusRegistry, statusFromLabel, replayBoardEvents, makeIssue, fetchPages } from './common.js';
+
+const PAGE_SIZE = 100;
+const STATUS_LABEL_PREFIX = 'status::';
+const PRIORITY_LABEL_PATTERN = /^priority::?\s*(.+)$/i;
+const BATCH_SIZE = 10;
+
+export class GitLabAdapter {
+  constructor(config, options = {}) {
+    this.gitlabUrl = (config.GITLAB_URL || 'https://gitlab.com').replace(/\/$/, '');
+    this.baseUrl = this.gitlabUrl;
+    this.token = config.GITLAB_TOKEN || null;
+    this.transport = options.request;
+    this.log = options.log || (() => {});
+    this.statusLabels = options.statusLabels || null;
+    this.statuses = new StatusRegistry(options.statusCategories);
+  }
+
+  request(endpoint) {
+    const headers = { 'Accept': 'application/json' };
+    if (this.token) {
+      headers['PRIVATE-TOKEN'] = this.token;
+    }
+    return this.transport(`${this.gitlabUrl}/api/v4${endpoint}`, { headers });
+  }
+
+  async getAllIssues(query) {
+    const [projectPath, filters] = query.split('?');
+    const project = encodeURIComponent(projectPath.trim());
+    this.baseUrl = `${this.gitlabUrl}/${projectPath.trim()}/-/boards`;
+
+    const items = await fetchPages(async page => {
+      const response = await this.request(`/projects/${project}/issues?${filters ? `${filters}&` : ''}per_page=${PAGE_SIZE}&page=${page}`);
+      this.log(`Fetched page ${page} of GitLab issues (${response.length} issues)`);
+      return response;
+    }, PAGE_SIZE);
+
+    const issues = [];
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+      const batch = items.slice(i, i + BATCH_SIZE);
+      issues.push(...await Promise.all(batch.map(item => this.normalizeIssue(project, item))));
+    }
+
+    return issues;
+  }
+
+  async getStatusesByIds(statusIds) {
+    return this.statuses.list(statusIds);
+  }
+
+  async normalizeIssue(project, item) {
+    const issuePath = `/projects/${project}/issues/${item.iid}`;
+    const [labelEvents, stateEvents, links] = await Promise.all([
+      fetchPages(page => this.request(`${issuePath}/resource_label_events?per_page=${PAGE_SIZE}&page=${page}`), PAGE_SIZE),
+      fetchPages(page => this.request(`${issuePath}/resource_state_events?per_page=${PAGE_SIZE}&page=${page}`), PAGE_SIZE),
+      this.request(`${issuePath}/links`)
+    ]);
+
+    const openStatus = this.statuses.get('Open', 'new');
+    const closedStatus = this.statuses.get('Closed', 'done');
+    const events = [];
+
+    labelEvents.forEach(event => {
+      const name = event.label && statusFromLabel(event.label.name, this.statusLabels, STATUS_LABEL_PREFIX);
+      if (name) {
+        events.push({ created: event.created_at, type: event.action === 'add' ? 'set' : 'unset', status: this.statuses.get(name) });
+      }
+    });
+
+    stateEvents.forEach(event => {
+      if (event.state === 'closed') events.push({ created: event.created_at, type: 'close' });
+      if (event.state === 'reopened') events.push({ created: event.created_at, type: 'reopen' });
+    });
+
+    const { status, changelog } = replayBoardEvents(events, openStatus, closedStatus);
+
+    const labelNames = item.labels || [];
+    const priorityLabel = labelNames.find(name => PRIORITY_LABEL_PATTERN.test(name));
+    const priority = priorityLabel ? priorityLabel.match(PRIORITY_LABEL_PATTERN)[1].trim() : null;
+    const issueType = item.issue_type || 'issue';
+
+    return makeIssue({
+      key: item.references ? item.references.full : `${item.project_id}#${item.iid}`,
+      url: item.web_url,
+      summary: item.title,
+      type: issueType.charAt(0).toUpperCase() + issueType.slice(1).replace(/_/g, ' '),
+      status: status,
+      priority: priority ? priority.charAt(0).toUpperCase() + priority.slice(1) : null,
+      assignee: item.assignee ? {
+        name: item.assignee.name,
+        picture: item.assignee.avatar_url,
+        link: item.assignee.web_url
+      } : null,
+      labels: labelNames.filter(name => name !== priorityLabel && !statusFromLabel(name, this.statusLabels, STATUS_LABEL_PREFIX)),
+      parent: item.epic ? { key: `&${item.epic.iid}`, title: item.epic.title, url: item.epic.url } : null,
+      created: item.created_at,
+      links: (links || [])
+        .filter(link => link.link_type === 'is_blocked_by')
+        .map(link => (link.references ? link.references.full : `${link.project_id}#${link.iid}`)),
+      changelog: changelog
+    });
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Source adapters for trackers other than Jira.
+ *
+ * Each adapter has the same surface as JiraClient (baseUrl, getAllIssues,
+ * getStatusesByIds) and returns issues in the internal model described in
+ * common.js. Jira itself stays in get-jira-issues.js.
+ */
+
+import { GitHubAdapter } from './github.js';
+import { GitLabAdapter } from './gitlab.js';
+import { LinearAdapter } from './linear.js';
+import { CsvAdapter } from './csv.js';
+
+// Environment variables per source; "required" ones must be set unless replaying fixtures
+export const SOURCES = {
+  github: { adapter: GitHubAdapter, required: [], optional: ['GITHUB_TOKEN', 'GITHUB_API_URL', 'GITHUB_URL'] },
+  gitlab: { adapter: GitLabAdapter, required: [], optional: ['GITLAB_TOKEN', 'GITLAB_URL'] },
+  linear: { adapter: LinearAdapter, required: ['LINEAR_API_KEY'], optional: ['LINEAR_API_URL'] },
+  csv: { adapter: CsvAdapter, required: [], optional: ['CSV_BASE_URL'] }
+};
+
+export function createAdapter(name, config, options = {}) {
+  const source = SOURCES[name];
+  if (!source) {
+    throw new Error(`Unknown source: ${name}. Use jira, ${Object.keys(SOURCES).join(', ')}.`);
+  }
+  return new source.adapter(config, options);
+}
+
+export { parseStatusCategories, categorizeStatus } from './common.js';
+export { createFixtureTransport, createRecordingTransport, fixtureName } from './fixtures.js';
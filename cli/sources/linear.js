@@ -0,0 +1,126 @@
+/**
+ * Linear adapter (GraphQL API).
+ *
+ * Query: a team key ("ENG") or a JSON IssueFilter, e.g.
+ * '{"team":{"key":{"eq":"ENG"}},"state":{"type":{"neq":"completed"}}}'.
+ * Workflow states and their history come straight from Linear; state types
+ * map onto the Jira status categories.
+ */
+
+import { StatusRegistry, buildChangelog, makeIssue } from './common.js';
+
+const PAGE_SIZE = 50;
+const STATE_TYPE_CATEGORIES = {
+  triage: 'new',
+  backlog: 'new',
+  unstarted: 'new',
+  started: 'indeterminate',
+  completed: 'done',
+  canceled: 'done'
+};
+
+const ISSUES_QUERY = `
+  query Issues($filter: IssueFilter, $after: String) {
+    issues(filter: $filter, first: ${PAGE_SIZE}, after: $after) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        identifier
+        title
+        url
+        createdAt
+        priorityLabel
+        state { id name type }
+        labels { nodes { name } }
+        assignee { name avatarUrl url }
+        parent { identifier title url }
+        history(first: 100) {
+          nodes { createdAt fromState { id name type } toState { id name type } }
+        }
+        inverseRelations { nodes { type issue { identifier } } }
+      }
+    }
+  }
+`;
+
+export class LinearAdapter {
+  constructor(config, options = {}) {
+    this.apiUrl = config.LINEAR_API_URL || 'https://api.linear.app/graphql';
+    this.baseUrl = 'https://linear.app';
+    this.apiKey = config.LINEAR_API_KEY;
+    this.transport = options.request;
+    this.log = options.log || (() => {});
+    this.statuses = new StatusRegistry(options.statusCategories);
+  }
+
+  async graphql(query, variables) {
+    const response = await this.transport(this.apiUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': this.apiKey,
+        'Content-Type': 'application/json'
+      },
+      body: { query, variables }
+    });
+
+    if (response.errors && response.errors.length > 0) {
+      throw new Error(`Linear API error: ${response.errors.map(error => error.message).join('; ')}`);
+    }
+    return response.data;
+  }
+
+  async getAllIssues(query) {
+    const trimmed = query.trim();
+    const filter = trimmed.startsWith('{') ? JSON.parse(trimmed) : { team: { key: { eq: trimmed } } };
+
+    const nodes = [];
+    let after = null;
+    do {
+      const data = await this.graphql(ISSUES_QUERY, { filter, after });
+      nodes.push(...data.issues.nodes);
+      after = data.issues.pageInfo.hasNextPage ? data.issues.pageInfo.endCursor : null;
+      this.log(`Fetched ${nodes.length} Linear issues`);
+    } while (after);
+
+    return nodes.map(node => this.normalizeIssue(node));
+  }
+
+  async getStatusesByIds(statusIds) {
+    return this.statuses.list(statusIds);
+  }
+
+  toStatus(state) {
+    return this.statuses.get(state.name, STATE_TYPE_CATEGORIES[state.type] || null, state.id);
+  }
+
+  normalizeIssue(node) {
+    const changes = node.history.nodes
+      .filter(entry => entry.fromState && entry.toState)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(entry => ({
+        created: entry.createdAt,
+        from: this.toStatus(entry.fromState),
+        to: this.toStatus(entry.toState)
+      }));
+
+    return makeIssue({
+      key: node.identifier,
+      url: node.url,
+      summary: node.title,
+      type: 'Issue',
+      status: this.toStatus(node.state),
+      priority: node.priorityLabel && node.priorityLabel !== 'No priority' ? node.priorityLabel : null,
+      assignee: node.assignee ? {
+        name: node.assignee.name,
+        picture: node.assignee.avatarUrl,
+        link: node.assignee.url
+      } : null,
+      labels: node.labels.nodes.map(label => label.name),
+      parent: node.parent ? { key: node.parent.identifier, title: node.parent.title, url: node.parent.url } : null,
+      created: node.createdAt,
+      links: node.inverseRelations.nodes
+        .filter(relation => relation.type === 'blocks')
+        .map(relation => relation.issue.identifier),
+      changelog: buildChangelog(changes)
+    });
+  }
+}
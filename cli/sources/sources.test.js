@@ -0,0 +1,275 @@
+/**
+ * Adapter tests: each source replays its recorded API responses from
+ * __fixtures__ and must produce the same normalized issues and status history.
+ *
+ * Run with: npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createAdapter, createFixtureTransport, parseStatusCategories } from './index.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '__fixtures__');
+
+function fixtureAdapter(name, config = {}, options = {}) {
+  return createAdapter(name, config, { ...options, request: createFixtureTransport(path.join(FIXTURES_DIR, name)) });
+}
+
+// Status changes oldest first, as "from > to @ time"
+function statusEvents(issue) {
+  return [...issue.changelog.histories].reverse().map(history => {
+    const item = history.items[0];
+    return `${item.fromString} > ${item.toString} @ ${history.created}`;
+  });
+}
+
+function summarize(issue) {
+  const fields = issue.fields;
+  return {
+    key: issue.key,
+    url: issue.url,
+    summary: fields.summary,
+    type: fields.issuetype.name,
+    status: fields.status.name,
+    category: fields.status.statusCategory.key,
+    priority: fields.priority ? fields.priority.name : null,
+    assignee: fields.assignee ? fields.assignee.displayName : null,
+    labels: fields.labels,
+    parent: fields.parent ? fields.parent.key : null,
+    created: fields.created,
+    blockedBy: fields.issuelinks.map(link => link.inwardIssue.key)
+  };
+}
+
+test('github: status labels, classic project columns and close events become status history', async () => {
+  const adapter = fixtureAdapter('github');
+  const issues = await adapter.getAllIssues('repo:acme/widgets is:issue');
+
+  assert.deepEqual(issues.map(summarize), [
+    {
+      key: 'acme/widgets#12',
+      url: 'https://github.com/acme/widgets/issues/12',
+      summary: 'Retry failed webhooks',
+      type: 'Issue',
+      status: 'In Progress',
+      category: 'indeterminate',
+      priority: 'High',
+      assignee: 'ana',
+      labels: ['backend'],
+      parent: null,
+      created: '2026-09-01T09:00:00Z',
+      blockedBy: []
+    },
+    {
+      key: 'acme/widgets#15',
+      url: 'https://github.com/acme/widgets/issues/15',
+      summary: 'Document rate limits',
+      type: 'Issue',
+      status: 'Closed',
+      category: 'done',
+      priority: null,
+      assignee: null,
+      labels: ['docs'],
+      parent: null,
+      created: '2026-09-02T10:00:00Z',
+      blockedBy: []
+    }
+  ]);
+  assert.deepEqual(statusEvents(issues[0]), [
+    'Open > Ready @ 2026-09-01T09:05:00Z',
+    'Ready > In Progress @ 2026-09-03T08:00:00Z'
+  ]);
+  assert.deepEqual(statusEvents(issues[1]), [
+    'Open > Doing @ 2026-09-02T11:00:00Z',
+    'Doing > Closed @ 2026-09-05T16:30:00Z'
+  ]);
+
+  const statuses = await adapter.getStatusesByIds(['Open', 'Ready', 'Closed', 'Unknown']);
+  assert.deepEqual(statuses.map(status => [status.name, status.statusCategory.key]), [
+    ['Open', 'new'],
+    ['Ready', 'indeterminate'],
+    ['Closed', 'done']
+  ]);
+});
+
+test('github: a project board takes status history from its Status field', async () => {
+  const adapter = fixtureAdapter('github');
+  const issues = await adapter.getAllIssues('https://github.com/orgs/acme/projects/5');
+
+  assert.equal(adapter.baseUrl, 'https://github.com/orgs/acme/projects/5');
+  assert.deepEqual(issues.map(summarize), [
+    {
+      key: 'acme/widgets#21',
+      url: 'https://github.com/acme/widgets/issues/21',
+      summary: 'Sign outgoing webhooks',
+      type: 'Issue',
+      status: 'In Progress',
+      category: 'indeterminate',
+      priority: 'High',
+      assignee: 'ana',
+      labels: ['backend'],
+      parent: null,
+      created: '2026-09-01T09:00:00Z',
+      blockedBy: []
+    },
+    {
+      key: 'acme/widgets#22',
+      url: 'https://github.com/acme/widgets/pull/22',
+      summary: 'Add signature header',
+      type: 'Pull Request',
+      status: 'Closed',
+      category: 'done',
+      priority: null,
+      assignee: null,
+      labels: [],
+      parent: null,
+      created: '2026-09-04T08:00:00Z',
+      blockedBy: []
+    },
+    {
+      key: 'acme/docs#3',
+      url: 'https://github.com/acme/docs/issues/3',
+      summary: 'Document webhook signatures',
+      type: 'Issue',
+      status: 'Ready',
+      category: 'indeterminate',
+      priority: null,
+      assignee: null,
+      labels: ['docs'],
+      parent: null,
+      created: '2026-09-02T10:00:00Z',
+      blockedBy: []
+    }
+  ]);
+  // Status changes on other projects are not this board's
+  assert.deepEqual(statusEvents(issues[0]), [
+    'Open > Todo @ 2026-09-01T09:10:00Z',
+    'Todo > In Progress @ 2026-09-03T10:00:00Z'
+  ]);
+  assert.deepEqual(statusEvents(issues[1]), [
+    'Open > In Review @ 2026-09-04T09:00:00Z',
+    'In Review > Closed @ 2026-09-06T12:00:00Z'
+  ]);
+  // Without status events, the field value dates the current status
+  assert.deepEqual(statusEvents(issues[2]), ['Open > Ready @ 2026-09-05T15:00:00Z']);
+});
+
+test('gitlab: scoped status labels, epics and blocking links', async () => {
+  const adapter = fixtureAdapter('gitlab');
+  const issues = await adapter.getAllIssues('acme/widgets?state=opened');
+
+  assert.equal(adapter.baseUrl, 'https://gitlab.com/acme/widgets/-/boards');
+  assert.deepEqual(issues.map(summarize), [
+    {
+      key: 'acme/widgets#7',
+      url: 'https://gitlab.com/acme/widgets/-/issues/7',
+      summary: 'Cache board queries',
+      type: 'Issue',
+      status: 'Doing',
+      category: 'indeterminate',
+      priority: '2',
+      assignee: 'Bo Chen',
+      labels: ['backend'],
+      parent: '&3',
+      created: '2026-09-01T09:00:00Z',
+      blockedBy: ['acme/widgets#4']
+    }
+  ]);
+  assert.deepEqual(statusEvents(issues[0]), [
+    'Open > Ready @ 2026-09-02T09:00:00Z',
+    'Ready > Doing @ 2026-09-05T10:00:00Z'
+  ]);
+});
+
+test('linear: workflow state types map onto status categories', async () => {
+  const adapter = fixtureAdapter('linear', { LINEAR_API_KEY: 'test-key' });
+  const issues = await adapter.getAllIssues('ENG');
+
+  assert.deepEqual(issues.map(summarize), [
+    {
+      key: 'ENG-21',
+      url: 'https://linear.app/acme/issue/ENG-21',
+      summary: 'Sync cycle reports',
+      type: 'Issue',
+      status: 'In Review',
+      category: 'indeterminate',
+      priority: 'High',
+      assignee: 'Cy Diaz',
+      labels: ['api'],
+      parent: 'ENG-3',
+      created: '2026-09-01T09:00:00.000Z',
+      blockedBy: ['ENG-19']
+    },
+    {
+      key: 'ENG-22',
+      url: 'https://linear.app/acme/issue/ENG-22',
+      summary: 'Drop legacy export',
+      type: 'Issue',
+      status: 'Canceled',
+      category: 'done',
+      priority: null,
+      assignee: null,
+      labels: [],
+      parent: null,
+      created: '2026-09-03T09:00:00.000Z',
+      blockedBy: []
+    }
+  ]);
+  assert.deepEqual(statusEvents(issues[0]), [
+    'Todo > In Progress @ 2026-09-02T10:00:00.000Z',
+    'In Progress > In Review @ 2026-09-06T15:00:00.000Z'
+  ]);
+  assert.equal(issues[0].changelog.histories[0].items[0].to, 'state-review');
+  assert.deepEqual(statusEvents(issues[1]), ['Todo > Canceled @ 2026-09-05T09:00:00.000Z']);
+});
+
+test('csv: one row per status entered, with status category overrides and filters', async () => {
+  const file = path.join(FIXTURES_DIR, 'csv', 'transitions.csv');
+  const adapter = fixtureAdapter('csv', {}, { statusCategories: parseStatusCategories('Shipped=done') });
+  const issues = await adapter.getAllIssues(file);
+
+  assert.deepEqual(issues.map(summarize), [
+    {
+      key: 'OPS-1',
+      url: '#',
+      summary: 'Rotate certificates',
+      type: 'Task',
+      status: 'In Progress',
+      category: 'indeterminate',
+      priority: 'High',
+      assignee: 'Dee Okafor',
+      labels: ['infra', 'security'],
+      parent: null,
+      created: '2026-09-01T00:00:00.000Z',
+      blockedBy: []
+    },
+    {
+      key: 'OPS-2',
+      url: '#',
+      summary: 'Upgrade "edge" proxy',
+      type: 'Task',
+      status: 'Shipped',
+      category: 'done',
+      priority: null,
+      assignee: 'Eli Novak',
+      labels: ['infra'],
+      parent: null,
+      created: '2026-09-02T00:00:00.000Z',
+      blockedBy: []
+    }
+  ]);
+  assert.deepEqual(statusEvents(issues[1]), [
+    'To Do > In Progress @ 2026-09-04T00:00:00.000Z',
+    'In Progress > Shipped @ 2026-09-08T00:00:00.000Z'
+  ]);
+
+  assert.deepEqual((await adapter.getAllIssues(`${file}?status=open`)).map(issue => issue.key), ['OPS-1']);
+  assert.deepEqual((await adapter.getAllIssues(`${file}?status=done`)).map(issue => issue.key), ['OPS-2']);
+});
+
+test('fixture transport names the missing recording', async () => {
+  const adapter = fixtureAdapter('github');
+  await assert.rejects(adapter.getAllIssues('repo:acme/other is:issue'), /No fixture for GET https:\/\/api\.github\.com\/search\/issues/);
+});
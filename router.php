@@ -27,6 +27,16 @@ if ($uri === '/api/chart-data') {
     exit;
 }
 
+if ($uri === '/api/connections') {
+    require __DIR__ . '/api/connections.php';
+    exit;
+}
+
+if ($uri === '/api/boards') {
+    require __DIR__ . '/api/boards.php';
+    exit;
+}
+
 if ($uri === '/api/health') {
     require __DIR__ . '/api/health.php';
     exit;
@@ -8,17 +8,7 @@
 import express from 'express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { 
-  JiraClient, 
-  buildOutput, 
-  extractUniqueStatusIds,
-  buildStatusCategoryMap,
-  buildStatusNameToIdMap,
-  extractStatusTransitions,
-  calculateSLEsForStatuses,
-  parseWindow,
-  DEFAULT_THEME
-} from './cli/get-jira-issues.js';
+import { generateChart, validateChartParams, handleProfileRequest, handleConnectionsRequest, handleBoardsRequest, scrubSecrets } from './cli/get-jira-issues.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -35,70 +25,47 @@ app.post('/api/chart-data', async (req, res) => {
   try {
     const params = req.body;
     
-    if (!params.jiraUrl || !params.jiraUser || !params.jiraApiToken || !params.jql) {
-      return res.status(400).json({ error: 'Missing required parameters' });
+    const problem = validateChartParams(params, { origin: 'http' });
+    if (problem) {
+      return res.status(400).json({ error: problem });
     }
 
-    // Create config and client
-    const config = {
-      JIRA_URL: params.jiraUrl,
-      JIRA_USER: params.jiraUser,
-      JIRA_API_TOKEN: params.jiraApiToken
-    };
-    
-    const client = new JiraClient(config);
-    
-    // Fetch issues
-    const issues = await client.getAllIssues(params.jql);
-    
-    if (issues.length === 0) {
-      return res.json({ columns: [] });
-    }
-
-    // Get status metadata
-    const statusIds = extractUniqueStatusIds(issues);
-    const statuses = await client.getStatusesByIds(statusIds);
-    const statusCategoryMap = buildStatusCategoryMap(statuses);
-    const allStatusNameToIdMap = buildStatusNameToIdMap(statuses);
-
-    // Calculate SLEs if requested
-    let slesByStatusId = null;
-    if (params.jqlSLE) {
-      const historicalIssues = await client.getAllIssues(params.jqlSLE);
-      if (historicalIssues.length > 0) {
-        const transitions = extractStatusTransitions(historicalIssues, statusCategoryMap);
-        const window = parseWindow(params.sleWindow ? `${params.sleWindow}d` : '90d', params.date || new Date().toISOString());
-        const percentiles = [50, 75, 85, 90];
-        slesByStatusId = calculateSLEsForStatuses(transitions, window, percentiles);
-      }
-    }
-
-    // Build output
-    const referenceDate = params.date || new Date().toISOString();
-    const chartData = buildOutput(
-      issues,
-      referenceDate,
-      config.JIRA_URL,
-      DEFAULT_THEME,
-      statusCategoryMap,
-      slesByStatusId,
-      params.columnsOrder || null,
-      params.maxDays || null,
-      allStatusNameToIdMap
-    );
+    const chartData = await generateChart(params, { origin: 'http' });
     
     res.json(chartData);
     
   } catch (error) {
-    console.error('API error:', error);
-    console.error('Stack trace:', error.stack);
+    console.error('API error:', scrubSecrets(error.message));
+    console.error('Stack trace:', scrubSecrets(error.stack));
     res.status(500).json({ 
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined 
+      error: scrubSecrets(error.message),
+      stack: process.env.NODE_ENV === 'development' ? scrubSecrets(error.stack) : undefined 
     });
   }
 });
 
+// Jira connection names; credentials stay on the server
+app.get('/api/connections', (req, res) => {
+  const result = handleConnectionsRequest(req.method);
+  res.status(result.status).json(result.body);
+});
+
+// Agile boards of a connection, for the board picker
+app.get('/api/boards', async (req, res) => {
+  const result = await handleBoardsRequest(req.method, req.query.connection);
+  res.status(result.status).json(result.body);
+});
+
+// Board profiles: list, read, create/replace, delete
+const sendProfileResult = (req, res) => {
+  const result = handleProfileRequest(req.method, req.params.name || null, req.body);
+  res.status(result.status).json(result.body);
+};
+app.get('/api/profiles', sendProfileResult);
+app.get('/api/profiles/:name', sendProfileResult);
+app.put('/api/profiles/:name', sendProfileResult);
+app.delete('/api/profiles/:name', sendProfileResult);
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
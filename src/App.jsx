@@ -1,6 +1,10 @@
-import React, { useState, useMemo, useRef, useLayoutEffect, useEffect } from 'react';
-import { Info, Filter, ArrowRight, Link as LinkIcon, Check, ChevronDown, X, RefreshCw } from 'lucide-react';
+import React, { useState, useMemo, useRef, useLayoutEffect, useEffect, useCallback } from 'react';
+import { Info, Filter, ArrowRight, Link as LinkIcon, Ban, Check, ChevronDown, ChevronLeft, ChevronRight, X, RefreshCw, Play, Pause } from 'lucide-react';
 import JiraPage from './JiraPage';
+import {
+  DEFAULT_PERCENTILES, toDayNumber, fromDayNumber, calculatePercentile, recomputeColumnSles, fitSleColors,
+  simulateItemsByDate, simulateDaysToFinish
+} from './lib/metrics.js';
 
 // --- Mock Data ---
 
@@ -10,6 +14,7 @@ const MOCK_DATA = {
   "board_url": "#",
   "min_days": 0,
   "max_days": 30,
+  "total_wip_limit": 8,
   "theme": {
     "theme_name": "Default Theme",
     "theme_author_name": "System",
@@ -44,7 +49,7 @@ const MOCK_DATA = {
   "columns": [
     {
       "name": "Analysis Active",
-      "top_text": "WIP: 3",
+      "wip_limit": { "min": null, "max": 3 },
       "order": 1,
       "sle": [2, 5, 7, 12],
       "items": [
@@ -70,7 +75,7 @@ const MOCK_DATA = {
           "labels": ["Security"],
           "parent": { "key": "EPIC-2", "title": "Security Audit", "url": "#" },
           "url": "https://jira.company.com/browse/KAN-205",
-          "depends_on": "KAN-202",
+          "depends_on": ["KAN-202"],
           "nickname": "205"
         },
         {
@@ -88,7 +93,7 @@ const MOCK_DATA = {
     },
     {
       "name": "Dev Active",
-      "top_text": "WIP: 2",
+      "wip_limit": { "min": null, "max": 4 },
       "order": 2,
       "sle": [5, 10, 15, 20],
       "items": [
@@ -102,7 +107,7 @@ const MOCK_DATA = {
           "labels": ["Frontend"],
           "parent": { "key": "EPIC-3", "title": "Frontend Revamp", "url": "#" },
           "url": "https://jira.company.com/browse/KAN-301",
-          "depends_on": "KAN-206",
+          "depends_on": ["KAN-206"],
           "nickname": "301"
         },
         {
@@ -120,7 +125,7 @@ const MOCK_DATA = {
     },
     {
       "name": "Testing",
-      "top_text": "WIP: 1",
+      "wip_limit": { "min": 2, "max": 4 },
       "order": 3,
       "sle": [8, 12, 17, 25],
       "items": [
@@ -134,7 +139,7 @@ const MOCK_DATA = {
           "labels": ["Urgent"],
           "parent": { "key": "EPIC-9", "title": "Q3 Goals", "url": "#" },
           "url": "https://jira.company.com/browse/KAN-101",
-          "depends_on": "KAN-305",
+          "depends_on": ["KAN-305"],
           "nickname": "101"
         }
       ]
@@ -142,6 +147,20 @@ const MOCK_DATA = {
   ]
 };
 
+const SNAPSHOT_PLAYBACK_INTERVAL = 600; // ms per snapshot while playing
+const DEFAULT_CLASSES_OF_SERVICE = ['Expedite', 'Fixed Date', 'Standard', 'Intangible']; // Same as the CLI
+const SWIMLANE_OPTIONS = { none: 'None', assignee: 'Assignee', label: 'Label', parent: 'Parent', project: 'Project', class: 'Class of service' };
+const LANE_HEIGHT = 400; // px per expanded swimlane, column header and footer included
+const LANE_HEADER_HEIGHT = 32; // px
+const COLUMN_HEADER_HEIGHT = 64; // StatusColumn header above the plot (h-16)
+const COLUMN_FOOTER_HEIGHT = 40; // StatusColumn footer below the plot (min-h-10)
+const CHART_HEIGHT = 800; // px, the chart without swimlanes
+const COLUMN_BASE_WIDTH = 225; // px per StatusColumn width unit
+const DOT_DIAMETER = 36; // px, ItemDot's w-8 circle and its border, with a little air
+const DOT_ORDERS = { age: 'Age', priority: 'Priority', assignee: 'Assignee' };
+const RENDER_MODES = { auto: 'Auto', dom: 'DOM', canvas: 'Canvas' };
+const CANVAS_ITEM_THRESHOLD = 500; // Visible items above which Auto switches to the canvas
+
 // --- Helper Functions ---
 
 const getUniqueValues = (columns, field) => {
@@ -162,6 +181,30 @@ const getUniqueValues = (columns, field) => {
   return Array.from(values).sort();
 };
 
+const matchesFilters = (item, activeFilters) => {
+  for (const [key, activeValues] of Object.entries(activeFilters)) {
+    // Skip if no filters selected for this category
+    if (!activeValues || activeValues.length === 0) continue;
+
+    let hasMatch = false;
+
+    if (key === 'assignee') {
+      if (activeValues.includes(item.assignee?.name)) hasMatch = true;
+    } else if (key === 'parent') {
+       if (activeValues.includes(item.parent?.title)) hasMatch = true;
+    } else if (key === 'label') {
+      // Check if item has ANY of the selected labels
+      if (item.labels?.some(l => activeValues.includes(l))) hasMatch = true;
+    } else {
+      // Generic check (type, priority, etc)
+      if (activeValues.includes(item[key])) hasMatch = true;
+    }
+
+    if (!hasMatch) return false;
+  }
+  return true;
+};
+
 const calculateLayout = (filteredColumns, maxDays) => {
   const layoutMap = new Map(); // itemId -> { x (global %), y (global %) }
   const totalCols = filteredColumns.length;
@@ -189,9 +232,202 @@ const calculateLayout = (filteredColumns, maxDays) => {
   return layoutMap;
 };
 
+// The Y axis plots total age, or time in the current column when showing time in status
+const getPlottedAge = (item, timeInStatus) => (
+  timeInStatus && item.age_in_current_state !== undefined ? item.age_in_current_state : item.age
+);
+
+// Time-in-status SLEs come from how long items stayed in each column. With
+// --sle-segment-by, a segment (issue type, priority or class of service) that has
+// its own history gets its own SLE; otherwise the column's overall one applies.
+const getColumnSLE = (col, timeInStatus, segment = null) => {
+  const bySegment = timeInStatus ? col.sle_in_status_by_segment : col.sle_by_segment;
+  if (segment && bySegment?.[segment]) return bySegment[segment];
+  return timeInStatus ? col.sle_in_status : col.sle;
+};
+
+// How much history backs the column SLE in use: exits in the window, the
+// confidence interval of each value, and whether the board-level SLE stood in
+// for a thin column. A segment's own SLE carries none of this.
+const getColumnSLEConfidence = (col, timeInStatus, segment = null) => {
+  const bySegment = timeInStatus ? col.sle_in_status_by_segment : col.sle_by_segment;
+  if (segment && bySegment?.[segment]) return null;
+  const field = timeInStatus ? 'sle_in_status' : 'sle';
+  if (col[`${field}_samples`] === undefined) return null;
+  return {
+    samples: col[`${field}_samples`],
+    intervals: col[`${field}_intervals`] || [],
+    fallback: Boolean(col[`${field}_fallback`])
+  };
+};
+
+// Percentiles behind every sle array; chart files from before sle_definition used the defaults
+const getPercentiles = (data) => data.sle_definition?.percentiles || DEFAULT_PERCENTILES;
+
+const SLE_WINDOW_PRESETS = [30, 60, 90, 180]; // Days offered by the SLE window slider
+
+const describeSleWindow = (window) => (window.days ? `${window.days}d` : `last ${window.count}`);
+
+// The SLE segment an item belongs to
+const getItemSegment = (item, segments) => {
+  if (!segments) return null;
+  return segments.by === 'class' ? item.class_of_service : item[segments.by];
+};
+
+// The segment the filters narrow the chart to: a single type or priority, or a
+// single label naming a class of service
+const getFilteredSegment = (segments, activeFilters) => {
+  if (!segments) return null;
+  const field = segments.by === 'class' ? 'label' : segments.by;
+  const values = activeFilters[field] || [];
+  if (values.length !== 1) return null;
+  if (segments.by !== 'class') return values[0];
+  return (segments.classes || []).find(name => name.toLowerCase() === values[0].toLowerCase()) || null;
+};
+
+// Ages are business days when the chart was generated with --workdays
+const getDayUnit = (data) => (data.calendar?.workdays ? 'BUSINESS DAYS' : 'DAYS');
+
+// The swimlane an item falls in. Lanes the CLI assigned (custom fields, label
+// groups from --swimlane-labels) win for the dimension it was run with.
+const getLaneKey = (item, by, swimlanes) => {
+  if (swimlanes?.by === by && item.lane !== undefined) return item.lane;
+  switch (by) {
+    case 'assignee': return item.assignee?.name || 'Unassigned';
+    case 'parent': return item.parent ? item.parent.title || item.parent.key : 'No parent';
+    case 'project': return item.key.replace(/[-#]\d+$/, '');
+    case 'label': return item.labels?.[0] || 'No label';
+    case 'class': {
+      if (item.class_of_service) return item.class_of_service;
+      const labels = (item.labels || []).map(label => label.toLowerCase());
+      return DEFAULT_CLASSES_OF_SERVICE.find(name => labels.includes(name.toLowerCase())) || 'Standard';
+    }
+    default: return item.lane ?? 'None';
+  }
+};
+
+// One band per lane, each with every column and only its own items. Lanes
+// follow the configured labels or classes, else go by name with the
+// catch-all lanes last. Board WIP limits cover whole columns, so lanes drop them.
+const buildLanes = (columns, by, swimlanes, collapsedLanes) => {
+  const ordered = [...columns].sort((a, b) => a.order - b.order);
+  const names = new Set();
+  ordered.forEach(col => col.items.forEach(item => names.add(getLaneKey(item, by, swimlanes))));
+
+  const configured = (swimlanes?.by === by && swimlanes.labels) || (by === 'class' ? DEFAULT_CLASSES_OF_SERVICE : []);
+  const catchAll = ['Unassigned', 'No parent', 'No label', 'Other', 'None'];
+  const rank = (name) => {
+    if (configured.includes(name)) return configured.indexOf(name);
+    return catchAll.includes(name) ? configured.length + 1 : configured.length;
+  };
+  const sorted = Array.from(names).sort((a, b) => (rank(a) - rank(b)) || a.localeCompare(b));
+
+  return sorted.map(name => {
+    const laneColumns = ordered.map(col => ({
+      ...col,
+      wip_limit: undefined,
+      items: col.items.filter(item => getLaneKey(item, by, swimlanes) === name)
+    }));
+    return {
+      name,
+      columns: laneColumns,
+      count: laneColumns.reduce((sum, col) => sum + col.items.length, 0),
+      collapsed: collapsedLanes.has(name)
+    };
+  });
+};
+
+const getLaneHeight = (lane) => LANE_HEADER_HEIGHT + (lane.collapsed ? 0 : LANE_HEIGHT);
+
+// wip_limit is { min, max }; older chart files hold a bare maximum
+const getWipLimit = (limit) => {
+  if (limit === undefined || limit === null) return null;
+  if (typeof limit === 'number') return { min: null, max: limit };
+  return { min: limit.min ?? null, max: limit.max ?? null };
+};
+
+const getWipStatus = (count, limit) => {
+  if (!limit) return null;
+  if (limit.max && count > limit.max) return 'over';
+  if (limit.max && count === limit.max) return 'at';
+  if (limit.min && count < limit.min) return 'under';
+  return 'ok';
+};
+
+const WIP_STATUS_STYLES = {
+  over: { header: 'bg-red-100', badge: 'bg-red-600 text-white border-red-700', label: 'Over the WIP limit' },
+  at: { header: 'bg-amber-50', badge: 'bg-amber-100 text-amber-800 border-amber-300', label: 'At the WIP limit' },
+  under: { header: 'bg-sky-50', badge: 'bg-sky-100 text-sky-800 border-sky-300', label: 'Below the minimum WIP' },
+  ok: { header: 'bg-slate-50', badge: 'bg-white text-slate-600 border-slate-300', label: 'Within the WIP limit' }
+};
+
+const WipBadge = ({ count, limit, label = 'WIP' }) => {
+  const status = getWipStatus(count, limit);
+  if (!status) return null;
+  let range = `${limit.min}+`;
+  if (limit.max) range = limit.min ? `${limit.min}-${limit.max}` : String(limit.max);
+  return (
+    <span
+      className={`text-xs font-mono px-1.5 rounded border ${WIP_STATUS_STYLES[status].badge}`}
+      title={WIP_STATUS_STYLES[status].label}
+    >
+      {label}: {count} / {range}
+    </span>
+  );
+};
+
+// depends_on is a list of keys; older chart files hold a single key
+const getDependencyKeys = (item) => {
+  if (!item.depends_on) return [];
+  return Array.isArray(item.depends_on) ? item.depends_on : [item.depends_on];
+};
+
+// Dependencies on the board come from the layout, the rest from linked_items
+const resolveDependencies = (item, layoutMap, linkedItems = {}) => {
+  return getDependencyKeys(item).map(key => (
+    layoutMap.has(key)
+      ? { ...layoutMap.get(key).item, offBoard: false }
+      : { key, title: '', status: null, url: null, ...linkedItems[key], offBoard: true }
+  ));
+};
+
+// Dependency arrows in layout coordinates: one line per dependency on the
+// board, and one stub on the left edge per dependency off it, level with its
+// dependents and nudged apart so labels do not overlap
+const collectDependencyLines = (layoutMap) => {
+  const lines = [];
+  const offBoard = new Map(); // dependency key -> dependent coords
+
+  layoutMap.forEach((coords, key) => {
+    getDependencyKeys(coords.item).forEach(dependencyKey => {
+      if (layoutMap.has(dependencyKey)) {
+        lines.push({ key: `${dependencyKey}-${key}`, start: layoutMap.get(dependencyKey), end: coords });
+      } else {
+        if (!offBoard.has(dependencyKey)) offBoard.set(dependencyKey, []);
+        offBoard.get(dependencyKey).push(coords);
+      }
+    });
+  });
+
+  const stubs = Array.from(offBoard.entries())
+    .map(([key, dependents]) => ({
+      key,
+      dependents,
+      y: dependents.reduce((sum, coords) => sum + coords.y, 0) / dependents.length
+    }))
+    .sort((a, b) => a.y - b.y);
+  stubs.forEach((stub, index) => {
+    if (index > 0) stub.y = Math.max(stub.y, stubs[index - 1].y + 3);
+    stub.y = Math.min(stub.y, 98);
+    stub.dependents.forEach(coords => lines.push({ key: `${stub.key}-${coords.item.key}`, start: { x: 0, y: stub.y }, end: coords }));
+  });
+
+  return { lines, stubs };
+};
+
 // --- Components ---
 
-const SmartTooltip = ({ item, dependency, position, theme, isPinned, onTogglePin, onUpdatePosition, useTypeColor, sleColor, columnName, flipType, onFlip, tooltipHideTimeoutRef, isTooltipHoveredRef, setTooltipData }) => {
+const SmartTooltip = ({ item, dependencies = [], position, theme, isPinned, onTogglePin, onUpdatePosition, useTypeColor, sleColor, columnName, flipType, onFlip, tooltipHideTimeoutRef, isTooltipHoveredRef, setTooltipData }) => {
   const tooltipRef = useRef(null);
   const [adjustedStyle, setAdjustedStyle] = useState({ 
     visibility: 'hidden', 
@@ -447,6 +683,17 @@ const SmartTooltip = ({ item, dependency, position, theme, isPinned, onTogglePin
               )}
             </div>
 
+            {item.blocked_days > 0 && (
+              <div className="mb-2 pb-2 border-b border-slate-100">
+                 <div className="text-[10px] text-slate-400 uppercase font-semibold tracking-wider flex items-center gap-1">
+                   <Ban size={10} /> {item.blocked ? 'Blocked' : 'Was blocked'}
+                 </div>
+                 <div className={`text-xs font-medium ${item.blocked ? 'text-red-600' : 'text-slate-600'}`}>
+                   Blocked {item.blocked_days} of {item.age} days{item.blocked && item.blocked_since ? ` · since ${item.blocked_since}` : ''}
+                 </div>
+              </div>
+            )}
+
             {item.parent && (
               <div className="mb-2 pb-2 border-b border-slate-100">
                  <div className="text-[10px] text-slate-400 uppercase font-semibold tracking-wider flex items-center gap-1">
@@ -457,14 +704,21 @@ const SmartTooltip = ({ item, dependency, position, theme, isPinned, onTogglePin
             )}
 
             {/* Dependency Info */}
-            {dependency && (
+            {dependencies.length > 0 && (
               <div className="mb-2 pb-2 border-b border-slate-100">
                  <div className="text-[10px] text-slate-400 uppercase font-semibold tracking-wider flex items-center gap-1">
                    <LinkIcon size={10} /> Depends on
                  </div>
-                 <div className="text-xs text-amber-600 truncate font-medium">
-                   {dependency.key} - {dependency.title}
-                 </div>
+                 {dependencies.map(dependency => (
+                   <div key={dependency.key} className="text-xs text-amber-600 truncate font-medium">
+                     {dependency.key}{dependency.title ? ` - ${dependency.title}` : ''}
+                     {dependency.offBoard && (
+                       <span className="ml-1 text-[10px] text-slate-400 font-normal">
+                         ({dependency.status || 'not on this board'})
+                       </span>
+                     )}
+                   </div>
+                 ))}
               </div>
             )}
 
@@ -533,8 +787,8 @@ const SmartTooltip = ({ item, dependency, position, theme, isPinned, onTogglePin
 
 
 
-const ItemDot = ({ layout, layoutMap, setTooltipData, theme, onTogglePin, onFlip, tooltipHideTimeoutRef, isDotHoveredRef, isTooltipHoveredRef }) => {
-  const { item, localXPct, y } = layout;
+const ItemDot = ({ layout, layoutMap, linkedItems, setTooltipData, theme, onTogglePin, onFlip, tooltipHideTimeoutRef, isDotHoveredRef, isTooltipHoveredRef }) => {
+  const { item, localXPct, y, localY = y } = layout;
   const [hovered, setHovered] = useState(false);
 
   // Handle P key for pinning when hovering item
@@ -599,14 +853,9 @@ const ItemDot = ({ layout, layoutMap, setTooltipData, theme, onTogglePin, onFlip
     setHovered(true);
     const rect = e.currentTarget.getBoundingClientRect();
     
-    let dependencyItem = null;
-    if (item.depends_on && layoutMap.has(item.depends_on)) {
-      dependencyItem = layoutMap.get(item.depends_on).item;
-    }
-
     setTooltipData({
       item: item,
-      dependency: dependencyItem,
+      dependencies: resolveDependencies(item, layoutMap, linkedItems),
       position: { x: rect.left + rect.width / 2, y: rect.top }
     });
   };
@@ -632,14 +881,14 @@ const ItemDot = ({ layout, layoutMap, setTooltipData, theme, onTogglePin, onFlip
 
   return (
     <div 
-      className="absolute w-full h-0 pointer-events-none z-20"
-      style={{ bottom: `${y}%` }}
+      className="absolute w-full h-0 pointer-events-none z-20 transition-[bottom] duration-500 ease-out"
+      style={{ bottom: `${localY}%` }}
     >
       <a
         href={item.url}
         target="_blank"
         rel="noopener noreferrer"
-        className="absolute transform -translate-x-1/2 -translate-y-1/2 cursor-pointer group outline-none pointer-events-auto"
+        className="absolute transform -translate-x-1/2 -translate-y-1/2 cursor-pointer group outline-none pointer-events-auto transition-[left] duration-500 ease-out"
         style={{ left: `${localXPct}%` }} 
         onMouseEnter={handleMouseEnter}
         onMouseLeave={handleMouseLeave}
@@ -657,14 +906,314 @@ const ItemDot = ({ layout, layoutMap, setTooltipData, theme, onTogglePin, onFlip
         >
            <span className="text-white text-[10px] font-bold">{displayText}</span>
         </div>
-        {item.depends_on && (
+        {getDependencyKeys(item).length > 0 && (
           <div className="absolute -top-1 -right-1 w-2 h-2 bg-slate-800 rounded-full border border-white" title="Has dependency"></div>
         )}
+        {item.blocked && (
+          <div className="absolute -bottom-1 -left-1 w-3.5 h-3.5 bg-red-600 rounded-full border border-white flex items-center justify-center" title={`Blocked ${item.blocked_days} of ${item.age} days`}>
+            <Ban size={8} className="text-white" strokeWidth={3} />
+          </div>
+        )}
       </a>
     </div>
   );
 };
 
+// A sized 2D context for a canvas covering the chart, cleared, in CSS pixels
+const prepareCanvas = (canvas, size) => {
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.round(size.width * ratio);
+  const height = Math.round(size.height * ratio);
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  const context = canvas.getContext('2d');
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, size.width, size.height);
+  return context;
+};
+
+// One dot as ItemDot draws it; scale > 1 for the hovered dot
+const drawCanvasDot = (context, dot, scale, radius, theme) => {
+  const { item } = dot.layout;
+  const typeConfig = theme.types[item.type] || { color: '#6b7280', borderColor: '#4b5563', borderWidth: 2, icon: '?' };
+  const borderWidth = item.borderWidth !== undefined ? item.borderWidth : (typeConfig.borderWidth ?? 1);
+  const dotRadius = radius * scale;
+
+  context.beginPath();
+  context.arc(dot.x, dot.y, dotRadius + borderWidth / 2, 0, 2 * Math.PI);
+  context.fillStyle = item.color || typeConfig.color;
+  context.fill();
+  if (borderWidth > 0) {
+    context.lineWidth = borderWidth;
+    context.strokeStyle = item.borderColor || typeConfig.borderColor;
+    context.stroke();
+  }
+
+  context.fillStyle = '#ffffff';
+  context.font = `bold ${Math.round(10 * scale)}px sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(item.nickname || item.icon || typeConfig.icon, dot.x, dot.y);
+
+  if (getDependencyKeys(item).length > 0) {
+    context.beginPath();
+    context.arc(dot.x + dotRadius - 2, dot.y - dotRadius + 2, 4, 0, 2 * Math.PI);
+    context.fillStyle = '#1e293b';
+    context.fill();
+    context.lineWidth = 1;
+    context.strokeStyle = '#ffffff';
+    context.stroke();
+  }
+  if (item.blocked) {
+    const x = dot.x - dotRadius + 3;
+    const y = dot.y + dotRadius - 3;
+    context.beginPath();
+    context.arc(x, y, 7, 0, 2 * Math.PI);
+    context.fillStyle = '#dc2626';
+    context.fill();
+    context.lineWidth = 1;
+    context.strokeStyle = '#ffffff';
+    context.stroke();
+    context.lineWidth = 1.5;
+    context.beginPath();
+    context.moveTo(x - 3, y + 3);
+    context.lineTo(x + 3, y - 3);
+    context.stroke();
+  }
+};
+
+// Big boards: one canvas draws every dot and dependency arrow, and one set of
+// handlers on the chart finds the dot under the pointer through a grid index,
+// instead of a DOM node and a keydown listener per item. Dots sit over the
+// columns' plot areas ([data-plot-area]), so the SLE zones still line up. The
+// hovered dot is drawn again on an overlay canvas, so hovering repaints one dot.
+const CanvasLayer = ({ containerRef, layoutMap, lines, showArrows, arrowColor, arrowThickness, theme, linkedItems, setTooltipData, onTogglePin, onFlip, tooltipHideTimeoutRef, isDotHoveredRef, isTooltipHoveredRef }) => {
+  const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const indexRef = useRef({ dots: new Map(), grid: new Map() });
+  const handlersRef = useRef({});
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [hoveredKey, setHoveredKey] = useState(null);
+  const radius = DOT_DIAMETER / 2 - 2; // The w-8 circle
+
+  useEffect(() => {
+    handlersRef.current = { layoutMap, linkedItems, setTooltipData, onTogglePin, onFlip };
+  });
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(() => setSize({ width: container.offsetWidth, height: container.offsetHeight }));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [containerRef]);
+
+  // Place, index and draw
+  useLayoutEffect(() => {
+    const canvas = canvasRef.current;
+    const container = containerRef.current;
+    if (!canvas || !container || size.width === 0) return;
+
+    const base = container.getBoundingClientRect();
+    const plotAreas = new Map();
+    container.querySelectorAll('[data-plot-area]').forEach(element => {
+      const lane = element.closest('[data-lane]')?.dataset.lane ?? '';
+      const rect = element.getBoundingClientRect();
+      plotAreas.set(`${lane}\u0000${element.dataset.plotArea}`, {
+        left: rect.left - base.left,
+        bottom: rect.bottom - base.top,
+        width: rect.width,
+        height: rect.height
+      });
+    });
+
+    const dots = new Map();
+    const grid = new Map();
+    layoutMap.forEach((layout, key) => {
+      const area = plotAreas.get(`${layout.lane ?? ''}\u0000${layout.column}`);
+      if (layout.hidden || !area) {
+        // Collapsed lane: arrows still end on its header
+        dots.set(key, { layout, x: (layout.x / 100) * size.width, y: (1 - layout.y / 100) * size.height, hidden: true });
+        return;
+      }
+      const dot = {
+        layout,
+        x: area.left + (layout.localXPct / 100) * area.width,
+        y: area.bottom - ((layout.localY ?? layout.y) / 100) * area.height
+      };
+      dots.set(key, dot);
+      const cell = `${Math.floor(dot.x / DOT_DIAMETER)},${Math.floor(dot.y / DOT_DIAMETER)}`;
+      if (!grid.has(cell)) grid.set(cell, []);
+      grid.get(cell).push(dot);
+    });
+    indexRef.current = { dots, grid };
+
+    const context = prepareCanvas(canvas, size);
+
+    // Arrows, as dashed as the SVG ones, with the head stopping at the dot's edge
+    context.save();
+    context.globalAlpha = 0.6;
+    context.strokeStyle = arrowColor;
+    context.fillStyle = arrowColor;
+    context.lineWidth = arrowThickness;
+    (showArrows ? lines : []).forEach(({ start, end }) => {
+      const from = start.item ? dots.get(start.item.key) : { x: (start.x / 100) * size.width, y: (1 - start.y / 100) * size.height };
+      const to = dots.get(end.item.key);
+      if (!from || !to) return;
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      if (length === 0) return;
+      const unitX = (to.x - from.x) / length;
+      const unitY = (to.y - from.y) / length;
+      const tipX = to.x - unitX * radius;
+      const tipY = to.y - unitY * radius;
+      const headLength = 5 * arrowThickness;
+      const headWidth = 1.75 * arrowThickness;
+
+      context.setLineDash([4, 2]);
+      context.beginPath();
+      context.moveTo(from.x, from.y);
+      context.lineTo(tipX - unitX * headLength, tipY - unitY * headLength);
+      context.stroke();
+      context.setLineDash([]);
+      context.beginPath();
+      context.moveTo(tipX, tipY);
+      context.lineTo(tipX - unitX * headLength - unitY * headWidth, tipY - unitY * headLength + unitX * headWidth);
+      context.lineTo(tipX - unitX * headLength + unitY * headWidth, tipY - unitY * headLength - unitX * headWidth);
+      context.closePath();
+      context.fill();
+    });
+    context.restore();
+
+    dots.forEach(dot => {
+      if (!dot.hidden) drawCanvasDot(context, dot, 1, radius, theme);
+    });
+  }, [containerRef, layoutMap, lines, showArrows, arrowColor, arrowThickness, theme, size, radius]);
+
+  // The hovered dot grows and comes to the front, as in DOM mode. Runs after
+  // the effect above, so the index already holds this layout's positions.
+  useLayoutEffect(() => {
+    const canvas = overlayRef.current;
+    if (!canvas || size.width === 0) return;
+    const context = prepareCanvas(canvas, size);
+    const dot = hoveredKey ? indexRef.current.dots.get(hoveredKey) : null;
+    if (dot && !dot.hidden) drawCanvasDot(context, dot, 1.25, radius, theme);
+  }, [layoutMap, theme, size, hoveredKey, radius]);
+
+  // One delegated handler for every dot
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    let currentKey = null;
+
+    const findDot = (e) => {
+      const rect = container.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      const cellX = Math.floor(x / DOT_DIAMETER);
+      const cellY = Math.floor(y / DOT_DIAMETER);
+      let closest = null;
+      let closestDistance = (radius + 2) * (radius + 2);
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          (indexRef.current.grid.get(`${cellX + dx},${cellY + dy}`) || []).forEach(dot => {
+            const distance = (dot.x - x) ** 2 + (dot.y - y) ** 2;
+            if (distance <= closestDistance) {
+              closest = dot;
+              closestDistance = distance;
+            }
+          });
+        }
+      }
+      return closest;
+    };
+
+    const handleMouseMove = (e) => {
+      const dot = findDot(e);
+      const key = dot ? dot.layout.item.key : null;
+      if (key === currentKey) return;
+      currentKey = key;
+      setHoveredKey(key);
+      container.style.cursor = key ? 'pointer' : '';
+      const { layoutMap: layouts, linkedItems: linked, setTooltipData: showTooltip } = handlersRef.current;
+
+      if (dot) {
+        if (tooltipHideTimeoutRef?.current) {
+          clearTimeout(tooltipHideTimeoutRef.current);
+          tooltipHideTimeoutRef.current = null;
+        }
+        if (isDotHoveredRef) isDotHoveredRef.current = true;
+        const rect = container.getBoundingClientRect();
+        showTooltip({
+          item: dot.layout.item,
+          dependencies: resolveDependencies(dot.layout.item, layouts, linked),
+          position: { x: rect.left + dot.x, y: rect.top + dot.y - radius }
+        });
+      } else {
+        if (isDotHoveredRef) isDotHoveredRef.current = false;
+        if (tooltipHideTimeoutRef) {
+          tooltipHideTimeoutRef.current = setTimeout(() => {
+            if (!isDotHoveredRef?.current && !isTooltipHoveredRef?.current) {
+              showTooltip(null);
+            }
+          }, 5);
+        }
+      }
+    };
+
+    const handleMouseLeave = () => handleMouseMove({ clientX: -Infinity, clientY: -Infinity });
+
+    const handleClick = (e) => {
+      const dot = findDot(e);
+      if (dot) window.open(dot.layout.item.url, '_blank', 'noopener,noreferrer');
+    };
+
+    // Card keys for the hovered dot, as ItemDot handles them
+    const handleKeyDown = (e) => {
+      if (!currentKey) return;
+      const target = e.target;
+      if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable) {
+        return;
+      }
+      const { onTogglePin: togglePin, onFlip: flip } = handlersRef.current;
+      if (e.key === 'p' || e.key === 'P') {
+        e.preventDefault();
+        togglePin(currentKey);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        flip(currentKey, null);
+      } else if (e.key === '.') {
+        e.preventDefault();
+        flip(currentKey, '.');
+      } else if (e.key === 'i' || e.key === 'I') {
+        e.preventDefault();
+        flip(currentKey, 'i');
+      }
+    };
+
+    container.addEventListener('mousemove', handleMouseMove);
+    container.addEventListener('mouseleave', handleMouseLeave);
+    container.addEventListener('click', handleClick);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      container.removeEventListener('mousemove', handleMouseMove);
+      container.removeEventListener('mouseleave', handleMouseLeave);
+      container.removeEventListener('click', handleClick);
+      window.removeEventListener('keydown', handleKeyDown);
+      container.style.cursor = '';
+    };
+  }, [containerRef, radius, tooltipHideTimeoutRef, isDotHoveredRef, isTooltipHoveredRef]);
+
+  const canvasStyle = { width: `${size.width}px`, height: `${size.height}px` };
+  return (
+    <>
+      <canvas ref={canvasRef} className="absolute inset-0 pointer-events-none z-20" style={canvasStyle} />
+      <canvas ref={overlayRef} className="absolute inset-0 pointer-events-none z-20" style={canvasStyle} />
+    </>
+  );
+};
+
 const MultiSelect = ({ label, options, selectedValues = [], onChange, isOpen, onToggle, onClose }) => {
   const containerRef = useRef(null);
 
@@ -739,7 +1288,7 @@ const MultiSelect = ({ label, options, selectedValues = [], onChange, isOpen, on
   );
 };
 
-const FilterBar = ({ config, columns, activeFilters, onFilterChange, dependencyConfig, showArrows, setShowArrows, showSLEZones, setShowSLEZones, showSLEValues, setShowSLEValues, useTypeColorForCards, setUseTypeColorForCards }) => {
+const FilterBar = ({ config, columns, activeFilters, onFilterChange, dependencyConfig, showArrows, setShowArrows, showSLEZones, setShowSLEZones, showSLEValues, setShowSLEValues, useTypeColorForCards, setUseTypeColorForCards, showTimeInStatus, setShowTimeInStatus, swimlane, setSwimlane, swimlaneOptions, dotOrder, setDotOrder, renderMode, setRenderMode, showToggles = true }) => {
   const [openDropdown, setOpenDropdown] = useState(null);
 
   if (!config.enabled) return null;
@@ -781,68 +1330,870 @@ const FilterBar = ({ config, columns, activeFilters, onFilterChange, dependencyC
         <X size={12} /> Clear Filters
       </button>
 
-      {dependencyConfig.show_toggle && (
-         <div className="flex items-center gap-2 ml-4 pl-4 border-l border-slate-200">
-           <label className="flex items-center cursor-pointer relative">
-             <input 
-               type="checkbox" 
-               name="show-dependencies"
-               checked={showArrows} 
-               onChange={() => setShowArrows(!showArrows)} 
-               className="sr-only peer" 
-             />
-             <div className="w-9 h-5 bg-slate-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-4 after:w-4 after:transition-all peer-checked:bg-blue-600"></div>
-             <span className="ml-2 text-sm text-slate-600 font-medium flex items-center gap-1">
-                Show [D]ependencies <ArrowRight size={14} className="text-slate-400"/>
-             </span>
-           </label>
-         </div>
-      )}
+      {showToggles && dependencyConfig.show_toggle && (
+         <div className="flex items-center gap-2 ml-4 pl-4 border-l border-slate-200">
+           <label className="flex items-center cursor-pointer relative">
+             <input 
+               type="checkbox" 
+               name="show-dependencies"
+               checked={showArrows} 
+               onChange={() => setShowArrows(!showArrows)} 
+               className="sr-only peer" 
+             />
+             <div className="w-9 h-5 bg-slate-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-4 after:w-4 after:transition-all peer-checked:bg-blue-600"></div>
+             <span className="ml-2 text-sm text-slate-600 font-medium flex items-center gap-1">
+                Show [D]ependencies <ArrowRight size={14} className="text-slate-400"/>
+             </span>
+           </label>
+         </div>
+      )}
+
+      {showToggles && (
+        <>
+          <div className="flex items-center gap-2 ml-4 pl-4 border-l border-slate-200">
+            <label className="flex items-center cursor-pointer relative">
+              <input 
+                type="checkbox" 
+                name="show-sle-zones"
+                checked={showSLEZones} 
+                onChange={() => setShowSLEZones(!showSLEZones)} 
+                className="sr-only peer" 
+              />
+              <div className="w-9 h-5 bg-slate-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-4 after:w-4 after:transition-all peer-checked:bg-blue-600"></div>
+              <span className="ml-2 text-sm text-slate-600 font-medium">
+                Show SLE [Z]ones
+              </span>
+            </label>
+        
+            <label className="flex items-center cursor-pointer relative ml-4">
+              <input 
+                type="checkbox" 
+                name="show-sle-values"
+                checked={showSLEValues} 
+                onChange={() => setShowSLEValues(!showSLEValues)} 
+                className="sr-only peer" 
+              />
+              <div className="w-9 h-5 bg-slate-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-4 after:w-4 after:transition-all peer-checked:bg-blue-600"></div>
+              <span className="ml-2 text-sm text-slate-600 font-medium">
+                Show SLE [V]alues
+              </span>
+            </label>
+          </div>
+
+          <div className="flex items-center gap-2 ml-4 pl-4 border-l border-slate-200">
+            <label className="flex items-center cursor-pointer relative">
+              <input 
+                type="checkbox" 
+                name="use-type-color-for-cards"
+                checked={useTypeColorForCards} 
+                onChange={() => setUseTypeColorForCards(!useTypeColorForCards)} 
+                className="sr-only peer" 
+              />
+              <div className="w-9 h-5 bg-slate-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-4 after:w-4 after:transition-all peer-checked:bg-blue-600"></div>
+              <span className="ml-2 text-sm text-slate-600 font-medium">
+                [C]ard Color: {useTypeColorForCards ? 'Type' : 'SLE'}
+              </span>
+            </label>
+          </div>
+
+          <div className="flex items-center gap-2 ml-4 pl-4 border-l border-slate-200">
+            <label className="flex items-center cursor-pointer relative">
+              <input 
+                type="checkbox" 
+                name="show-time-in-status"
+                checked={showTimeInStatus} 
+                onChange={() => setShowTimeInStatus(!showTimeInStatus)} 
+                className="sr-only peer" 
+              />
+              <div className="w-9 h-5 bg-slate-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-4 after:w-4 after:transition-all peer-checked:bg-blue-600"></div>
+              <span className="ml-2 text-sm text-slate-600 font-medium">
+                [Y]-Axis: {showTimeInStatus ? 'Time in Status' : 'Age'}
+              </span>
+            </label>
+          </div>
+
+          {swimlaneOptions && (
+            <div className="flex items-center gap-2 ml-4 pl-4 border-l border-slate-200">
+              <label className="text-sm text-slate-600 font-medium flex items-center gap-2">
+                Swimlanes
+                <select
+                  name="swimlanes"
+                  value={swimlane}
+                  onChange={(e) => setSwimlane(e.target.value)}
+                  className="border border-slate-300 rounded-md px-2 py-1 text-sm text-slate-600 bg-white"
+                >
+                  {Object.entries(swimlaneOptions).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+
+          {setDotOrder && (
+            <div className="flex items-center gap-2 ml-4 pl-4 border-l border-slate-200">
+              <label className="text-sm text-slate-600 font-medium flex items-center gap-2" title="Dots sit at their age and move sideways to stay clear of each other">
+                Dot order
+                <select
+                  name="dot-order"
+                  value={dotOrder}
+                  onChange={(e) => setDotOrder(e.target.value)}
+                  className="border border-slate-300 rounded-md px-2 py-1 text-sm text-slate-600 bg-white"
+                >
+                  {Object.entries(DOT_ORDERS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+
+          {setRenderMode && (
+            <div className="flex items-center gap-2 ml-4 pl-4 border-l border-slate-200">
+              <label className="text-sm text-slate-600 font-medium flex items-center gap-2" title={`Auto draws on a canvas above ${CANVAS_ITEM_THRESHOLD} visible items`}>
+                Rendering
+                <select
+                  name="render-mode"
+                  value={renderMode}
+                  onChange={(e) => setRenderMode(e.target.value)}
+                  className="border border-slate-300 rounded-md px-2 py-1 text-sm text-slate-600 bg-white"
+                >
+                  {Object.entries(RENDER_MODES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const TimelineSlider = ({ snapshots, index, onChange, isPlaying, onTogglePlay }) => {
+  const lastIndex = snapshots.length - 1;
+  const snapshot = snapshots[index];
+
+  return (
+    <div className="mb-4 p-4 bg-white border border-slate-200 rounded-lg flex items-center gap-4">
+      <button
+        onClick={onTogglePlay}
+        className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+        title={isPlaying ? 'Pause' : 'Play'}
+      >
+        {isPlaying ? <Pause size={14} /> : <Play size={14} />}
+        {isPlaying ? 'Pause' : 'Play'}
+      </button>
+
+      <button
+        onClick={() => onChange(Math.max(0, index - 1))}
+        disabled={index === 0}
+        className="p-1 rounded text-slate-600 hover:bg-slate-100 disabled:text-slate-300 disabled:cursor-not-allowed"
+        title="Previous snapshot ([)"
+      >
+        <ChevronLeft size={16} />
+      </button>
+
+      <input
+        type="range"
+        name="snapshot"
+        min={0}
+        max={lastIndex}
+        value={index}
+        onChange={(e) => onChange(parseInt(e.target.value))}
+        className="flex-1 accent-blue-600"
+      />
+
+      <button
+        onClick={() => onChange(Math.min(lastIndex, index + 1))}
+        disabled={index === lastIndex}
+        className="p-1 rounded text-slate-600 hover:bg-slate-100 disabled:text-slate-300 disabled:cursor-not-allowed"
+        title="Next snapshot (])"
+      >
+        <ChevronRight size={16} />
+      </button>
+
+      <span className="text-sm font-mono text-slate-700 min-w-[6rem] text-right">{snapshot.date}</span>
+      <span className="text-xs text-slate-400">{index + 1} / {snapshots.length}</span>
+    </div>
+  );
+};
+
+// Recompute SLEs in the browser over another window or percentile list, from
+// the chart's sle_exits; null explorer means the SLEs as generated
+const SleExplorer = ({ explorer, onChange, definition }) => {
+  const generatedPercentiles = definition?.percentiles || DEFAULT_PERCENTILES;
+  const window = explorer?.window || { days: 90 };
+  const [percentileText, setPercentileText] = useState((explorer?.percentiles || generatedPercentiles).join(','));
+  const [countText, setCountText] = useState(String(window.count || 50));
+
+  const update = (changes) => onChange({
+    window: window,
+    percentiles: explorer?.percentiles || generatedPercentiles,
+    ...changes
+  });
+
+  const handlePercentilesChange = (text) => {
+    setPercentileText(text);
+    const values = text.split(',').map(value => parseInt(value.trim()));
+    if (values.length > 0 && values.every(value => value >= 1 && value <= 99)) {
+      update({ percentiles: Array.from(new Set(values)).sort((a, b) => a - b) });
+    }
+  };
+
+  const handleCountChange = (text) => {
+    setCountText(text);
+    const count = parseInt(text);
+    if (count >= 1) update({ window: { count } });
+  };
+
+  const presetIndex = window.days ? Math.max(0, SLE_WINDOW_PRESETS.indexOf(window.days)) : SLE_WINDOW_PRESETS.indexOf(90);
+
+  return (
+    <div className="mb-4 p-4 bg-white border border-slate-200 rounded-lg flex items-center gap-4 flex-wrap text-sm">
+      <span className="font-semibold text-slate-600">SLE window</span>
+
+      <div className="flex rounded-md border border-slate-300 overflow-hidden">
+        <button
+          onClick={() => update({ window: { days: SLE_WINDOW_PRESETS[presetIndex] } })}
+          className={`px-2 py-1 ${window.days ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-100'}`}
+        >
+          Days
+        </button>
+        <button
+          onClick={() => update({ window: { count: parseInt(countText) || 50 } })}
+          className={`px-2 py-1 ${window.count ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-100'}`}
+        >
+          Last N
+        </button>
+      </div>
+
+      {window.count ? (
+        <input
+          type="number"
+          name="sleWindowCount"
+          min="1"
+          value={countText}
+          onChange={(e) => handleCountChange(e.target.value)}
+          className="w-20 px-2 py-1 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      ) : (
+        <>
+          <input
+            type="range"
+            name="sleWindowDays"
+            min={0}
+            max={SLE_WINDOW_PRESETS.length - 1}
+            value={presetIndex}
+            onChange={(e) => update({ window: { days: SLE_WINDOW_PRESETS[parseInt(e.target.value)] } })}
+            className="w-40 accent-blue-600"
+          />
+          <span className="font-mono text-slate-700 w-12">{window.days}d</span>
+        </>
+      )}
+
+      <label className="flex items-center gap-2 text-slate-600">
+        Percentiles
+        <input
+          type="text"
+          name="slePercentiles"
+          value={percentileText}
+          onChange={(e) => handlePercentilesChange(e.target.value)}
+          className="w-32 px-2 py-1 font-mono border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </label>
+
+      <button
+        onClick={() => {
+          setPercentileText(generatedPercentiles.join(','));
+          onChange(null);
+        }}
+        disabled={!explorer}
+        className="ml-auto px-3 py-1 text-slate-600 border border-slate-300 rounded-md hover:bg-slate-100 disabled:text-slate-300 disabled:cursor-not-allowed"
+      >
+        As generated{definition ? ` (${definition.window})` : ''}
+      </button>
+    </div>
+  );
+};
+
+// Items ranked by the chance they breach their column's SLE; rows pin the item's tooltip.
+// With the Y axis on time in status, risk and age follow it.
+const RISK_SORTS = {
+  risk: (a, b) => a.onTime - b.onTime || a.daysLeft - b.daysLeft,
+  days: (a, b) => a.daysLeft - b.daysLeft || a.onTime - b.onTime,
+  age: (a, b) => b.age - a.age
+};
+
+const getSleRisk = (item, timeInStatus) => (timeInStatus ? item.sle_in_status_risk : item.sle_risk);
+
+const RiskPanel = ({ columns, percentiles, pinnedItems, onSelect, timeInStatus = false }) => {
+  const [sortBy, setSortBy] = useState('risk');
+
+  const rows = columns
+    .flatMap(col => col.items
+      .filter(item => getSleRisk(item, timeInStatus))
+      .map(item => {
+        const { on_time: onTime, days_left: daysLeft } = getSleRisk(item, timeInStatus);
+        const next = daysLeft.findIndex(days => days >= 0);
+        return {
+          item,
+          column: col.name,
+          age: getPlottedAge(item, timeInStatus),
+          onTime,
+          daysLeft: daysLeft[daysLeft.length - 1],
+          nextLabel: next === -1 ? 'breached' : `${daysLeft[next]}d to P${percentiles[next]}`
+        };
+      }))
+    .sort(RISK_SORTS[sortBy]);
+
+  const header = (key, label, className = '') => (
+    <th className={`py-1 font-semibold ${className}`}>
+      <button
+        onClick={() => setSortBy(key)}
+        className={`hover:text-blue-600 ${sortBy === key ? 'text-blue-600' : 'text-slate-500'}`}
+      >
+        {label}{sortBy === key ? ' ▾' : ''}
+      </button>
+    </th>
+  );
+
+  return (
+    <div className="w-80 shrink-0 bg-white border border-slate-200 rounded-xl shadow-sm p-4">
+      <h2 className="text-lg font-semibold text-slate-800">Breach Risk</h2>
+      <p className="text-xs text-slate-500 mb-3">
+        {timeInStatus
+          ? "Chance each item leaves its column within the column's time-in-status SLE, from how long earlier items stayed"
+          : "Chance each item leaves its column within the column's SLE, from the ages at which earlier items left it"}
+      </p>
+      {rows.length === 0 ? (
+        <p className="text-xs text-slate-500">No items in columns with an SLE.</p>
+      ) : (
+        <div className="max-h-[32rem] overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead className="sticky top-0 bg-white">
+              <tr className="text-left">
+                <th className="py-1 font-semibold text-slate-500">Item</th>
+                {header('age', 'Age')}
+                {header('days', 'Left')}
+                {header('risk', 'On time', 'text-right')}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr
+                  key={row.item.key}
+                  onClick={() => onSelect(row.item.key)}
+                  className={`cursor-pointer border-t border-slate-100 hover:bg-blue-50 ${pinnedItems.has(row.item.key) ? 'bg-blue-50' : ''}`}
+                  title={`${row.item.title} (${row.column})`}
+                >
+                  <td className="py-1 pr-2">
+                    <div className="font-mono text-slate-800">{row.item.key}</div>
+                    <div className="text-[10px] text-slate-400 truncate max-w-[6rem]">{row.column}</div>
+                  </td>
+                  <td className="py-1 font-mono text-slate-600">{row.age}d</td>
+                  <td className={`py-1 font-mono ${row.daysLeft < 0 ? 'text-red-600' : 'text-slate-600'}`}>{row.nextLabel}</td>
+                  <td className={`py-1 text-right font-mono font-medium ${row.onTime < 0.5 ? 'text-red-600' : row.onTime < 0.85 ? 'text-amber-600' : 'text-green-700'}`}>
+                    {Math.round(row.onTime * 100)}%
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const CycleTimeScatterplot = ({ data, activeFilters, onFilterChange }) => {
+  const { title, board_url, features, theme, completed_items } = data;
+  const [tooltipData, setTooltipData] = useState(null);
+  const [flippedCards, setFlippedCards] = useState(new Map());
+  const tooltipHideTimeoutRef = useRef(null);
+  const isDotHoveredRef = useRef(false);
+  const isTooltipHoveredRef = useRef(false);
+
+  const completedItems = useMemo(() => completed_items || [], [completed_items]);
+  const filteredItems = useMemo(() => {
+    return completedItems.filter(item => matchesFilters(item, activeFilters));
+  }, [completedItems, activeFilters]);
+
+  // Percentile lines follow the filtered items
+  const cycleTimes = filteredItems.map(item => item.cycle_time).sort((a, b) => a - b);
+  const percentileLines = cycleTimes.length > 0
+    ? getPercentiles(data).map(percentile => ({
+        percentile,
+        days: Math.ceil(calculatePercentile(cycleTimes, percentile))
+      }))
+    : [];
+
+  const maxCycleTime = Math.max(10, ...cycleTimes, ...percentileLines.map(line => line.days));
+  const maxY = Math.ceil(maxCycleTime / 10) * 10;
+
+  const days = completedItems.map(item => toDayNumber(item.completed_date));
+  const minDay = days.length > 0 ? Math.min(...days) : 0;
+  const maxDay = days.length > 0 ? Math.max(...days) : 0;
+  const daySpan = Math.max(1, maxDay - minDay);
+  // Keep dots off the chart edges
+  const xPct = (dateStr) => 2 + ((toDayNumber(dateStr) - minDay) / daySpan) * 96;
+
+  const handleFlip = (itemKey, flipType) => {
+    setFlippedCards(prev => {
+      const newMap = new Map(prev);
+      if (flipType === null || flipType === undefined || newMap.get(itemKey) === flipType) {
+        newMap.delete(itemKey);
+      } else {
+        newMap.set(itemKey, flipType);
+      }
+      return newMap;
+    });
+  };
+
+  const handleMouseEnter = (e, item) => {
+    if (tooltipHideTimeoutRef.current) {
+      clearTimeout(tooltipHideTimeoutRef.current);
+      tooltipHideTimeoutRef.current = null;
+    }
+    isDotHoveredRef.current = true;
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    setTooltipData({
+      // SmartTooltip shows item.age in its header
+      item: { ...item, age: item.cycle_time },
+      position: { x: rect.left + rect.width / 2, y: rect.top }
+    });
+  };
+
+  const handleMouseLeave = () => {
+    isDotHoveredRef.current = false;
+    tooltipHideTimeoutRef.current = setTimeout(() => {
+      if (!isDotHoveredRef.current && !isTooltipHoveredRef.current) {
+        setTooltipData(null);
+      }
+    }, 5);
+  };
+
+  const tooltipItem = tooltipData?.item;
+  let tooltipColor = null;
+  if (tooltipItem) {
+    const zoneIndex = percentileLines.findIndex(line => tooltipItem.cycle_time <= line.days);
+    tooltipColor = theme.sle_colors[zoneIndex === -1 ? percentileLines.length : zoneIndex] || null;
+  }
+
+  return (
+    <div className="w-full min-h-screen bg-slate-50 p-8 font-sans relative">
+      <div className="mb-6 flex justify-between items-end">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-800">{title}</h1>
+          <p className="text-slate-500">
+            Cycle Time Scatterplot · {filteredItems.length} of {completedItems.length} completed items
+          </p>
+        </div>
+        <div className="flex gap-4 items-center">
+            <a href="/" className="text-sm text-blue-600 hover:text-blue-800 hover:underline flex items-center gap-1">
+              [W] Aging WIP
+            </a> |
+            <a href={board_url} className="text-sm text-blue-600 hover:text-blue-800 hover:underline flex items-center gap-1">
+              [B] Go to Board
+            </a>
+        </div>
+      </div>
+
+      <FilterBar
+        config={features.filters}
+        columns={[{ items: completedItems }]}
+        activeFilters={activeFilters}
+        onFilterChange={onFilterChange}
+        dependencyConfig={features.dependencies}
+        showToggles={false}
+      />
+
+      {completedItems.length === 0 ? (
+        <div className="p-6 bg-white border border-slate-200 rounded-xl text-sm text-slate-500">
+          This data has no completed items. Generate the chart with an SLE JQL query (<code>--sle-jql</code>) to include them.
+        </div>
+      ) : (
+        <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-4 pl-16 pb-12 relative">
+          <div className="absolute -left-8 top-1/2 transform -rotate-90 text-xs font-bold text-slate-400 tracking-wider">
+            CYCLE TIME ({getDayUnit(data)})
+          </div>
+
+          <div className="relative w-full border-l border-b border-slate-300" style={{ height: '600px' }}>
+            {/* Y axis ticks and grid */}
+            {Array.from({ length: 6 }).map((_, i) => {
+              const tick = Math.round(i * (maxY / 5));
+              return (
+                <div key={tick} className="absolute left-0 right-0 h-0" style={{ bottom: `${(tick / maxY) * 100}%` }}>
+                  <div className="absolute left-0 right-0 border-t border-slate-100"></div>
+                  <span className="absolute -left-10 -translate-y-1/2 text-xs text-slate-400 font-mono w-8 text-right">{tick}</span>
+                </div>
+              );
+            })}
+
+            {/* X axis ticks */}
+            {Array.from({ length: 6 }).map((_, i) => {
+              const dayNumber = Math.round(minDay + i * (daySpan / 5));
+              return (
+                <span
+                  key={i}
+                  className="absolute top-full mt-2 -translate-x-1/2 text-xs text-slate-400 font-mono whitespace-nowrap"
+                  style={{ left: `${xPct(fromDayNumber(dayNumber))}%` }}
+                >
+                  {fromDayNumber(dayNumber)}
+                </span>
+              );
+            })}
+
+            {/* Percentile lines */}
+            {percentileLines.map((line, index) => (
+              <div key={line.percentile} className="absolute left-0 right-0 h-0 pointer-events-none z-10" style={{ bottom: `${(line.days / maxY) * 100}%` }}>
+                <div className="absolute left-0 right-0 border-t-2 border-dashed" style={{ borderColor: theme.sle_colors[index + 1] || '#94a3b8' }}></div>
+                <span className="absolute right-1 -translate-y-full px-1.5 py-0.5 text-xs font-medium text-slate-700 bg-white/80 rounded">
+                  {line.percentile}% - {line.days}d
+                </span>
+              </div>
+            ))}
+
+            {/* Completed items */}
+            {filteredItems.map(item => {
+              const typeConfig = theme.types[item.type] || { color: '#6b7280', borderColor: '#4b5563' };
+              return (
+                <a
+                  key={item.key}
+                  href={item.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="absolute w-3.5 h-3.5 rounded-full -translate-x-1/2 translate-y-1/2 z-20 hover:scale-150 transition-transform"
+                  style={{
+                    left: `${xPct(item.completed_date)}%`,
+                    bottom: `${(Math.min(item.cycle_time, maxY) / maxY) * 100}%`,
+                    backgroundColor: item.color || typeConfig.color,
+                    border: `1px solid ${item.borderColor || typeConfig.borderColor || typeConfig.color}`,
+                    opacity: 0.85
+                  }}
+                  onMouseEnter={(e) => handleMouseEnter(e, item)}
+                  onMouseLeave={handleMouseLeave}
+                ></a>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {tooltipItem && (
+        <SmartTooltip
+          key={`scatter-${tooltipItem.key}`}
+          item={tooltipItem}
+          dependencies={[]}
+          position={tooltipData.position}
+          theme={theme}
+          isPinned={false}
+          onTogglePin={() => {}}
+          onUpdatePosition={null}
+          useTypeColor={true}
+          sleColor={tooltipColor}
+          columnName={`Done on ${tooltipItem.completed_date}`}
+          flipType={flippedCards.get(tooltipItem.key)}
+          onFlip={handleFlip}
+          tooltipHideTimeoutRef={tooltipHideTimeoutRef}
+          isTooltipHoveredRef={isTooltipHoveredRef}
+          setTooltipData={setTooltipData}
+        />
+      )}
+    </div>
+  );
+};
+
+const ForecastPanel = ({ forecast }) => {
+  const { reference_date, throughput, simulations, confidences } = forecast;
+  const [targetDate, setTargetDate] = useState(forecast.how_many?.target_date || fromDayNumber(toDayNumber(reference_date) + 14));
+  const [itemCount, setItemCount] = useState(forecast.when?.items || 10);
+
+  const dailyCounts = useMemo(() => throughput.map(day => day.count), [throughput]);
+  const totalCompleted = dailyCounts.reduce((sum, count) => sum + count, 0);
+  const maxCount = Math.max(1, ...dailyCounts);
+  const averagePerDay = dailyCounts.length > 0 ? totalCompleted / dailyCounts.length : 0;
+
+  // Reuse the results from the payload until the inputs change
+  const howManyResults = useMemo(() => {
+    if (forecast.how_many && forecast.how_many.target_date === targetDate) {
+      return forecast.how_many.results;
+    }
+    const days = /^\d{4}-\d{2}-\d{2}$/.test(targetDate) ? toDayNumber(targetDate) - toDayNumber(reference_date) : 0;
+    if (days <= 0) return null;
+
+    const totals = simulateItemsByDate(dailyCounts, days, simulations);
+    return confidences.map(confidence => ({
+      confidence,
+      items: Math.floor(calculatePercentile(totals, 100 - confidence))
+    }));
+  }, [forecast, targetDate, reference_date, dailyCounts, simulations, confidences]);
+
+  const whenResults = useMemo(() => {
+    if (forecast.when && forecast.when.items === itemCount) {
+      return forecast.when.results;
+    }
+    if (!(itemCount > 0) || totalCompleted === 0) return null;
+
+    const durations = simulateDaysToFinish(dailyCounts, itemCount, simulations);
+    return confidences.map(confidence => {
+      const days = Math.ceil(calculatePercentile(durations, confidence));
+      return { confidence, days, date: fromDayNumber(toDayNumber(reference_date) + days) };
+    });
+  }, [forecast, itemCount, reference_date, dailyCounts, totalCompleted, simulations, confidences]);
+
+  return (
+    <div className="w-80 shrink-0 bg-white border border-slate-200 rounded-xl shadow-sm p-4 space-y-5">
+      <div>
+        <h2 className="text-lg font-semibold text-slate-800">Forecast</h2>
+        <p className="text-xs text-slate-500">
+          {simulations.toLocaleString()} Monte Carlo simulations from {throughput.length} days of throughput
+        </p>
+      </div>
+
+      {/* Throughput run chart */}
+      <div>
+        <div className="flex justify-between items-baseline mb-1">
+          <h3 className="text-sm font-semibold text-slate-600">Throughput</h3>
+          <span className="text-xs text-slate-500">{totalCompleted} items · {averagePerDay.toFixed(1)}/day</span>
+        </div>
+        <div className="relative h-24 flex items-end gap-px border-b border-slate-300">
+          {throughput.map(day => (
+            <div
+              key={day.date}
+              className="flex-1 bg-blue-400 hover:bg-blue-600 min-w-px"
+              style={{ height: `${(day.count / maxCount) * 100}%` }}
+              title={`${day.date}: ${day.count}`}
+            ></div>
+          ))}
+          <div
+            className="absolute left-0 right-0 border-t border-dashed border-slate-500 pointer-events-none"
+            style={{ bottom: `${(averagePerDay / maxCount) * 100}%` }}
+          ></div>
+        </div>
+        <div className="flex justify-between text-[10px] text-slate-400 font-mono mt-1">
+          <span>{throughput[0]?.date}</span>
+          <span>{throughput[throughput.length - 1]?.date}</span>
+        </div>
+      </div>
+
+      {/* How many items by a date */}
+      <div>
+        <label className="block text-sm font-semibold text-slate-600 mb-1">How many items by</label>
+        <input
+          type="date"
+          value={targetDate}
+          min={fromDayNumber(toDayNumber(reference_date) + 1)}
+          onChange={(e) => setTargetDate(e.target.value)}
+          className="w-full px-2 py-1 text-sm border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {howManyResults ? (
+          <ul className="mt-2 space-y-1">
+            {howManyResults.map(result => (
+              <li key={result.confidence} className="flex justify-between text-sm">
+                <span className="text-slate-500">{result.confidence}% confidence</span>
+                <span className="font-medium text-slate-800">{result.items} or more</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="mt-2 text-xs text-slate-500">Pick a date after {reference_date}.</p>
+        )}
+      </div>
+
+      {/* When will N items be done */}
+      <div>
+        <label className="block text-sm font-semibold text-slate-600 mb-1">When will these items be done</label>
+        <input
+          type="number"
+          min="1"
+          value={itemCount}
+          onChange={(e) => setItemCount(parseInt(e.target.value) || 0)}
+          className="w-full px-2 py-1 text-sm border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {whenResults ? (
+          <ul className="mt-2 space-y-1">
+            {whenResults.map(result => (
+              <li key={result.confidence} className="flex justify-between text-sm">
+                <span className="text-slate-500">{result.confidence}% confidence</span>
+                <span className="font-medium text-slate-800">{result.date} ({result.days}d)</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="mt-2 text-xs text-slate-500">
+            {totalCompleted === 0 ? 'Nothing was finished in the throughput window.' : 'Enter a number of items.'}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const CFD_COLORS = {
+  new: ['#cbd5e1', '#94a3b8', '#e2e8f0'],
+  indeterminate: ['#60a5fa', '#fbbf24', '#f472b6', '#a78bfa', '#fb923c', '#2dd4bf'],
+  done: ['#22c55e', '#16a34a', '#86efac'],
+  unknown: ['#9ca3af', '#6b7280'] // Statuses without a category
+};
+const CFD_RATE_WINDOW = 7; // days averaged for the hover readout rates
+const CFD_WIDTH = 1000;
+const CFD_HEIGHT = 500;
+
+const CumulativeFlowDiagram = ({ data }) => {
+  const { title, board_url, cfd } = data;
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const layers = useMemo(() => {
+    if (!cfd || cfd.days.length === 0) return [];
+
+    const usedByCategory = {};
+    return cfd.columns.map((column, columnIndex) => {
+      const palette = CFD_COLORS[column.category] || CFD_COLORS.unknown;
+      const used = usedByCategory[column.category] || 0;
+      usedByCategory[column.category] = used + 1;
+
+      // First column on top, done at the bottom
+      const upper = cfd.days.map(day => day.counts.slice(columnIndex).reduce((sum, count) => sum + count, 0));
+      const lower = cfd.days.map(day => day.counts.slice(columnIndex + 1).reduce((sum, count) => sum + count, 0));
+      return { ...column, color: palette[used % palette.length], upper, lower };
+    });
+  }, [cfd]);
+
+  const header = (
+    <div className="mb-6 flex justify-between items-end">
+      <div>
+        <h1 className="text-2xl font-bold text-slate-800">{title}</h1>
+        <p className="text-slate-500">
+          Cumulative Flow{cfd ? ` · ${cfd.from} to ${cfd.to}` : ''}
+        </p>
+      </div>
+      <div className="flex gap-4 items-center">
+          <a href="/" className="text-sm text-blue-600 hover:text-blue-800 hover:underline flex items-center gap-1">
+            [W] Aging WIP
+          </a> |
+          <a href={board_url} className="text-sm text-blue-600 hover:text-blue-800 hover:underline flex items-center gap-1">
+            [B] Go to Board
+          </a>
+      </div>
+    </div>
+  );
+
+  if (layers.length === 0) {
+    return (
+      <div className="w-full min-h-screen bg-slate-50 p-8 font-sans relative">
+        {header}
+        <div className="p-6 bg-white border border-slate-200 rounded-xl text-sm text-slate-500">
+          This data has no cumulative flow. Generate the chart with <code>--cfd 60d</code> (or a CFD window on the Jira Config page) to include it.
+        </div>
+      </div>
+    );
+  }
+
+  const days = cfd.days;
+  const maxY = Math.max(1, ...layers[0].upper);
+  const x = (index) => days.length === 1 ? CFD_WIDTH / 2 : (index / (days.length - 1)) * CFD_WIDTH;
+  const y = (value) => CFD_HEIGHT - (value / maxY) * CFD_HEIGHT;
+
+  const areaPath = (layer) => {
+    const top = layer.upper.map((value, index) => `${x(index)},${y(value)}`);
+    const bottom = layer.lower.map((value, index) => `${x(index)},${y(value)}`).reverse();
+    return `M${top.join(' L')} L${bottom.join(' L')} Z`;
+  };
+
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    setHoverIndex(Math.round(ratio * (days.length - 1)));
+  };
+
+  // Readout for the hovered day, trailing averages smooth out single busy days
+  const activeIndex = hoverIndex !== null ? hoverIndex : days.length - 1;
+  const activeDay = days[activeIndex];
+  const recentDays = days.slice(Math.max(0, activeIndex - CFD_RATE_WINDOW + 1), activeIndex + 1);
+  const average = (field) => recentDays.reduce((sum, day) => sum + day[field], 0) / recentDays.length;
+  const arrivalRate = average('arrivals');
+  const departureRate = average('departures');
+  // Little's Law: average cycle time = average WIP / average throughput
+  const approxCycleTime = departureRate > 0 ? average('wip') / departureRate : null;
+
+  return (
+    <div className="w-full min-h-screen bg-slate-50 p-8 font-sans relative">
+      {header}
+
+      <div className="flex gap-4 items-start">
+        <div className="flex-1 min-w-0 bg-white border border-slate-200 rounded-xl shadow-sm p-4 pl-16 pb-12 relative">
+          <div className="absolute -left-2 top-1/2 transform -rotate-90 text-xs font-bold text-slate-400 tracking-wider">
+            ITEMS
+          </div>
+
+          <div
+            className="relative w-full border-l border-b border-slate-300"
+            style={{ height: `${CFD_HEIGHT}px` }}
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setHoverIndex(null)}
+          >
+            {Array.from({ length: 6 }).map((_, i) => {
+              const tick = Math.round(i * (maxY / 5));
+              return (
+                <span key={i} className="absolute -left-10 w-8 text-right translate-y-1/2 text-xs text-slate-400 font-mono" style={{ bottom: `${(tick / maxY) * 100}%` }}>
+                  {tick}
+                </span>
+              );
+            })}
+
+            {[0, Math.floor((days.length - 1) / 2), days.length - 1].map((index, i) => (
+              <span
+                key={i}
+                className="absolute top-full mt-2 -translate-x-1/2 text-xs text-slate-400 font-mono whitespace-nowrap"
+                style={{ left: `${(x(index) / CFD_WIDTH) * 100}%` }}
+              >
+                {days[index].date}
+              </span>
+            ))}
 
-      <div className="flex items-center gap-2 ml-4 pl-4 border-l border-slate-200">
-        <label className="flex items-center cursor-pointer relative">
-          <input 
-            type="checkbox" 
-            name="show-sle-zones"
-            checked={showSLEZones} 
-            onChange={() => setShowSLEZones(!showSLEZones)} 
-            className="sr-only peer" 
-          />
-          <div className="w-9 h-5 bg-slate-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-4 after:w-4 after:transition-all peer-checked:bg-blue-600"></div>
-          <span className="ml-2 text-sm text-slate-600 font-medium">
-            Show SLE [Z]ones
-          </span>
-        </label>
-        
-        <label className="flex items-center cursor-pointer relative ml-4">
-          <input 
-            type="checkbox" 
-            name="show-sle-values"
-            checked={showSLEValues} 
-            onChange={() => setShowSLEValues(!showSLEValues)} 
-            className="sr-only peer" 
-          />
-          <div className="w-9 h-5 bg-slate-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-4 after:w-4 after:transition-all peer-checked:bg-blue-600"></div>
-          <span className="ml-2 text-sm text-slate-600 font-medium">
-            Show SLE [V]alues
-          </span>
-        </label>
-      </div>
+            <svg className="absolute inset-0 w-full h-full" viewBox={`0 0 ${CFD_WIDTH} ${CFD_HEIGHT}`} preserveAspectRatio="none">
+              {layers.map(layer => (
+                <path key={layer.name} d={areaPath(layer)} fill={layer.color} stroke="white" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+              ))}
+            </svg>
 
-      <div className="flex items-center gap-2 ml-4 pl-4 border-l border-slate-200">
-        <label className="flex items-center cursor-pointer relative">
-          <input 
-            type="checkbox" 
-            name="use-type-color-for-cards"
-            checked={useTypeColorForCards} 
-            onChange={() => setUseTypeColorForCards(!useTypeColorForCards)} 
-            className="sr-only peer" 
-          />
-          <div className="w-9 h-5 bg-slate-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-4 after:w-4 after:transition-all peer-checked:bg-blue-600"></div>
-          <span className="ml-2 text-sm text-slate-600 font-medium">
-            [C]ard Color: {useTypeColorForCards ? 'Type' : 'SLE'}
-          </span>
-        </label>
+            {hoverIndex !== null && (
+              <div className="absolute top-0 bottom-0 border-l border-slate-700 pointer-events-none" style={{ left: `${(x(hoverIndex) / CFD_WIDTH) * 100}%` }}></div>
+            )}
+          </div>
+        </div>
+
+        <div className="w-72 shrink-0 bg-white border border-slate-200 rounded-xl shadow-sm p-4 space-y-4">
+          <div>
+            <h2 className="text-lg font-semibold text-slate-800">{activeDay.date}</h2>
+            <p className="text-xs text-slate-500">Rates averaged over the last {recentDays.length} days</p>
+          </div>
+
+          <ul className="space-y-1 text-sm">
+            <li className="flex justify-between"><span className="text-slate-500">WIP</span><span className="font-medium text-slate-800">{activeDay.wip}</span></li>
+            <li className="flex justify-between"><span className="text-slate-500">Arrival rate</span><span className="font-medium text-slate-800">{arrivalRate.toFixed(1)}/day</span></li>
+            <li className="flex justify-between"><span className="text-slate-500">Departure rate</span><span className="font-medium text-slate-800">{departureRate.toFixed(1)}/day</span></li>
+            <li className="flex justify-between">
+              <span className="text-slate-500">Approx. cycle time</span>
+              <span className="font-medium text-slate-800">{approxCycleTime !== null ? `${approxCycleTime.toFixed(1)} days` : '—'}</span>
+            </li>
+          </ul>
+
+          <ul className="space-y-1 text-sm border-t pt-3">
+            {layers.map((layer, index) => (
+              <li key={layer.name} className="flex justify-between items-center">
+                <span className="flex items-center gap-2 text-slate-700">
+                  <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: layer.color }}></span>
+                  {layer.name}
+                </span>
+                <span className="font-mono text-slate-800">{activeDay.counts[index]}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
       </div>
     </div>
   );
@@ -926,7 +2277,34 @@ export default function App() {
   const [jsonError, setJsonError] = useState(null);
   const [columnWidths, setColumnWidths] = useState({}); // Track width multiplier per column
 
-  const { title, subtitle, max_days, columns, board_url, features, theme } = data;
+  const { title, max_days, board_url, features, theme: dataTheme, snapshots, forecast, total_wip_limit, sle_segments, sle_confidence, linked_items = {} } = data;
+
+  // Time travel: when the data carries snapshots, the chart shows one of them (null = latest)
+  const [snapshotIndex, setSnapshotIndex] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const hasSnapshots = Array.isArray(snapshots) && snapshots.length > 0;
+  const activeSnapshotIndex = hasSnapshots ? Math.min(snapshotIndex ?? snapshots.length - 1, snapshots.length - 1) : null;
+  const activeSnapshot = hasSnapshots ? snapshots[activeSnapshotIndex] : null;
+  const snapshotColumns = activeSnapshot ? activeSnapshot.columns : data.columns;
+
+  // SLE explorer: live SLEs for another window or percentile list (null = as generated)
+  const [sleExplorer, setSleExplorer] = useState(null);
+  const referenceDate = data.sle_definition?.reference_date || forecast?.reference_date;
+  const columns = useMemo(() => (
+    sleExplorer && data.sle_exits && referenceDate
+      ? recomputeColumnSles(snapshotColumns, data.sle_exits, sleExplorer, referenceDate)
+      : snapshotColumns
+  ), [sleExplorer, data.sle_exits, referenceDate, snapshotColumns]);
+  const percentiles = sleExplorer ? sleExplorer.percentiles : getPercentiles(data);
+  const theme = useMemo(() => (
+    sleExplorer ? { ...dataTheme, sle_colors: fitSleColors(dataTheme.sle_colors, sleExplorer.percentiles.length + 1) } : dataTheme
+  ), [sleExplorer, dataTheme]);
+  const subtitle = activeSnapshot ? activeSnapshot.subtitle : data.subtitle;
+
+  // Filter options cover every snapshot so they don't change while the timeline plays
+  const filterColumns = useMemo(() => {
+    return hasSnapshots ? snapshots.flatMap(snapshot => snapshot.columns) : data.columns;
+  }, [hasSnapshots, snapshots, data.columns]);
   const [tooltipData, setTooltipData] = useState(null);
   const tooltipHideTimeoutRef = useRef(null);
   const isDotHoveredRef = useRef(false);
@@ -942,7 +2320,7 @@ export default function App() {
       console.error('Failed to load pinned items:', e);
     }
     return new Map();
-  }); // Map<itemKey, {item, dependency, position}>
+  }); // Map<itemKey, {item, dependencies, position}>
   const [activeFilters, setActiveFilters] = useState({});
   
   // Load toggle states from localStorage
@@ -981,9 +2359,59 @@ export default function App() {
       return true;
     }
   });
+  const [showForecast, setShowForecast] = useState(() => {
+    try {
+      const stored = localStorage.getItem('showForecast');
+      return stored !== null ? JSON.parse(stored) : true;
+    } catch {
+      return true;
+    }
+  });
+  const [showRiskPanel, setShowRiskPanel] = useState(() => {
+    try {
+      const stored = localStorage.getItem('showRiskPanel');
+      return stored !== null ? JSON.parse(stored) : true;
+    } catch {
+      return true;
+    }
+  });
+  const [showTimeInStatus, setShowTimeInStatus] = useState(() => {
+    try {
+      const stored = localStorage.getItem('showTimeInStatus');
+      return stored !== null ? JSON.parse(stored) : false;
+    } catch {
+      return false;
+    }
+  });
+  const [swimlane, setSwimlane] = useState(() => {
+    try {
+      const stored = localStorage.getItem('swimlane');
+      return stored !== null ? JSON.parse(stored) : (data.swimlanes?.by || 'none');
+    } catch {
+      return data.swimlanes?.by || 'none';
+    }
+  });
+  const [collapsedLanes, setCollapsedLanes] = useState(new Set());
+  const [renderMode, setRenderMode] = useState(() => {
+    try {
+      const stored = localStorage.getItem('renderMode');
+      return stored !== null && RENDER_MODES[JSON.parse(stored)] ? JSON.parse(stored) : 'auto';
+    } catch {
+      return 'auto';
+    }
+  });
+  const [dotOrder, setDotOrder] = useState(() => {
+    try {
+      const stored = localStorage.getItem('dotOrder');
+      return stored !== null && DOT_ORDERS[JSON.parse(stored)] ? JSON.parse(stored) : 'age';
+    } catch {
+      return 'age';
+    }
+  });
   const [showKeyboardHelp, setShowKeyboardHelp] = useState(false);
   const [flippedCards, setFlippedCards] = useState(new Map()); // Map<itemKey, flipType>
   const chartContainerRef = useRef(null);
+  const chartContentRef = useRef(null);
 
   // Save pinned items to localStorage
   useEffect(() => {
@@ -1028,9 +2456,88 @@ export default function App() {
     }
   }, [useTypeColorForCards]);
 
+  useEffect(() => {
+    try {
+      localStorage.setItem('showForecast', JSON.stringify(showForecast));
+    } catch (e) {
+      console.error('Failed to save showForecast:', e);
+    }
+  }, [showForecast]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem('showRiskPanel', JSON.stringify(showRiskPanel));
+    } catch (e) {
+      console.error('Failed to save showRiskPanel:', e);
+    }
+  }, [showRiskPanel]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem('showTimeInStatus', JSON.stringify(showTimeInStatus));
+    } catch (e) {
+      console.error('Failed to save showTimeInStatus:', e);
+    }
+  }, [showTimeInStatus]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem('swimlane', JSON.stringify(swimlane));
+    } catch (e) {
+      console.error('Failed to save swimlane:', e);
+    }
+  }, [swimlane]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem('dotOrder', JSON.stringify(dotOrder));
+    } catch (e) {
+      console.error('Failed to save dotOrder:', e);
+    }
+  }, [dotOrder]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem('renderMode', JSON.stringify(renderMode));
+    } catch (e) {
+      console.error('Failed to save renderMode:', e);
+    }
+  }, [renderMode]);
+
   const handleChartGenerated = (chartData) => {
     setData(chartData);
     setJsonInput(JSON.stringify(chartData, null, 2));
+    setSnapshotIndex(null);
+    if (chartData.swimlanes) setSwimlane(chartData.swimlanes.by);
+    setIsPlaying(false);
+  };
+
+  // Advance the timeline while playing
+  useEffect(() => {
+    if (!isPlaying || !hasSnapshots) return;
+
+    const timer = setTimeout(() => {
+      if (activeSnapshotIndex >= snapshots.length - 1) {
+        setIsPlaying(false);
+      } else {
+        setSnapshotIndex(activeSnapshotIndex + 1);
+      }
+    }, SNAPSHOT_PLAYBACK_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [isPlaying, hasSnapshots, snapshots, activeSnapshotIndex]);
+
+  const handleTogglePlay = () => {
+    if (!isPlaying && activeSnapshotIndex >= snapshots.length - 1) {
+      // Restart from the beginning when playing from the end
+      setSnapshotIndex(0);
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  const handleSnapshotChange = (index) => {
+    setIsPlaying(false);
+    setSnapshotIndex(index);
   };
 
   // Inject data as HTML comment
@@ -1052,35 +2559,93 @@ export default function App() {
   const filteredColumns = useMemo(() => {
     return columns.map(col => ({
       ...col,
-      items: col.items.filter(item => {
-        for (const [key, activeValues] of Object.entries(activeFilters)) {
-          // Skip if no filters selected for this category
-          if (!activeValues || activeValues.length === 0) continue;
-
-          let hasMatch = false;
-
-          if (key === 'assignee') {
-            if (activeValues.includes(item.assignee?.name)) hasMatch = true;
-          } else if (key === 'parent') {
-             if (activeValues.includes(item.parent?.title)) hasMatch = true;
-          } else if (key === 'label') {
-            // Check if item has ANY of the selected labels
-            if (item.labels?.some(l => activeValues.includes(l))) hasMatch = true;
-          } else {
-            // Generic check (type, priority, etc)
-            if (activeValues.includes(item[key])) hasMatch = true;
-          }
-
-          if (!hasMatch) return false;
-        }
-        return true;
-      }).sort((a, b) => a.key.localeCompare(b.key)) 
+      items: col.items
+        .filter(item => matchesFilters(item, activeFilters))
+        .sort((a, b) => a.key.localeCompare(b.key)) 
     }));
   }, [columns, activeFilters]);
 
+  const hasSleRisk = columns.some(col => col.items.some(item => getSleRisk(item, showTimeInStatus)));
+
+  // SLE zones switch to the segment's own when the filters pick out a single one
+  const sleSegment = getFilteredSegment(sle_segments, activeFilters);
+
+  // Time in status never exceeds age, so that axis gets its own, shorter scale
+  // (over every snapshot, like the filter options, so it holds still while playing)
+  const plottedMaxDays = useMemo(() => {
+    if (!showTimeInStatus) return max_days;
+    const values = filterColumns.flatMap(col => [
+      ...col.items.map(item => getPlottedAge(item, true)),
+      ...(col.sle_in_status || [])
+    ]);
+    return Math.min(max_days, Math.ceil(Math.max(...values, 30) / 10) * 10);
+  }, [showTimeInStatus, filterColumns, max_days]);
+
+  // Swimlanes: the CLI's dimension (custom fields among them) plus the ones
+  // every item carries
+  const swimlaneOptions = data.swimlanes?.by === 'field'
+    ? { ...SWIMLANE_OPTIONS, field: data.swimlanes.field }
+    : SWIMLANE_OPTIONS;
+  const activeSwimlane = swimlaneOptions[swimlane] ? swimlane : 'none';
+
+  const lanes = useMemo(() => {
+    if (activeSwimlane === 'none') return null;
+    return buildLanes(filteredColumns, activeSwimlane, data.swimlanes, collapsedLanes);
+  }, [filteredColumns, activeSwimlane, data.swimlanes, collapsedLanes]);
+
+  const toggleLane = (name) => {
+    setCollapsedLanes(prev => {
+      const next = new Set(prev);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+      return next;
+    });
+  };
+
+  // Dots are placed over every item, filtered or not, so toggling a filter
+  // only hides dots instead of moving the rest
+  const dotPositions = useMemo(() => {
+    const cells = activeSwimlane === 'none'
+      ? columns
+      : buildLanes(columns, activeSwimlane, data.swimlanes, new Set()).flatMap(lane => lane.columns);
+    const plotHeight = (activeSwimlane === 'none' ? CHART_HEIGHT : LANE_HEIGHT) - COLUMN_HEADER_HEIGHT - COLUMN_FOOTER_HEIGHT;
+    return calculateBeeswarm(cells, plottedMaxDays, plotHeight, columnWidths, showTimeInStatus, dotOrder, theme.priorities);
+  }, [columns, activeSwimlane, data.swimlanes, plottedMaxDays, columnWidths, showTimeInStatus, dotOrder, theme.priorities]);
+
   const layoutMap = useMemo(() => {
-    return calculateLayoutWithWidths(filteredColumns, max_days, columnWidths);
-  }, [filteredColumns, max_days, columnWidths]);
+    return calculateLayoutWithWidths(filteredColumns, plottedMaxDays, columnWidths, showTimeInStatus, lanes, dotPositions);
+  }, [filteredColumns, plottedMaxDays, columnWidths, showTimeInStatus, lanes, dotPositions]);
+
+  const dependencyLines = useMemo(() => collectDependencyLines(layoutMap), [layoutMap]);
+
+  // Big boards draw on a canvas instead of one DOM node per dot
+  const visibleItemCount = filteredColumns.reduce((sum, col) => sum + col.items.length, 0);
+  const useCanvas = renderMode === 'canvas' || (renderMode === 'auto' && visibleItemCount > CANVAS_ITEM_THRESHOLD);
+
+  // Pin an item from its layout coordinates rather than a hovered dot
+  const createPinFromLayout = useCallback((coords) => {
+    // Convert percentage coordinates to pixel position
+    // layoutMap contains percentages, we need absolute pixel positions
+    const chartContainer = document.querySelector('.bg-white.border.border-slate-200.rounded-xl');
+    if (!chartContainer) return null;
+
+    const rect = chartContainer.getBoundingClientRect();
+    const scrollY = window.scrollY || window.pageYOffset;
+    const scrollX = window.scrollX || window.pageXOffset;
+
+    // Calculate pixel position from percentage
+    const pixelX = rect.left + (coords.x / 100) * rect.width;
+    const pixelY = rect.top + ((100 - coords.y) / 100) * rect.height;
+
+    return {
+      item: coords.item,
+      dependencies: resolveDependencies(coords.item, layoutMap, linked_items),
+      position: {
+        x: pixelX + scrollX,
+        y: pixelY + scrollY
+      }
+    };
+  }, [layoutMap, linked_items]);
 
   // Global keyboard shortcuts
   useEffect(() => {
@@ -1104,6 +2669,16 @@ export default function App() {
         return;
       }
       
+      // Scatterplot, CFD and aging chart share the loaded data, so switch without a reload
+      const viewPaths = { s: '/scatterplot', l: '/cfd', w: '/' };
+      if (viewPaths[e.key.toLowerCase()]) {
+        e.preventDefault();
+        const path = viewPaths[e.key.toLowerCase()];
+        window.history.pushState({}, '', path);
+        setCurrentRoute(path);
+        return;
+      }
+      
       if (e.key === '?' || e.key === 'h' || e.key === 'H' || e.key === '/') {
         e.preventDefault();
         setShowKeyboardHelp(true);
@@ -1120,7 +2695,7 @@ export default function App() {
       }
       
       // Chart-only shortcuts
-      if (currentRoute === '/config') {
+      if (currentRoute === '/config' || currentRoute === '/scatterplot' || currentRoute === '/cfd') {
         return;
       }
       
@@ -1143,12 +2718,39 @@ export default function App() {
         return;
       }
       
+      if (e.key === 'f' || e.key === 'F') {
+        e.preventDefault();
+        setShowForecast(!showForecast);
+        return;
+      }
+
+      if (e.key === 'r' || e.key === 'R') {
+        e.preventDefault();
+        setShowRiskPanel(!showRiskPanel);
+        return;
+      }
+      
       if (e.key === 'c' || e.key === 'C') {
         e.preventDefault();
         setUseTypeColorForCards(!useTypeColorForCards);
         return;
       }
       
+      if (e.key === 'y' || e.key === 'Y') {
+        e.preventDefault();
+        setShowTimeInStatus(!showTimeInStatus);
+        return;
+      }
+      
+      // Timeline shortcuts
+      if (hasSnapshots && (e.key === '[' || e.key === ']')) {
+        e.preventDefault();
+        const step = e.key === '[' ? -1 : 1;
+        setIsPlaying(false);
+        setSnapshotIndex(Math.max(0, Math.min(snapshots.length - 1, activeSnapshotIndex + step)));
+        return;
+      }
+      
       // Flip shortcuts - only work when hovering a card
       if (e.key === '.') {
         e.preventDefault();
@@ -1174,34 +2776,10 @@ export default function App() {
         // Get all visible items from layoutMap
         const newPinnedItems = new Map();
         layoutMap.forEach((coords, key) => {
-          const item = coords.item;
-          
-          // Find dependency if exists
-          let dependencyItem = null;
-          if (item.depends_on && layoutMap.has(item.depends_on)) {
-            dependencyItem = layoutMap.get(item.depends_on).item;
-          }
-          
-          // Convert percentage coordinates to pixel position
-          // layoutMap contains percentages, we need absolute pixel positions
-          const chartContainer = document.querySelector('.bg-white.border.border-slate-200.rounded-xl');
-          if (chartContainer) {
-            const rect = chartContainer.getBoundingClientRect();
-            const scrollY = window.scrollY || window.pageYOffset;
-            const scrollX = window.scrollX || window.pageXOffset;
-            
-            // Calculate pixel position from percentage
-            const pixelX = rect.left + (coords.x / 100) * rect.width;
-            const pixelY = rect.top + ((100 - coords.y) / 100) * rect.height;
-            
-            newPinnedItems.set(key, {
-              item: item,
-              dependency: dependencyItem,
-              position: {
-                x: pixelX + scrollX,
-                y: pixelY + scrollY
-              }
-            });
+          if (coords.hidden) return; // In a collapsed swimlane
+          const pin = createPinFromLayout(coords);
+          if (pin) {
+            newPinnedItems.set(key, pin);
           }
         });
         
@@ -1211,7 +2789,7 @@ export default function App() {
     
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [pinnedItems, layoutMap, chartContainerRef, currentRoute, board_url, showKeyboardHelp, showArrows, showSLEZones, showSLEValues, useTypeColorForCards]);
+  }, [pinnedItems, layoutMap, linked_items, chartContainerRef, currentRoute, board_url, showKeyboardHelp, showArrows, showSLEZones, showSLEValues, useTypeColorForCards, showForecast, showRiskPanel, showTimeInStatus, hasSnapshots, snapshots, activeSnapshotIndex, createPinFromLayout]);
 
   const handleColumnClick = (columnName) => {
     setColumnWidths(prev => {
@@ -1228,53 +2806,103 @@ export default function App() {
     // Dynamic refX calculation:
     const markerRefX = 10 + (14 / arrow_thickness);
 
-    const arrows = [];
-    layoutMap.forEach((coords, key) => {
-      const item = coords.item;
-      if (item.depends_on && layoutMap.has(item.depends_on)) {
-        const start = layoutMap.get(item.depends_on); 
-        const end = coords; 
-        const x1 = start.x;
-        const y1 = 100 - start.y;
-        const x2 = end.x;
-        const y2 = 100 - end.y;
-
-        arrows.push(
-          <g key={`${start.item.key}-${end.item.key}`}>
-             <line 
-               x1={`${x1}%`} y1={`${y1}%`} 
-               x2={`${x2}%`} y2={`${y2}%`} 
-               stroke={arrow_color} 
-               strokeWidth={arrow_thickness} 
-               strokeDasharray="4 2"
-               markerEnd="url(#arrowhead)"
-               opacity="0.6"
-             /> 
-          </g>
-        );
-      }
-    });
+    const { lines, stubs } = dependencyLines;
+    const arrows = lines.map(({ key, start, end }) => (
+      <g key={key}>
+         <line 
+           x1={`${start.x}%`} y1={`${100 - start.y}%`} 
+           x2={`${end.x}%`} y2={`${100 - end.y}%`} 
+           stroke={arrow_color} 
+           strokeWidth={arrow_thickness} 
+           strokeDasharray="4 2"
+           markerEnd="url(#arrowhead)"
+           opacity="0.6"
+         /> 
+      </g>
+    ));
 
     return (
-      <svg className="absolute inset-0 w-full h-full pointer-events-none z-10" xmlns="http://www.w3.org/2000/svg">
-        <defs>
-          <marker 
-            id="arrowhead" 
-            markerWidth="10" 
-            markerHeight="7" 
-            refX={markerRefX} 
-            refY="3.5" 
-            orient="auto"
-            markerUnits="strokeWidth"
-          >
-            <polygon points="0 0, 10 3.5, 0 7" fill={arrow_color} />
-          </marker>
-        </defs>
-        {arrows}
-      </svg>
+      <>
+        {/* The canvas draws the lines itself */}
+        {!useCanvas && <svg className="absolute inset-0 w-full h-full pointer-events-none z-10" xmlns="http://www.w3.org/2000/svg">
+          <defs>
+            <marker 
+              id="arrowhead" 
+              markerWidth="10" 
+              markerHeight="7" 
+              refX={markerRefX} 
+              refY="3.5" 
+              orient="auto"
+              markerUnits="strokeWidth"
+            >
+              <polygon points="0 0, 10 3.5, 0 7" fill={arrow_color} />
+            </marker>
+          </defs>
+          {arrows}
+        </svg>}
+        {stubs.map(stub => {
+          const details = linked_items[stub.key] || {};
+          const tooltip = [
+            details.title ? `${stub.key} - ${details.title}` : stub.key,
+            details.status ? `Status: ${details.status}` : 'Not on this board'
+          ].join('\n');
+          return (
+            <a
+              key={`stub-${stub.key}`}
+              href={details.url || undefined}
+              target="_blank"
+              rel="noopener noreferrer"
+              title={tooltip}
+              className="absolute left-0 z-30 transform translate-y-1/2 text-[10px] font-mono font-semibold text-slate-600 bg-white border border-dashed border-slate-400 rounded px-1 whitespace-nowrap hover:border-slate-700"
+              style={{ bottom: `${stub.y}%` }}
+            >
+              {stub.key}
+            </a>
+          );
+        })}
+      </>
     );
   };
 
+  const renderYTicks = (key, style) => (
+    <div key={key} className="absolute left-0 w-12 border-r border-dashed border-slate-200" style={style}>
+       {Array.from({length: 6}).map((_, i) => {
+          const tick = Math.round(i * (plottedMaxDays / 5));
+          return (
+             <div key={tick} className="absolute right-2 transform translate-y-1/2 text-xs text-slate-400 font-mono" style={{ bottom: `${(tick / plottedMaxDays) * 100}%` }}>
+               {tick}
+             </div>
+          );
+       })}
+    </div>
+  );
+
+  const renderStatusColumns = (statusColumns) => statusColumns.map((col, colIndex) => (
+    <StatusColumn 
+        key={colIndex} 
+        columnData={col} 
+        maxDays={plottedMaxDays} 
+        layoutMap={layoutMap}
+        linkedItems={linked_items}
+        setTooltipData={setTooltipData}
+        theme={theme}
+        widthMultiplier={columnWidths[col.name] || 1}
+        onColumnClick={() => handleColumnClick(col.name)}
+        showSLEZones={showSLEZones}
+        showSLEValues={showSLEValues}
+        timeInStatus={showTimeInStatus}
+        sleSegment={sleSegment}
+        sleMinSamples={sle_confidence?.min_samples}
+        percentiles={percentiles}
+        renderDots={!useCanvas}
+        togglePin={togglePin}
+        handleFlip={handleFlip}
+        tooltipHideTimeoutRef={tooltipHideTimeoutRef}
+        isDotHoveredRef={isDotHoveredRef}
+        isTooltipHoveredRef={isTooltipHoveredRef}
+    />
+  ));
+
   const handleFilterChange = (field, newValues) => {
     if (field === 'reset') {
       setActiveFilters({});
@@ -1291,7 +2919,7 @@ export default function App() {
       const scrollX = window.scrollX || window.pageXOffset;
       newMap.set(itemKey, {
         item: itemData.item,
-        dependency: itemData.dependency,
+        dependencies: itemData.dependencies,
         position: {
           x: itemData.position.x + scrollX,
           y: itemData.position.y + scrollY
@@ -1309,6 +2937,20 @@ export default function App() {
     });
   };
 
+  // Risk panel rows toggle the item's pinned tooltip
+  const togglePinFromLayout = (itemKey) => {
+    setPinnedItems(prev => {
+      const newMap = new Map(prev);
+      if (newMap.has(itemKey)) {
+        newMap.delete(itemKey);
+      } else {
+        const pin = layoutMap.has(itemKey) ? createPinFromLayout(layoutMap.get(itemKey)) : null;
+        if (pin) newMap.set(itemKey, pin);
+      }
+      return newMap;
+    });
+  };
+
   const togglePin = (itemKey) => {
     setPinnedItems(prev => {
       const newMap = new Map(prev);
@@ -1319,7 +2961,7 @@ export default function App() {
         const scrollX = window.scrollX || window.pageXOffset;
         newMap.set(itemKey, {
           item: tooltipData.item,
-          dependency: tooltipData.dependency,
+          dependencies: tooltipData.dependencies,
           position: {
             x: tooltipData.position.x + scrollX,
             y: tooltipData.position.y + scrollY
@@ -1330,14 +2972,14 @@ export default function App() {
     });
   };
 
-  // Helper function to get SLE color for an item based on age
+  // Helper function to get SLE color for an item based on the plotted age
   const getSLEColorForItem = (item, columnData) => {
-    if (!columnData.sle || !Array.isArray(columnData.sle)) {
+    const sle = getColumnSLE(columnData, showTimeInStatus, getItemSegment(item, sle_segments));
+    if (!sle || !Array.isArray(sle)) {
       return theme.sle_colors[0] || '#86efac';
     }
     
-    const age = item.age;
-    const sle = columnData.sle;
+    const age = getPlottedAge(item, showTimeInStatus);
     
     // Find which zone the item falls into
     for (let i = 0; i < sle.length; i++) {
@@ -1371,6 +3013,8 @@ export default function App() {
       setActiveFilters({});
       setColumnWidths({});
       setPinnedItems(new Map());
+      setSnapshotIndex(null);
+      setIsPlaying(false);
       setShowArrows(parsedData.features.dependencies.default_visible);
       setShowSLEZones(true);
       setShowSLEValues(true);
@@ -1420,17 +3064,46 @@ export default function App() {
     return <JiraPage onChartGenerated={handleChartGenerated} />;
   }
 
+  if (currentRoute === '/cfd') {
+    return <CumulativeFlowDiagram data={data} />;
+  }
+
+  if (currentRoute === '/scatterplot') {
+    return (
+      <CycleTimeScatterplot
+        data={data}
+        activeFilters={activeFilters}
+        onFilterChange={handleFilterChange}
+      />
+    );
+  }
+
   return (
     <div className="w-full min-h-screen bg-slate-50 p-8 font-sans relative">
       <div className="mb-6 flex justify-between items-end">
         <div>
           <h1 className="text-2xl font-bold text-slate-800">{title}</h1>
-          <p className="text-slate-500">{subtitle}</p>
+          <p className="text-slate-500 flex items-center gap-2">
+            {subtitle}
+            {total_wip_limit && (
+              <WipBadge
+                label="Board WIP"
+                count={filteredColumns.reduce((sum, col) => sum + col.items.length, 0)}
+                limit={getWipLimit(total_wip_limit)}
+              />
+            )}
+          </p>
         </div>
         <div className="flex gap-4 items-center">
             <a href={board_url} className="text-sm text-blue-600 hover:text-blue-800 hover:underline flex items-center gap-1">
               [B] Go to Board
             </a> |
+            <a href="/scatterplot" className="text-sm text-blue-600 hover:text-blue-800 hover:underline flex items-center gap-1">
+              [S] Scatterplot
+            </a> |
+            <a href="/cfd" className="text-sm text-blue-600 hover:text-blue-800 hover:underline flex items-center gap-1">
+              [L] Cumulative Flow
+            </a> |
             <a href="/config" className="text-sm text-green-600 hover:text-green-800 hover:underline flex items-center gap-1">
               [J] Jira Config
             </a> |
@@ -1445,7 +3118,7 @@ export default function App() {
 
       <FilterBar 
         config={features.filters} 
-        columns={columns} 
+        columns={filterColumns} 
         activeFilters={activeFilters}
         onFilterChange={handleFilterChange}
         dependencyConfig={features.dependencies}
@@ -1457,62 +3130,135 @@ export default function App() {
         setShowSLEValues={setShowSLEValues}
         useTypeColorForCards={useTypeColorForCards}
         setUseTypeColorForCards={setUseTypeColorForCards}
+        showTimeInStatus={showTimeInStatus}
+        setShowTimeInStatus={setShowTimeInStatus}
+        swimlane={activeSwimlane}
+        setSwimlane={setSwimlane}
+        swimlaneOptions={swimlaneOptions}
+        dotOrder={dotOrder}
+        setDotOrder={setDotOrder}
+        renderMode={renderMode}
+        setRenderMode={setRenderMode}
       />
 
-      <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-4 pl-12 relative" ref={chartContainerRef} tabIndex={0}>
-        <div className="absolute -left-4 top-1/2 transform -rotate-90 text-xs font-bold text-slate-400 tracking-wider">
-          AGE (DAYS)
-        </div>
-        <div className="absolute left-0 top-[64px] bottom-[40px] w-12 border-r border-dashed border-slate-200">
-           {Array.from({length: 6}).map((_, i) => {
-              const tick = Math.round(i * (max_days / 5));
-              return (
-                 <div key={tick} className="absolute right-2 transform translate-y-1/2 text-xs text-slate-400 font-mono" style={{ bottom: `${(tick / max_days) * 100}%` }}>
-                   {tick}
-                 </div>
-              );
-           })}
-        </div>
+      {data.sle_exits && referenceDate && (
+        <SleExplorer explorer={sleExplorer} onChange={setSleExplorer} definition={data.sle_definition} />
+      )}
+
+      {hasSnapshots && (
+        <TimelineSlider
+          snapshots={snapshots}
+          index={activeSnapshotIndex}
+          onChange={handleSnapshotChange}
+          isPlaying={isPlaying}
+          onTogglePlay={handleTogglePlay}
+        />
+      )}
 
-        {/* CHART HEIGHT: Reduced from 1000px to 800px */}
-        <div className="relative w-full overflow-x-auto overflow-y-visible" style={{ height: '800px' }}>
-            <div className="relative min-w-full w-max h-full overflow-visible">
+      <div className="flex gap-4 items-start">
+        <div className="flex-1 min-w-0 bg-white border border-slate-200 rounded-xl shadow-sm p-4 pl-12 relative" ref={chartContainerRef} tabIndex={0}>
+          <div className="absolute -left-4 top-1/2 transform -rotate-90 text-xs font-bold text-slate-400 tracking-wider">
+            {showTimeInStatus ? 'TIME IN STATUS' : 'AGE'} ({getDayUnit(data)})
+          </div>
+          {lanes ? (
+            // One scale per expanded lane, 16px below the container's top padding
+            lanes.reduce((ticks, lane) => {
+              if (!lane.collapsed) {
+                ticks.elements.push(renderYTicks(lane.name, {
+                  top: `${16 + ticks.top + LANE_HEADER_HEIGHT + COLUMN_HEADER_HEIGHT}px`,
+                  height: `${LANE_HEIGHT - COLUMN_HEADER_HEIGHT - COLUMN_FOOTER_HEIGHT}px`
+                }));
+              }
+              ticks.top += getLaneHeight(lane);
+              return ticks;
+            }, { top: 0, elements: [] }).elements
+          ) : renderYTicks('board', { top: '64px', bottom: '40px' })}
+
+          {/* CHART HEIGHT: Reduced from 1000px to 800px; swimlanes stack their own heights */}
+          <div className="relative w-full overflow-x-auto overflow-y-visible" style={{ height: lanes ? `${lanes.reduce((sum, lane) => sum + getLaneHeight(lane), 0)}px` : `${CHART_HEIGHT}px` }}>
+              <div className="relative min-w-full w-max h-full overflow-visible" ref={chartContentRef}>
                 
-                {/* Layer 1: Columns (Backgrounds) - Z-0 */}
-                <div className="flex w-full h-full relative z-0 overflow-visible">
-                    {filteredColumns
-                        .sort((a, b) => a.order - b.order)
-                        .map((col, colIndex) => (
-                        <StatusColumn 
-                            key={colIndex} 
-                            columnData={col} 
-                            maxDays={max_days} 
-                            layoutMap={layoutMap}
-                            setTooltipData={setTooltipData}
-                            theme={theme}
-                            widthMultiplier={columnWidths[col.name] || 1}
-                            onColumnClick={() => handleColumnClick(col.name)}
-                            showSLEZones={showSLEZones}
-                            showSLEValues={showSLEValues}
-                            togglePin={togglePin}
-                            handleFlip={handleFlip}
-                            tooltipHideTimeoutRef={tooltipHideTimeoutRef}
-                            isDotHoveredRef={isDotHoveredRef}
-                            isTooltipHoveredRef={isTooltipHoveredRef}
-                        />
-                    ))}
-                </div>
+                  {/* Layer 1: Columns (Backgrounds) - Z-0 */}
+                  {lanes ? (
+                    <div className="flex flex-col w-full h-full relative z-0 overflow-visible">
+                      {lanes.map(lane => (
+                        <div key={lane.name} className="border-b border-slate-300 last:border-b-0" data-lane={lane.name}>
+                          <button
+                            onClick={() => toggleLane(lane.name)}
+                            className="sticky left-0 flex items-center gap-2 px-2 text-sm font-semibold text-slate-700 hover:text-blue-600 transition-colors"
+                            style={{ height: `${LANE_HEADER_HEIGHT}px` }}
+                            title={lane.collapsed ? 'Expand lane' : 'Collapse lane'}
+                          >
+                            {lane.collapsed ? <ChevronRight size={16} /> : <ChevronDown size={16} />}
+                            {lane.name}
+                            <span className="text-xs font-mono font-normal text-slate-500">WIP {lane.count}</span>
+                          </button>
+                          {!lane.collapsed && (
+                            <div className="flex w-full relative overflow-visible" style={{ height: `${LANE_HEIGHT}px` }}>
+                              {renderStatusColumns(lane.columns)}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="flex w-full h-full relative z-0 overflow-visible">
+                      {renderStatusColumns(filteredColumns.sort((a, b) => a.order - b.order))}
+                    </div>
+                  )}
 
-                {/* Layer 2: Arrows - Z-10 */}
-                {renderArrows()}
-            </div>
+                  {/* Layer 2: Arrows - Z-10 */}
+                  {renderArrows()}
+
+                  {/* Canvas mode: dots and arrows drawn in one layer - Z-20 */}
+                  {useCanvas && (
+                    <CanvasLayer
+                      containerRef={chartContentRef}
+                      layoutMap={layoutMap}
+                      lines={dependencyLines.lines}
+                      showArrows={showArrows && features.dependencies.enabled}
+                      arrowColor={features.dependencies.arrow_color || '#303030'}
+                      arrowThickness={features.dependencies.arrow_thickness || 2}
+                      theme={theme}
+                      linkedItems={linked_items}
+                      setTooltipData={setTooltipData}
+                      onTogglePin={togglePin}
+                      onFlip={handleFlip}
+                      tooltipHideTimeoutRef={tooltipHideTimeoutRef}
+                      isDotHoveredRef={isDotHoveredRef}
+                      isTooltipHoveredRef={isTooltipHoveredRef}
+                    />
+                  )}
+              </div>
+          </div>
         </div>
+
+        {forecast && showForecast && (
+          <ForecastPanel key={`${forecast.reference_date}-${forecast.throughput.length}`} forecast={forecast} />
+        )}
+
+        {hasSleRisk && showRiskPanel && (
+          <RiskPanel
+            columns={filteredColumns}
+            percentiles={percentiles}
+            pinnedItems={pinnedItems}
+            onSelect={togglePinFromLayout}
+            timeInStatus={showTimeInStatus}
+          />
+        )}
       </div>
 
       <div className="mt-8 flex gap-8 justify-center flex-wrap">
         {typeLegend}
       </div>
 
+      {data.sle_definition && (
+        <SleLegend
+          definition={sleExplorer ? { percentiles, window: describeSleWindow(sleExplorer.window) } : data.sle_definition}
+          colors={theme.sle_colors}
+        />
+      )}
+
       {/* JSON Editor Section */}
       <div className="mt-8 bg-white border border-slate-200 rounded-xl shadow-sm p-4">
         <div className="flex items-center justify-between mb-3">
@@ -1556,7 +3302,7 @@ export default function App() {
           <SmartTooltip 
             key={`pinned-${itemKey}`}
             item={pinnedData.item} 
-            dependency={pinnedData.dependency}
+            dependencies={pinnedData.dependencies}
             position={pinnedData.position}
             theme={theme}
             isPinned={true}
@@ -1579,7 +3325,7 @@ export default function App() {
         <SmartTooltip 
           key={`hover-${tooltipData.item.key}`}
           item={tooltipData.item} 
-          dependency={tooltipData.dependency}
+          dependencies={tooltipData.dependencies}
           position={tooltipData.position}
           theme={theme}
           isPinned={false}
@@ -1634,6 +3380,14 @@ export default function App() {
                     <span className="text-sm text-slate-700">Jira Configuration</span>
                     <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">J</kbd>
                   </div>
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm text-slate-700">Scatterplot / Cumulative Flow / Aging WIP</span>
+                    <div className="flex gap-1">
+                      <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">S</kbd>
+                      <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">L</kbd>
+                      <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">W</kbd>
+                    </div>
+                  </div>
                   <div className="flex justify-between items-center">
                     <span className="text-sm text-slate-700">Show this help</span>
                     <div className="flex gap-1">
@@ -1664,6 +3418,31 @@ export default function App() {
                     <span className="text-sm text-slate-700">Toggle Card Color</span>
                     <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">C</kbd>
                   </div>
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm text-slate-700">Toggle Y-Axis: Age / Time in Status</span>
+                    <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">Y</kbd>
+                  </div>
+                  {forecast && (
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-slate-700">Toggle Forecast Panel</span>
+                      <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">F</kbd>
+                    </div>
+                  )}
+                  {hasSleRisk && (
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-slate-700">Toggle Breach Risk Panel</span>
+                      <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">R</kbd>
+                    </div>
+                  )}
+                  {hasSnapshots && (
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-slate-700">Previous / next snapshot</span>
+                      <div className="flex gap-1">
+                        <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">[</kbd>
+                        <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">]</kbd>
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
               
@@ -1703,9 +3482,110 @@ export default function App() {
   );
 };
 
-// Updated calculateLayout to support dynamic column widths
-const calculateLayoutWithWidths = (filteredColumns, maxDays, columnWidths) => {
+// Beeswarm placement: every dot keeps the height its age gives it and moves
+// sideways, as little as it can, off the dots placed before it (oldest first).
+// Ordered by age, all dots aim for the middle of the column; ordered by
+// priority or assignee, each group aims for its own stretch, left to right.
+// Returns item key -> x within its column (%).
+const calculateBeeswarm = (columns, maxDays, plotHeight, columnWidths, timeInStatus, order, priorities = {}) => {
+  const positions = new Map();
+  const priorityOrder = Object.keys(priorities);
+  const getGroup = (item) => {
+    if (order === 'priority') return item.priority || '';
+    if (order === 'assignee') return item.assignee?.name || 'Unassigned';
+    return '';
+  };
+  const compareGroups = (a, b) => {
+    if (order === 'priority') {
+      const rankA = priorityOrder.includes(a) ? priorityOrder.indexOf(a) : priorityOrder.length;
+      const rankB = priorityOrder.includes(b) ? priorityOrder.indexOf(b) : priorityOrder.length;
+      if (rankA !== rankB) return rankA - rankB;
+    }
+    if (order === 'assignee' && (a === 'Unassigned') !== (b === 'Unassigned')) return a === 'Unassigned' ? 1 : -1;
+    return a.localeCompare(b);
+  };
+
+  columns.forEach(col => {
+    const width = COLUMN_BASE_WIDTH * (columnWidths[col.name] || 1);
+    const minX = width * 0.1; // Same 10% padding as the even spread
+    const maxX = width * 0.9;
+    const groups = Array.from(new Set(col.items.map(getGroup))).sort(compareGroups);
+    // Past this many close dots a spot is crowded anyway; the closest ones decide
+    const maxNear = 8 * Math.ceil((maxX - minX) / DOT_DIAMETER);
+    const placed = [];
+    let nearStart = 0;
+
+    const dots = col.items
+      .map(item => ({ item, y: (Math.min(getPlottedAge(item, timeInStatus), maxDays) / maxDays) * plotHeight }))
+      .sort((a, b) => (b.y - a.y) || a.item.key.localeCompare(b.item.key));
+
+    dots.forEach(({ item, y }) => {
+      const target = minX + ((groups.indexOf(getGroup(item)) + 0.5) / groups.length) * (maxX - minX);
+      // Dots come oldest first, so the ones close enough to touch were placed last
+      while (nearStart < placed.length && placed[nearStart].y - y >= DOT_DIAMETER) nearStart++;
+      const near = placed.slice(Math.max(nearStart, placed.length - maxNear));
+
+      // Each nearby dot rules out the stretch where the two circles would overlap
+      const blocked = near
+        .map(dot => {
+          const half = Math.sqrt(DOT_DIAMETER * DOT_DIAMETER - (dot.y - y) * (dot.y - y));
+          return [dot.x - half, dot.x + half];
+        })
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, stretch) => {
+          const last = merged[merged.length - 1];
+          if (last && stretch[0] <= last[1]) last[1] = Math.max(last[1], stretch[1]);
+          else merged.push(stretch);
+          return merged;
+        }, []);
+
+      // The closest free spot is the target itself or an edge of the stretch covering it
+      const covering = blocked.find(([start, end]) => target > start && target < end);
+      const free = covering ? covering.filter(x => x >= minX && x <= maxX) : [target];
+
+      let x;
+      if (free.length > 0) {
+        x = free.reduce((best, candidate) => (Math.abs(candidate - target) < Math.abs(best - target) ? candidate : best));
+      } else {
+        // No room left at this height: overlap the least
+        const clearance = (candidate) => near.reduce((closest, dot) => Math.min(closest, (dot.x - candidate) ** 2 + (dot.y - y) ** 2), Infinity);
+        const candidates = Array.from({ length: 16 }, (_, i) => minX + (i / 15) * (maxX - minX))
+          .map(candidate => ({ x: candidate, clearance: clearance(candidate) }));
+        x = candidates.reduce((best, candidate) => (candidate.clearance > best.clearance ? candidate : best)).x;
+      }
+
+      placed.push({ x, y });
+      positions.set(item.key, (x / width) * 100);
+    });
+  });
+
+  return positions;
+};
+
+// Updated calculateLayout to support dynamic column widths. Dots go where
+// positions (calculateBeeswarm) puts them, or spread evenly by key without one.
+const calculateLayoutWithWidths = (filteredColumns, maxDays, columnWidths, timeInStatus = false, lanes = null, positions = null) => {
   const layoutMap = new Map();
+
+  // Swimlanes stack top to bottom. localY places a dot inside its lane; y is
+  // measured over the whole stack so arrows and pins can cross lanes. Items of
+  // a collapsed lane sit on its header line, hidden.
+  if (lanes) {
+    const totalHeight = lanes.reduce((sum, lane) => sum + getLaneHeight(lane), 0);
+    const plotHeight = LANE_HEIGHT - COLUMN_HEADER_HEIGHT - COLUMN_FOOTER_HEIGHT;
+    let laneTop = 0;
+    lanes.forEach(lane => {
+      const laneLayout = calculateLayoutWithWidths(lane.columns, maxDays, columnWidths, timeInStatus, null, positions);
+      laneLayout.forEach((coords, key) => {
+        const pixelY = lane.collapsed
+          ? laneTop + LANE_HEADER_HEIGHT / 2
+          : laneTop + LANE_HEADER_HEIGHT + COLUMN_HEADER_HEIGHT + plotHeight * (1 - coords.y / 100);
+        layoutMap.set(key, { ...coords, localY: coords.y, y: 100 * (1 - pixelY / totalHeight), hidden: lane.collapsed, lane: lane.name });
+      });
+      laneTop += getLaneHeight(lane);
+    });
+    return layoutMap;
+  }
   
   // Calculate total width units
   let totalWidthUnits = 0;
@@ -1727,14 +3607,16 @@ const calculateLayoutWithWidths = (filteredColumns, maxDays, columnWidths) => {
 
     items.forEach((item, itemIndex) => {
       let localXPct = 50;
-      if (count > 1) {
+      if (positions?.has(item.key)) {
+        localXPct = positions.get(item.key);
+      } else if (count > 1) {
         localXPct = offset + (itemIndex / (count - 1)) * spread;
       }
       const globalXPct = currentXOffset + (localXPct * colWidthPct / 100);
-      const effectiveAge = Math.min(item.age, maxDays);
+      const effectiveAge = Math.min(getPlottedAge(item, timeInStatus), maxDays);
       const globalYPct = (effectiveAge / maxDays) * 100;
 
-      layoutMap.set(item.key, { x: globalXPct, y: globalYPct, item, localXPct });
+      layoutMap.set(item.key, { x: globalXPct, y: globalYPct, item, localXPct, column: col.name });
     });
 
     currentXOffset += colWidthPct;
@@ -1743,14 +3625,24 @@ const calculateLayoutWithWidths = (filteredColumns, maxDays, columnWidths) => {
   return layoutMap;
 };
 
-const StatusColumn = ({ columnData, maxDays, layoutMap, setTooltipData, theme, widthMultiplier = 1, onColumnClick, showSLEZones = true, showSLEValues = true, togglePin, handleFlip, tooltipHideTimeoutRef, isDotHoveredRef, isTooltipHoveredRef }) => {
-  const { name, top_text, bottom_text, sle, items } = columnData;
+const StatusColumn = ({ columnData, maxDays, layoutMap, linkedItems, setTooltipData, theme, widthMultiplier = 1, onColumnClick, showSLEZones = true, showSLEValues = true, timeInStatus = false, sleSegment = null, sleMinSamples, percentiles = DEFAULT_PERCENTILES, renderDots = true, togglePin, handleFlip, tooltipHideTimeoutRef, isDotHoveredRef, isTooltipHoveredRef }) => {
+  const { name, top_text, bottom_text, items } = columnData;
+  const sle = getColumnSLE(columnData, timeInStatus, sleSegment);
+  const sleConfidence = sle ? getColumnSLEConfidence(columnData, timeInStatus, sleSegment) : null;
+  // Counted over the visible (filtered) items
+  const wipLimit = getWipLimit(columnData.wip_limit);
+  const wipStatus = getWipStatus(items.length, wipLimit);
   const [isHovered, setIsHovered] = useState(false);
+
+  // Blocked-time breakdown over the visible (filtered) items
+  const blockedCount = items.filter(item => item.blocked).length;
+  const blockedDays = items.reduce((sum, item) => sum + (item.blocked_days || 0), 0);
+  const totalAge = items.reduce((sum, item) => sum + item.age, 0);
+  const blockedPercent = totalAge > 0 ? Math.round((blockedDays / totalAge) * 100) : 0;
   
   // Build SLE zones and percentile markers based on sle format
   const zones = [];
   const percentileMarkers = [];
-  const defaultPercentiles = [50, 75, 85, 90];
   
   if (sle && Array.isArray(sle) && sle.length > 0) {
     // New format: sle is an array of values [7, 12, 14, 15]
@@ -1767,10 +3659,11 @@ const StatusColumn = ({ columnData, maxDays, layoutMap, setTooltipData, theme, w
       
       // Add percentile marker for this boundary
       percentileMarkers.push({
-        percentile: defaultPercentiles[index] || (index * 10 + 50),
+        percentile: percentiles[index],
         days: stepValue,
         color: color,
-        yPosition: (stepValue / maxDays) * 100
+        yPosition: (stepValue / maxDays) * 100,
+        interval: sleConfidence?.intervals[index] || null
       });
       
       prevValue = stepValue;
@@ -1796,7 +3689,7 @@ const StatusColumn = ({ columnData, maxDays, layoutMap, setTooltipData, theme, w
   }
 
   // Base width 225px * multiplier
-  const baseWidth = 225;
+  const baseWidth = COLUMN_BASE_WIDTH;
   const width = baseWidth * widthMultiplier;
 
   // Format column name with angle brackets based on width multiplier
@@ -1814,16 +3707,17 @@ const StatusColumn = ({ columnData, maxDays, layoutMap, setTooltipData, theme, w
       onMouseEnter={() => setIsHovered(true)}
       onMouseLeave={() => setIsHovered(false)}
     >
-      <div className="h-16 border-b border-slate-600 bg-slate-50 p-2 flex flex-col items-center justify-center text-center z-10">
+      <div className={`h-16 border-b border-slate-600 p-2 flex flex-col items-center justify-center text-center z-10 ${WIP_STATUS_STYLES[wipStatus || 'ok'].header}`}>
         <span className="font-semibold text-slate-700 text-sm">
           {formatColumnName(name, widthMultiplier)} ({items.length})
         </span>
+        {wipLimit && <WipBadge count={items.length} limit={wipLimit} />}
         {top_text && (
           <span className="text-xs text-slate-500 font-mono">{top_text}</span>
         )}
       </div>
 
-      <div className="relative flex-1 w-full bg-slate-100 overflow-visible">
+      <div className="relative flex-1 w-full bg-slate-100 overflow-visible" data-plot-area={name}>
         {showSLEZones && (
           <div className="absolute inset-0 flex flex-col-reverse">
              {zones.map((zone, idx) => (
@@ -1839,6 +3733,23 @@ const StatusColumn = ({ columnData, maxDays, layoutMap, setTooltipData, theme, w
           </div>
         )}
 
+        {/* Uncertain boundaries: each SLE value's confidence interval, hatched */}
+        {showSLEZones && percentileMarkers.some(marker => marker.interval) && (
+          <div className="absolute inset-0 pointer-events-none overflow-hidden">
+            {percentileMarkers.filter(marker => marker.interval && marker.interval[1] > marker.interval[0]).map((marker, idx) => (
+              <div
+                key={idx}
+                className="absolute left-0 right-0"
+                style={{
+                  bottom: `${(Math.min(marker.interval[0], maxDays) / maxDays) * 100}%`,
+                  height: `${((Math.min(marker.interval[1], maxDays) - Math.min(marker.interval[0], maxDays)) / maxDays) * 100}%`,
+                  backgroundImage: 'repeating-linear-gradient(135deg, rgba(15, 23, 42, 0.12) 0 2px, transparent 2px 6px)'
+                }}
+              />
+            ))}
+          </div>
+        )}
+
         {/* Percentile markers - only visible on hover and when enabled */}
         {showSLEValues && isHovered && percentileMarkers.length > 0 && (
           <div className="absolute top-0 bottom-0 left-0 right-0 pointer-events-none z-50" style={{ overflow: 'visible' }}>
@@ -1849,12 +3760,14 @@ const StatusColumn = ({ columnData, maxDays, layoutMap, setTooltipData, theme, w
                 days={marker.days}
                 color={marker.color}
                 yPosition={marker.yPosition}
+                interval={marker.interval}
+                samples={sleConfidence?.samples}
               />
             ))}
           </div>
         )}
 
-        <div className="absolute inset-0 z-20">
+        {renderDots && <div className="absolute inset-0 z-20">
              {items.map((item) => {
                 const layout = layoutMap.get(item.key);
                 if (!layout) return null;
@@ -1863,6 +3776,7 @@ const StatusColumn = ({ columnData, maxDays, layoutMap, setTooltipData, theme, w
                         key={item.key} 
                         layout={layout}
                         layoutMap={layoutMap}
+                        linkedItems={linkedItems}
                         setTooltipData={setTooltipData}
                         theme={theme}
                         onTogglePin={togglePin}
@@ -1873,7 +3787,7 @@ const StatusColumn = ({ columnData, maxDays, layoutMap, setTooltipData, theme, w
                     />
                 );
              })}
-        </div>
+        </div>}
       </div>
       
       <button
@@ -1886,11 +3800,51 @@ const StatusColumn = ({ columnData, maxDays, layoutMap, setTooltipData, theme, w
         {bottom_text && (
           <span className="text-xs text-slate-500 font-mono mt-1">{bottom_text}</span>
         )}
+        {blockedDays > 0 && (
+          <span className="text-[10px] text-red-600 font-mono mt-0.5" title={`${blockedDays} of ${totalAge} item-days blocked`}>
+            {blockedCount} blocked · {blockedPercent}% of age
+          </span>
+        )}
+        {sleConfidence && (sleConfidence.fallback ? (
+          <span
+            className="text-[10px] text-amber-700 font-mono mt-0.5"
+            title={`Only ${sleConfidence.samples} exits in the SLE window${sleMinSamples ? ` (minimum ${sleMinSamples})` : ''}: the zones show the board-level SLE`}
+          >
+            ⚠ board SLE · n={sleConfidence.samples}
+          </span>
+        ) : (
+          <span className="text-[10px] text-slate-400 font-mono mt-0.5" title="Exits in the SLE window behind this column's SLE">
+            n={sleConfidence.samples}
+          </span>
+        ))}
       </button>
     </div>
   );
 };
 
+// Zone colors with the percentile range each one covers
+const SleLegend = ({ definition, colors }) => {
+  const { percentiles } = definition;
+  const labels = [
+    `≤ P${percentiles[0]}`,
+    ...percentiles.slice(1).map((percentile, index) => `P${percentiles[index]}-P${percentile}`),
+    `> P${percentiles[percentiles.length - 1]}`
+  ];
+  return (
+    <div className="mt-4 flex gap-4 justify-center flex-wrap items-center text-sm text-slate-600">
+      {labels.map((label, index) => (
+        <div key={label} className="flex items-center gap-2">
+          <span className="w-5 h-3 rounded-sm border border-slate-300" style={{ backgroundColor: colors[index] || 'transparent' }}></span>
+          <span className="font-mono">{label}</span>
+        </div>
+      ))}
+      <span className="text-xs text-slate-400">
+        SLE window {definition.window}{definition.computed_at ? ` · computed ${definition.computed_at.slice(0, 10)}` : ''}
+      </span>
+    </div>
+  );
+};
+
 const SLEZone = ({ start, end, maxDays, color, isTop }) => {
   const effectiveEnd = end || maxDays;
   const heightPct = ((effectiveEnd - start) / maxDays) * 100;
@@ -1901,7 +3855,7 @@ const SLEZone = ({ start, end, maxDays, color, isTop }) => {
   );
 };
 
-const PercentileMarker = ({ percentile, days, color, yPosition }) => {
+const PercentileMarker = ({ percentile, days, color, yPosition, interval = null, samples }) => {
   // Lighten the color for the label background (add transparency)
   const lightenColor = (hexColor) => {
     // If color has transparency or is not a hex, return with opacity
@@ -1929,6 +3883,7 @@ const PercentileMarker = ({ percentile, days, color, yPosition }) => {
         }}
       >
         {percentile}% - {days}d
+        {interval && <span className="font-normal text-slate-700"> ({interval[0]}-{interval[1]}d{samples !== undefined ? `, n=${samples}` : ''})</span>}
       </div>
     </div>
   );
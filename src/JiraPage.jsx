@@ -1,16 +1,29 @@
 import React, { useState, useEffect } from 'react';
-import { ArrowLeft, RefreshCw } from 'lucide-react';
-import { checkAPI, generateChartViaAPI } from './jiraClient';
+import { ArrowLeft, RefreshCw, Save, Trash2 } from 'lucide-react';
+import { checkAPI, generateChartViaAPI, listConnections, listBoards, listProfiles, saveProfile, deleteProfile } from './jiraClient';
+
+// Profiles store windows as "60d" or numbers; the form edits days
+const toDaysField = (value) => {
+  if (value === undefined || value === null) return '';
+  const match = String(value).match(/^(\d+)d?$/i);
+  return match ? match[1] : '';
+};
 
 export default function JiraPage({ onChartGenerated }) {
   // Load from localStorage
-  const [jiraUrl, setJiraUrl] = useState(() => localStorage.getItem('jiraUrl') || '');
-  const [jiraUser, setJiraUser] = useState(() => localStorage.getItem('jiraUser') || '');
-  const [jiraApiToken, setJiraApiToken] = useState(() => localStorage.getItem('jiraApiToken') || '');
+  const [connection, setConnection] = useState(() => localStorage.getItem('connection') || '');
+  const [connections, setConnections] = useState([]);
+  const [board, setBoard] = useState(() => localStorage.getItem('board') || '');
+  const [boards, setBoards] = useState([]);
   const [jql, setJql] = useState(() => localStorage.getItem('jql') || '');
   const [jqlSLE, setJqlSLE] = useState(() => localStorage.getItem('jqlSLE') || '');
   const [sleWindow, setSleWindow] = useState(() => localStorage.getItem('sleWindow') || '90');
   const [columnsOrder, setColumnsOrder] = useState(() => localStorage.getItem('columnsOrder') || '');
+  const [cfdDays, setCfdDays] = useState(() => localStorage.getItem('cfdDays') || '');
+  const [percentiles, setPercentiles] = useState(() => localStorage.getItem('percentiles') || '');
+  const [maxDays, setMaxDays] = useState(() => localStorage.getItem('maxDays') || '');
+  const [profileName, setProfileName] = useState(() => localStorage.getItem('profileName') || '');
+  const [profiles, setProfiles] = useState([]);
   
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -20,27 +33,108 @@ export default function JiraPage({ onChartGenerated }) {
 
   // Check if API is available on mount
   useEffect(() => {
+    // Credentials live on the server now; drop any saved by older versions
+    ['jiraUrl', 'jiraUser', 'jiraApiToken'].forEach(key => localStorage.removeItem(key));
+
     checkAPI().then(available => {
       setApiAvailable(available);
       setApiCheckDone(true);
+      if (available) {
+        listProfiles().then(setProfiles).catch(err => console.error('Error loading profiles:', err));
+        listConnections().then(list => {
+          setConnections(list);
+          setConnection(current => (list.some(c => c.id === current) ? current : (list[0] ? list[0].id : '')));
+        }).catch(err => console.error('Error loading connections:', err));
+      }
     });
   }, []);
 
+  // Boards belong to a connection
+  useEffect(() => {
+    if (!apiAvailable || !connection) {
+      setBoards([]);
+      return;
+    }
+    listBoards(connection).then(setBoards).catch(err => {
+      console.error('Error loading boards:', err);
+      setBoards([]);
+    });
+  }, [apiAvailable, connection]);
+
   // Save to localStorage whenever values change
   useEffect(() => {
-    localStorage.setItem('jiraUrl', jiraUrl);
-    localStorage.setItem('jiraUser', jiraUser);
-    localStorage.setItem('jiraApiToken', jiraApiToken);
+    localStorage.setItem('connection', connection);
+    localStorage.setItem('board', board);
     localStorage.setItem('jql', jql);
     localStorage.setItem('jqlSLE', jqlSLE);
     localStorage.setItem('sleWindow', sleWindow);
     localStorage.setItem('columnsOrder', columnsOrder);
-  }, [jiraUrl, jiraUser, jiraApiToken, jql, jqlSLE, sleWindow, columnsOrder]);
+    localStorage.setItem('cfdDays', cfdDays);
+    localStorage.setItem('percentiles', percentiles);
+    localStorage.setItem('maxDays', maxDays);
+    localStorage.setItem('profileName', profileName);
+  }, [connection, board, jql, jqlSLE, sleWindow, columnsOrder, cfdDays, percentiles, maxDays, profileName]);
+
+  const selectedProfile = profiles.find(profile => profile.name.toLowerCase() === profileName.trim().toLowerCase());
+
+  const handleSelectProfile = (name) => {
+    setProfileName(name);
+    const profile = profiles.find(p => p.name === name);
+    if (!profile) return;
+
+    if (profile.connection) setConnection(profile.connection);
+    setBoard(profile.board ? String(profile.board) : '');
+    setJql(profile.jql || '');
+    setJqlSLE(profile.jqlSLE || '');
+    setSleWindow(toDaysField(profile.sleWindow));
+    setColumnsOrder(Array.isArray(profile.columnsOrder) ? profile.columnsOrder.join(',') : (profile.columnsOrder || ''));
+    setCfdDays(toDaysField(profile.cfdWindow));
+    setPercentiles(Array.isArray(profile.percentiles) ? profile.percentiles.join(',') : (profile.percentiles || ''));
+    setMaxDays(profile.maxDays ? String(profile.maxDays) : '');
+  };
+
+  const handleSaveProfile = async () => {
+    setError(null);
+    try {
+      // Theme and WIP limits are not edited here, so keep whatever the profile had
+      const saved = await saveProfile(profileName.trim(), {
+        ...selectedProfile,
+        connection,
+        board: board ? parseInt(board) : '',
+        jql,
+        jqlSLE,
+        sleWindow: sleWindow ? parseInt(sleWindow) : '',
+        columnsOrder,
+        cfdWindow: cfdDays ? `${parseInt(cfdDays)}d` : '',
+        percentiles,
+        maxDays: maxDays ? parseInt(maxDays) : ''
+      });
+      setProfiles(await listProfiles());
+      setProfileName(saved.name);
+      setProgress(`Saved profile "${saved.name}"`);
+    } catch (err) {
+      setError(`Failed to save profile: ${err.message}`);
+    } finally {
+      setTimeout(() => setProgress(''), 3000);
+    }
+  };
+
+  const handleDeleteProfile = async () => {
+    if (!selectedProfile || !window.confirm(`Delete profile "${selectedProfile.name}"?`)) return;
+    setError(null);
+    try {
+      await deleteProfile(selectedProfile.name);
+      setProfiles(await listProfiles());
+      setProfileName('');
+    } catch (err) {
+      setError(`Failed to delete profile: ${err.message}`);
+    }
+  };
 
   const handleGenerateChart = async () => {
     // Validate inputs
-    if (!jiraUrl || !jiraUser || !jiraApiToken || !jql) {
-      setError('Please fill in all required fields (Jira URL, User, API Token, and JQL Query)');
+    if (!connection || (!jql && !board)) {
+      setError('Please pick a Jira connection and a board or fill in the JQL Query');
       return;
     }
 
@@ -55,13 +149,16 @@ export default function JiraPage({ onChartGenerated }) {
     
     try {
       const chartData = await generateChartViaAPI({
-        jiraUrl,
-        jiraUser,
-        jiraApiToken,
-        jql,
+        connection,
+        profile: selectedProfile ? selectedProfile.name : undefined,
+        board: board ? parseInt(board) : undefined,
+        jql: jql || undefined,
         jqlSLE: jqlSLE || undefined,
-        sleWindow: sleWindow ? parseInt(sleWindow) : 90,
-        columnsOrder: columnsOrder || undefined
+        sleWindow: sleWindow ? parseInt(sleWindow) : undefined,
+        percentiles: percentiles || undefined,
+        maxDays: maxDays ? parseInt(maxDays) : undefined,
+        columnsOrder: columnsOrder || undefined,
+        cfdWindow: cfdDays ? `${parseInt(cfdDays)}d` : undefined
       });
       
       setProgress('Chart generated successfully!');
@@ -116,58 +213,96 @@ export default function JiraPage({ onChartGenerated }) {
       <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6 mb-6">
         <h2 className="text-lg font-semibold text-slate-800 mb-4">Connection Settings</h2>
         
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">
-              Jira URL
-            </label>
-            <input
-              type="text"
-              value={jiraUrl}
-              onChange={(e) => setJiraUrl(e.target.value)}
-              placeholder="https://your-domain.atlassian.net"
-              className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-slate-700 mb-1">
+            Jira Connection
+          </label>
+          <select
+            value={connection}
+            onChange={(e) => setConnection(e.target.value)}
+            className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+          >
+            {connections.length === 0 && <option value="">No connections configured</option>}
+            {connections.map(c => (
+              <option key={c.id} value={c.id}>{c.name} ({c.jiraUser} @ {c.jiraUrl})</option>
+            ))}
+          </select>
+          <p className="text-xs text-slate-500 mt-1">
+            {connections.length === 0
+              ? <>Set <code>JIRA_URL</code>, <code>JIRA_USER</code> and <code>JIRA_API_TOKEN</code> on the server (e.g. in <code>cli/.env</code>) to add one.</>
+              : 'Credentials are held by the server; only the connection name is sent.'}
+          </p>
+        </div>
 
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">
-              Jira User Email
-            </label>
+        <h2 className="text-lg font-semibold text-slate-800 mb-4 mt-6">Query Settings</h2>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-slate-700 mb-1">
+            Board Profile
+          </label>
+          <div className="flex gap-2">
+            <select
+              value={selectedProfile ? selectedProfile.name : ''}
+              onChange={(e) => handleSelectProfile(e.target.value)}
+              disabled={!apiAvailable}
+              className="px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+            >
+              <option value="">No profile</option>
+              {profiles.map(profile => (
+                <option key={profile.name} value={profile.name}>{profile.name}</option>
+              ))}
+            </select>
             <input
-              type="email"
-              value={jiraUser}
-              onChange={(e) => setJiraUser(e.target.value)}
-              placeholder="user@example.com"
-              className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              type="text"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              placeholder="Profile name"
+              className="flex-1 px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
+            <button
+              onClick={handleSaveProfile}
+              disabled={!apiAvailable || !profileName.trim() || (!jql && !board)}
+              className="flex items-center gap-1 px-3 py-2 border border-slate-300 rounded-md text-sm text-slate-700 hover:bg-slate-100 disabled:text-slate-300 disabled:cursor-not-allowed"
+            >
+              <Save size={14} /> Save
+            </button>
+            <button
+              onClick={handleDeleteProfile}
+              disabled={!apiAvailable || !selectedProfile}
+              className="flex items-center gap-1 px-3 py-2 border border-slate-300 rounded-md text-sm text-red-600 hover:bg-red-50 disabled:text-slate-300 disabled:cursor-not-allowed"
+            >
+              <Trash2 size={14} /> Delete
+            </button>
           </div>
+          <p className="text-xs text-slate-500 mt-1">
+            Profiles are saved on the server and shared by everyone using it. Theme and WIP limits can be set in the profile's JSON file
+          </p>
         </div>
 
         <div className="mb-4">
           <label className="block text-sm font-medium text-slate-700 mb-1">
-            Jira API Token
+            Jira Board (optional)
           </label>
-          <input
-            type="password"
-            value={jiraApiToken}
-            onChange={(e) => setJiraApiToken(e.target.value)}
-            placeholder="Your API token"
-            className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
+          <select
+            value={board}
+            onChange={(e) => setBoard(e.target.value)}
+            disabled={!apiAvailable}
+            className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+          >
+            <option value="">No board (statuses as columns)</option>
+            {board && !boards.some(b => String(b.id) === board) && <option value={board}>Board {board}</option>}
+            {boards.map(b => (
+              <option key={b.id} value={String(b.id)}>{b.name}{b.project ? ` (${b.project})` : ''}</option>
+            ))}
+          </select>
           <p className="text-xs text-slate-500 mt-1">
-            Generate an API token from{' '}
-            <a href="https://id.atlassian.com/manage-profile/security/api-tokens" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
-              Atlassian Account Settings
-            </a>
+            Uses the board's filter, its columns (each holding one or more statuses) and its WIP limits. A JQL query below replaces the board's filter
           </p>
         </div>
 
-        <h2 className="text-lg font-semibold text-slate-800 mb-4 mt-6">Query Settings</h2>
-
         <div className="mb-4">
           <label className="block text-sm font-medium text-slate-700 mb-1">
-            JQL Query (Current Items)
+            JQL Query (Current Items{board ? ', optional' : ''})
           </label>
           <textarea
             value={jql}
@@ -207,6 +342,34 @@ export default function JiraPage({ onChartGenerated }) {
           />
         </div>
 
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">
+              SLE Percentiles (optional)
+            </label>
+            <input
+              type="text"
+              value={percentiles}
+              onChange={(e) => setPercentiles(e.target.value)}
+              placeholder="50,75,85,90"
+              className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">
+              Max Days (optional)
+            </label>
+            <input
+              type="number"
+              value={maxDays}
+              onChange={(e) => setMaxDays(e.target.value)}
+              placeholder="Auto"
+              className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        </div>
+
         <div className="mb-4">
           <label className="block text-sm font-medium text-slate-700 mb-1">
             Columns Order (optional)
@@ -223,9 +386,25 @@ export default function JiraPage({ onChartGenerated }) {
           </p>
         </div>
 
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-slate-700 mb-1">
+            Cumulative Flow Window (days, optional)
+          </label>
+          <input
+            type="number"
+            value={cfdDays}
+            onChange={(e) => setCfdDays(e.target.value)}
+            placeholder="60"
+            className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-slate-500 mt-1">
+            Adds daily counts per column for the cumulative flow diagram. Include recently finished items in the SLE query to see the done band
+          </p>
+        </div>
+
         <button
           onClick={handleGenerateChart}
-          disabled={isLoading || !jiraUrl || !jiraUser || !jiraApiToken || !jql}
+          disabled={isLoading || !connection || (!jql && !board)}
           className="flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors font-medium disabled:bg-slate-300 disabled:cursor-not-allowed"
         >
           <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
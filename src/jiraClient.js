@@ -62,6 +62,70 @@ export async function generateChartViaAPI(params) {
   return response.json();
 }
 
+/**
+ * List the Jira connections held by the server (names and URLs, never tokens)
+ */
+export async function listConnections() {
+  const response = await fetch('/api/connections');
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || `Server error: ${response.status}`);
+  }
+  return body.connections;
+}
+
+/**
+ * List the Jira Agile boards a connection can see
+ */
+export async function listBoards(connection) {
+  const response = await fetch(`/api/boards?connection=${encodeURIComponent(connection)}`);
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || `Server error: ${response.status}`);
+  }
+  return body.boards;
+}
+
+async function profileRequest(path, options = {}) {
+  const response = await fetch(`/api/profiles${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || `Server error: ${response.status}`);
+  }
+  return body;
+}
+
+/**
+ * List the board profiles saved on the server
+ */
+export async function listProfiles() {
+  const body = await profileRequest('');
+  return body.profiles;
+}
+
+/**
+ * Create or replace a board profile
+ */
+export async function saveProfile(name, profile) {
+  return profileRequest(`/${encodeURIComponent(name)}`, {
+    method: 'PUT',
+    body: JSON.stringify(profile)
+  });
+}
+
+/**
+ * Delete a board profile
+ */
+export async function deleteProfile(name) {
+  return profileRequest(`/${encodeURIComponent(name)}`, { method: 'DELETE' });
+}
+
 export class JiraClient {
   constructor(jiraUrl, jiraUser, jiraApiToken) {
     this.jiraUrl = jiraUrl.replace(/\/$/, ''); // Remove trailing slash
@@ -404,7 +468,7 @@ function transformIssue(issue, referenceDate, jiraUrl, statusCategoryMap) {
       .map(link => link.inwardIssue.key);
     
     if (blockedBy.length > 0) {
-      transformed.depends_on = blockedBy[0];
+      transformed.depends_on = blockedBy;
     }
   }
   
@@ -444,7 +508,7 @@ function transformIssueOld(issue, referenceDate, jiraUrl) {
       link.type.name === 'Blocks' && link.inwardIssue
     );
     if (blocker) {
-      transformed.depends_on = blocker.inwardIssue.key;
+      transformed.depends_on = [blocker.inwardIssue.key];
     }
   }
   
@@ -485,7 +549,6 @@ export async function buildChartData(client, issues, jiraUrl, theme = DEFAULT_TH
   columnMap.forEach((items, statusName) => {
     columns.push({
       name: statusName,
-      top_text: `WIP: ${items.length}`,
       order: order++,
       sle: [], // SLE calculation would go here
       items: items.sort((a, b) => a.key.localeCompare(b.key))
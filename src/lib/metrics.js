@@ -0,0 +1,175 @@
+/**
+ * Flow metrics shared by the CLI and the chart, so a chart generated by
+ * get-jira-issues.js and the one recomputed in the browser agree.
+ *
+ * Runs unbundled in Node 12 as well as in the browser: plain ES modules,
+ * no optional chaining or nullish coalescing.
+ */
+
+export const DEFAULT_PERCENTILES = [50, 75, 85, 90];
+export const MAX_FORECAST_DAYS = 3650; // Stop "when" simulations that never finish
+
+// Fields recomputeColumnSles() cannot rebuild from the raw exits
+const GENERATED_SLE_FIELDS = ['sle_intervals', 'sle_in_status_intervals', 'sle_fallback', 'sle_in_status_fallback', 'sle_by_segment', 'sle_in_status_by_segment'];
+
+// ============================================================================
+// Dates
+// ============================================================================
+
+/**
+ * Days since the epoch for a YYYY-MM-DD date, so date math ignores time zones.
+ */
+export function toDayNumber(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / (1000 * 60 * 60 * 24);
+}
+
+export function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * 1000 * 60 * 60 * 24).toISOString().split('T')[0];
+}
+
+// ============================================================================
+// Percentiles and SLEs
+// ============================================================================
+
+/**
+ * Linear interpolation between the two nearest ranks.
+ * @param {number[]} sortedValues - Ascending
+ * @param {number} percentile - 0 to 100
+ */
+export function calculatePercentile(sortedValues, percentile) {
+  if (sortedValues.length === 0) return 0;
+  if (sortedValues.length === 1) return sortedValues[0];
+
+  const index = (percentile / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  const weight = index - lower;
+
+  return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
+}
+
+/**
+ * SLE values for sorted ages, rounded up to whole days. Null with no ages.
+ */
+export function calculateSle(sortedAges, percentiles) {
+  if (sortedAges.length === 0) return null;
+  return percentiles.map(percentile => Math.ceil(calculatePercentile(sortedAges, percentile)));
+}
+
+/**
+ * Live SLEs from the raw exits in sle_exits, for a window of { days } before
+ * the reference date or the { count } latest exits, and any percentiles.
+ * Sample sizes follow the window; the generated intervals, fallbacks and
+ * segments do not apply. Breach risk follows both: sle_risk from total ages,
+ * sle_in_status_risk from the time in the current status.
+ */
+export function recomputeColumnSles(columns, exitsByColumn, { window, percentiles }, referenceDate) {
+  const cutoff = window.days ? fromDayNumber(toDayNumber(referenceDate) - window.days) : null;
+
+  return columns.map(col => {
+    const exits = exitsByColumn[col.name] || [];
+    const windowed = cutoff
+      ? exits.filter(exit => exit.date >= cutoff)
+      : exits.slice(Math.max(0, exits.length - window.count));
+    const exitAges = windowed.map(exit => exit.age).sort((a, b) => a - b);
+    const exitAgesInStatus = windowed.map(exit => exit.age_in_status).sort((a, b) => a - b);
+    const sle = calculateSle(exitAges, percentiles);
+    const sleInStatus = calculateSle(exitAgesInStatus, percentiles);
+    const live = {
+      ...col,
+      items: col.items.map(item => {
+        const liveItem = { ...item };
+        delete liveItem.sle_risk;
+        delete liveItem.sle_in_status_risk;
+        if (sle) {
+          liveItem.sle_risk = calculateSleRisk(item.age, sle, exitAges);
+        }
+        if (sleInStatus && typeof item.age_in_current_state === 'number') {
+          liveItem.sle_in_status_risk = calculateSleRisk(item.age_in_current_state, sleInStatus, exitAgesInStatus);
+        }
+        return liveItem;
+      }),
+      sle: sle,
+      sle_in_status: sleInStatus,
+      sle_samples: windowed.length,
+      sle_in_status_samples: windowed.length
+    };
+    GENERATED_SLE_FIELDS.forEach(field => delete live[field]);
+    return live;
+  });
+}
+
+/**
+ * Breach forecast for an item in a column: of the earlier items that were
+ * still in the column at this item's age, the share that left within the
+ * column's last SLE value, and the days left before each SLE value (negative
+ * once passed).
+ */
+export function calculateSleRisk(age, sle, exitAges) {
+  const limit = sle[sle.length - 1];
+  const stillThere = exitAges.filter(exitAge => exitAge >= age);
+  const onTime = age > limit || stillThere.length === 0
+    ? 0
+    : stillThere.filter(exitAge => exitAge <= limit).length / stillThere.length;
+  return { on_time: Math.round(onTime * 100) / 100, days_left: sle.map(value => value - age) };
+}
+
+/**
+ * Resample a palette along its own gradient to one color per SLE zone, so the
+ * default green-to-red palette fits any percentile list.
+ */
+export function fitSleColors(colors, zones) {
+  if (colors.length === zones || colors.length < 2) {
+    return colors;
+  }
+
+  const rgb = colors.map(color => [1, 3, 5].map(offset => parseInt(color.slice(offset, offset + 2), 16)));
+  return Array.from({ length: zones }, (_, index) => {
+    const position = zones === 1 ? 0 : (index / (zones - 1)) * (rgb.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(rgb.length - 1, lower + 1);
+    const weight = position - lower;
+    return '#' + rgb[lower]
+      .map((channel, c) => Math.round(channel * (1 - weight) + rgb[upper][c] * weight).toString(16).padStart(2, '0'))
+      .join('');
+  });
+}
+
+// ============================================================================
+// Monte Carlo Forecasting
+// ============================================================================
+
+/**
+ * Items finished in `days` days, once per simulation, sampling a past day's
+ * count for each future day. Sorted ascending.
+ */
+export function simulateItemsByDate(dailyCounts, days, simulations) {
+  const totals = [];
+  for (let run = 0; run < simulations; run++) {
+    let total = 0;
+    for (let day = 0; day < days; day++) {
+      total += dailyCounts[Math.floor(Math.random() * dailyCounts.length)];
+    }
+    totals.push(total);
+  }
+  return totals.sort((a, b) => a - b);
+}
+
+/**
+ * Days needed to finish `itemCount` items, once per simulation, capped at
+ * MAX_FORECAST_DAYS. Sorted ascending.
+ */
+export function simulateDaysToFinish(dailyCounts, itemCount, simulations) {
+  const durations = [];
+  for (let run = 0; run < simulations; run++) {
+    let remaining = itemCount;
+    let days = 0;
+    while (remaining > 0 && days < MAX_FORECAST_DAYS) {
+      remaining -= dailyCounts[Math.floor(Math.random() * dailyCounts.length)];
+      days++;
+    }
+    durations.push(days);
+  }
+  return durations.sort((a, b) => a - b);
+}
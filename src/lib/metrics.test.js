@@ -0,0 +1,90 @@
+/**
+ * Tests for the flow metrics shared by the CLI and the chart.
+ *
+ * Run with: npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculatePercentile, calculateSle, calculateSleRisk, recomputeColumnSles, fitSleColors,
+  simulateItemsByDate, simulateDaysToFinish, MAX_FORECAST_DAYS
+} from './metrics.js';
+
+test('calculatePercentile interpolates between the nearest ranks', () => {
+  assert.equal(calculatePercentile([], 85), 0);
+  assert.equal(calculatePercentile([7], 85), 7);
+  assert.equal(calculatePercentile([1, 2, 3, 4, 5], 50), 3);
+  assert.equal(calculatePercentile([2, 4, 6, 8, 10], 85), 8.8);
+  assert.equal(calculatePercentile([2, 4, 6, 8, 10], 100), 10);
+});
+
+test('calculateSle rounds each percentile up to whole days', () => {
+  assert.deepEqual(calculateSle([1, 2, 3, 4, 10], [50, 85]), [3, 7]);
+  assert.equal(calculateSle([], [50, 85]), null);
+});
+
+test('recomputeColumnSles uses only the exits in the window', () => {
+  const columns = [{
+    name: 'Doing',
+    sle: [1, 1],
+    sle_intervals: [[1, 1], [1, 1]],
+    sle_fallback: true,
+    items: [{ key: 'KAN-1', age: 3, age_in_current_state: 2 }]
+  }];
+  const exits = {
+    Doing: [
+      { date: '2026-06-01', age: 40, age_in_status: 30 },
+      { date: '2026-09-20', age: 2, age_in_status: 1 },
+      { date: '2026-10-01', age: 4, age_in_status: 2 },
+      { date: '2026-10-10', age: 6, age_in_status: 3 }
+    ]
+  };
+
+  const [byDays] = recomputeColumnSles(columns, exits, { window: { days: 30 }, percentiles: [50, 100] }, '2026-10-16');
+  assert.deepEqual(byDays.sle, [4, 6]);
+  assert.deepEqual(byDays.sle_in_status, [2, 3]);
+  assert.equal(byDays.sle_samples, 3);
+  assert.equal(byDays.sle_intervals, undefined);
+  assert.equal(byDays.sle_fallback, undefined);
+  assert.deepEqual(byDays.items[0].sle_risk, { on_time: 1, days_left: [1, 3] });
+  assert.deepEqual(byDays.items[0].sle_in_status_risk, { on_time: 1, days_left: [0, 1] });
+
+  const [byCount] = recomputeColumnSles(columns, exits, { window: { count: 2 }, percentiles: [50] }, '2026-10-16');
+  assert.deepEqual(byCount.sle, [5]);
+  assert.equal(byCount.sle_samples, 2);
+
+  const [empty] = recomputeColumnSles(columns, {}, { window: { days: 30 }, percentiles: [50] }, '2026-10-16');
+  assert.equal(empty.sle, null);
+  assert.equal(empty.items[0].sle_risk, undefined);
+  assert.equal(empty.items[0].sle_in_status_risk, undefined);
+});
+
+test('calculateSleRisk compares an item with the earlier items still there at its age', () => {
+  const exitAges = [2, 4, 5, 9, 12];
+  // Of 5, 9 and 12, only 5 left within 8 days
+  assert.deepEqual(calculateSleRisk(5, [4, 8], exitAges), { on_time: 0.33, days_left: [-1, 3] });
+  assert.deepEqual(calculateSleRisk(9, [4, 8], exitAges), { on_time: 0, days_left: [-5, -1] });
+  assert.deepEqual(calculateSleRisk(1, [4, 8], []), { on_time: 0, days_left: [3, 7] });
+});
+
+test('fitSleColors resamples a palette along its gradient', () => {
+  const palette = ['#00ff00', '#ff0000'];
+  assert.equal(fitSleColors(palette, 2), palette);
+  assert.deepEqual(fitSleColors(palette, 3), ['#00ff00', '#808000', '#ff0000']);
+  assert.deepEqual(fitSleColors(['#123456'], 4), ['#123456']);
+});
+
+test('simulations sample past days and come back sorted', () => {
+  assert.deepEqual(simulateItemsByDate([2], 5, 3), [10, 10, 10]);
+  assert.deepEqual(simulateDaysToFinish([3], 10, 2), [4, 4]);
+
+  const totals = simulateItemsByDate([0, 1, 5], 10, 200);
+  assert.equal(totals.length, 200);
+  assert.deepEqual(totals, [...totals].sort((a, b) => a - b));
+  assert.ok(totals[0] >= 0 && totals[totals.length - 1] <= 50);
+});
+
+test('a team that never finishes anything stops at the forecast horizon', () => {
+  assert.deepEqual(simulateDaysToFinish([0], 3, 2), [MAX_FORECAST_DAYS, MAX_FORECAST_DAYS]);
+});
@@ -2,17 +2,7 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 import { viteSingleFile } from 'vite-plugin-singlefile'
-import { 
-  JiraClient, 
-  buildOutput, 
-  extractUniqueStatusIds,
-  buildStatusCategoryMap,
-  buildStatusNameToIdMap,
-  extractStatusTransitions,
-  calculateSLEsForStatuses,
-  parseWindow,
-  DEFAULT_THEME
-} from './cli/get-jira-issues.js'
+import { generateChart, validateChartParams, handleProfileRequest, handleConnectionsRequest, handleBoardsRequest, scrubSecrets } from './cli/get-jira-issues.js'
 
 // Plugin to handle API endpoints
 function apiPlugin() {
@@ -28,81 +18,75 @@ function apiPlugin() {
             try {
               const params = JSON.parse(body)
               
-              if (!params.jiraUrl || !params.jiraUser || !params.jiraApiToken || !params.jql) {
+              const problem = validateChartParams(params, { origin: 'http' })
+              if (problem) {
                 res.statusCode = 400
                 res.setHeader('Content-Type', 'application/json')
-                res.end(JSON.stringify({ error: 'Missing required parameters' }))
+                res.end(JSON.stringify({ error: problem }))
                 return
               }
 
-              // Create config and client
-              const config = {
-                JIRA_URL: params.jiraUrl,
-                JIRA_USER: params.jiraUser,
-                JIRA_API_TOKEN: params.jiraApiToken
-              }
-              
-              const client = new JiraClient(config)
-              
-              // Fetch issues
-              const issues = await client.getAllIssues(params.jql)
-              
-              if (issues.length === 0) {
-                res.statusCode = 200
-                res.setHeader('Content-Type', 'application/json')
-                res.end(JSON.stringify({ columns: [] }))
-                return
-              }
-
-              // Get status metadata
-              const statusIds = extractUniqueStatusIds(issues)
-              const statuses = await client.getStatusesByIds(statusIds)
-              const statusCategoryMap = buildStatusCategoryMap(statuses)
-              const allStatusNameToIdMap = buildStatusNameToIdMap(statuses)
-
-              // Calculate SLEs if requested
-              let slesByStatusId = null
-              if (params.jqlSLE) {
-                const historicalIssues = await client.getAllIssues(params.jqlSLE)
-                if (historicalIssues.length > 0) {
-                  const transitions = extractStatusTransitions(historicalIssues, statusCategoryMap)
-                  const window = parseWindow(params.sleWindow ? `${params.sleWindow}d` : '90d', params.date || new Date().toISOString())
-                  const percentiles = [50, 75, 85, 90]
-                  slesByStatusId = calculateSLEsForStatuses(transitions, window, percentiles)
-                }
-              }
-
-              // Build output
-              const referenceDate = params.date || new Date().toISOString()
-              const chartData = buildOutput(
-                issues,
-                referenceDate,
-                config.JIRA_URL,
-                DEFAULT_THEME,
-                statusCategoryMap,
-                slesByStatusId,
-                params.columnsOrder || null,
-                params.maxDays || null,
-                allStatusNameToIdMap
-              )
+              const chartData = await generateChart(params, { origin: 'http' })
               
               res.statusCode = 200
               res.setHeader('Content-Type', 'application/json')
               res.end(JSON.stringify(chartData))
               
             } catch (error) {
-              console.error('API error:', error)
+              console.error('API error:', scrubSecrets(error.stack))
               res.statusCode = 500
               res.setHeader('Content-Type', 'application/json')
               res.end(JSON.stringify({ 
-                error: error.message,
-                stack: error.stack
+                error: scrubSecrets(error.message),
+                stack: process.env.NODE_ENV === 'development' ? scrubSecrets(error.stack) : undefined
               }))
             }
           })
           return
         }
         
+        // Jira connection names; credentials stay on the server
+        if (req.url === '/api/connections') {
+          const result = handleConnectionsRequest(req.method)
+          res.statusCode = result.status
+          res.setHeader('Content-Type', 'application/json')
+          res.end(JSON.stringify(result.body))
+          return
+        }
+        
+        // Agile boards of a connection, for the board picker
+        const boardsMatch = req.url.match(/^\/api\/boards(?:\?(.*))?$/)
+        if (boardsMatch) {
+          const result = await handleBoardsRequest(req.method, new URLSearchParams(boardsMatch[1] || '').get('connection'))
+          res.statusCode = result.status
+          res.setHeader('Content-Type', 'application/json')
+          res.end(JSON.stringify(result.body))
+          return
+        }
+        
+        // Board profiles: list, read, create/replace, delete
+        const profileMatch = req.url.match(/^\/api\/profiles(?:\/([^/?]+))?$/)
+        if (profileMatch) {
+          let body = ''
+          req.on('data', chunk => { body += chunk.toString() })
+          req.on('end', () => {
+            let profile = {}
+            try {
+              profile = body ? JSON.parse(body) : {}
+            } catch {
+              res.statusCode = 400
+              res.setHeader('Content-Type', 'application/json')
+              res.end(JSON.stringify({ error: 'Invalid JSON' }))
+              return
+            }
+            const result = handleProfileRequest(req.method, profileMatch[1] ? decodeURIComponent(profileMatch[1]) : null, profile)
+            res.statusCode = result.status
+            res.setHeader('Content-Type', 'application/json')
+            res.end(JSON.stringify(result.body))
+          })
+          return
+        }
+        
         // Health check
         if (req.url === '/api/health' && req.method === 'GET') {
           res.statusCode = 200